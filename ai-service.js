@@ -1,228 +1,875 @@
 /**
  * AI Service
- * Handles communication with AI models (OpenAI or Ollama)
+ * Handles communication with AI models through the provider registry
  */
 
-const OpenAI = require('openai');
-const axios = require('axios');
+const providerRegistry = require('./provider-registry');
+const ProviderChain = require('./provider-chain');
+const codeRunner = require('./code-runner');
 const { 
   AI_PROVIDER, 
-  OPENAI_API_KEY, 
-  OPENAI_MODEL,
-  OPENAI_MAX_TOKENS,
-  OPENAI_TEMPERATURE,
-  OLLAMA_URL,
-  OLLAMA_MODEL,
+  AI_PROVIDERS,
+  CODE_EXECUTION,
+  FAILOVER,
+  ENSEMBLE,
   PROMPTS,
-  HTTP_STATUS
+  QUESTION_SCHEMAS,
+  RESPONSE_VALIDATION
 } = require('../config/constants');
+const responseValidator = require('./response-validator');
+const logger = require('../utils/logger').child({ component: 'ai-service' });
+
+// System prompt and user template for each question type
+const PROMPT_TEMPLATES = {
+  single: [PROMPTS.MCQ_SYSTEM, PROMPTS.MCQ_USER_TEMPLATE],
+  multiSelect: [PROMPTS.MULTI_SELECT_SYSTEM, PROMPTS.MULTI_SELECT_USER_TEMPLATE],
+  trueFalse: [PROMPTS.TRUE_FALSE_SYSTEM, PROMPTS.TRUE_FALSE_USER_TEMPLATE],
+  fillBlank: [PROMPTS.FILL_BLANK_SYSTEM, PROMPTS.FILL_BLANK_USER_TEMPLATE],
+  numeric: [PROMPTS.NUMERIC_SYSTEM, PROMPTS.NUMERIC_USER_TEMPLATE],
+  matching: [PROMPTS.MATCHING_SYSTEM, PROMPTS.MATCHING_USER_TEMPLATE],
+  ordering: [PROMPTS.ORDERING_SYSTEM, PROMPTS.ORDERING_USER_TEMPLATE]
+};
+
+// Types answered by picking exactly one option; only these can be ensemble-voted
+const SINGLE_CHOICE_TYPES = ['single', 'trueFalse'];
+
+const TRUE_FALSE_OPTIONS = ['True', 'False'];
+
+// Opening delimiter of LaTeX math, \( or \[
+const LATEX_DELIMITER = /\\[([]/;
 
 class AIService {
   constructor() {
     this.provider = AI_PROVIDER;
+    this.registry = providerRegistry;
     
-    if (this.provider === 'openai') {
-      if (!OPENAI_API_KEY) {
-        throw new Error('OpenAI API key not configured. Set OPENAI_API_KEY in .env file.');
-      }
-      this.openai = new OpenAI({
-        apiKey: OPENAI_API_KEY
-      });
-    }
+    [...AI_PROVIDERS, ...FAILOVER.chain, ...ENSEMBLE.providers].forEach(name => this.registry.register(name));
+    this.chain = new ProviderChain(this.registry, FAILOVER);
   }
   
   /**
    * Answer an MCQ question
    * @param {string} question - The question text
-   * @param {Array<string>} options - Array of option texts
-   * @returns {Promise<Object>} Answer object
+   * @param {Array<string>} options - Array of option texts (items for ordering, word bank for fillBlank)
+   * @param {Object} [settings] - Per-request settings
+   * @param {AbortSignal} [settings.signal] - Aborts the provider call
+   * @param {boolean|Object} [settings.ensemble] - Self-consistency voting (see resolveEnsemble)
+   * @param {string} [settings.type] - Question type (QUESTION_TYPES, default 'single')
+   * @param {Array<string>} [settings.premises] - Left column of a matching question
+   * @param {string} [settings.context] - Passage or scenario the question refers to
+   * @param {Array<Object>} [settings.images] - { data, label } figures as data URLs; the
+   *   question then goes to a vision-capable provider
+   * @returns {Promise<Object>} Answer object with `status` ('answered' or 'unresolved') and the
+   *   `provider` that answered (for ensemble votes, the one whose winning sample is returned);
+   *   extra fields depend on the type.
+   *   Output questions with a JavaScript snippet also carry the execution trace as `verification`.
+   */
+  async answerMCQ(question, options, settings = {}) {
+    const request = this._prepareRequest(question, options, settings);
+    
+    // Runs while the model answers
+    const execution = this._runSnippet(request, question);
+    
+    // Voting needs a single answer per sample
+    const ensemble = SINGLE_CHOICE_TYPES.includes(request.type) && this.resolveEnsemble(settings.ensemble);
+    let result;
+    
+    if (ensemble) {
+      result = await this._answerByVote(request.prompts, request.choices, ensemble, settings.signal);
+    } else {
+      const { text, provider } = await this.chain.complete({
+        ...request.prompts,
+        signal: settings.signal
+      });
+      
+      result = await this._resolveResponse({ ...request, provider }, text, settings.signal);
+    }
+    
+    return this._applyExecution(result, await execution, request.choices);
+  }
+  
+  /**
+   * Validate a request and build its prompts
+   * @param {string} question - Question text
+   * @param {Array<string>} [options] - Option texts
+   * @param {Object} settings - Per-request settings (see answerMCQ)
+   * @returns {Object} { type, choices, premises, prompts }
    */
-  async answerMCQ(question, options) {
-    if (!question || !options || options.length === 0) {
+  _prepareRequest(question, options, settings) {
+    const type = settings.type || 'single';
+    const schema = QUESTION_SCHEMAS[type];
+    
+    if (!schema) {
+      throw new Error(`Unsupported question type: ${type}`);
+    }
+    
+    // True/false questions may omit their options
+    const choices = type === 'trueFalse' && (!options || options.length === 0)
+      ? TRUE_FALSE_OPTIONS
+      : (options || []);
+    const premises = settings.premises || [];
+    
+    if (!question ||
+        (schema.options.required && choices.length === 0) ||
+        (schema.premises && premises.length === 0)) {
       throw new Error('Invalid question or options');
     }
     
-    const userPrompt = PROMPTS.MCQ_USER_TEMPLATE(question, options);
+    return {
+      type: type,
+      choices: choices,
+      premises: premises,
+      prompts: this._buildPrompts(type, question, choices, premises, settings.context, settings.images)
+    };
+  }
+  
+  /**
+   * Build system and user prompts for a question type
+   * Prompts with LaTeX math say how it is delimited.
+   * @param {string} type - Question type
+   * @param {string} question - Question text
+   * @param {Array<string>} options - Option texts
+   * @param {Array<string>} [premises] - Matching premises
+   * @param {string} [context] - Shared passage, placed before the question
+   * @param {Array<Object>} [images] - { data, label } images, listed before the question
+   * @returns {Object} { system, user, images } (images only when there are any)
+   */
+  _buildPrompts(type, question, options, premises = [], context, images = []) {
+    const [system, userTemplate] = PROMPT_TEMPLATES[type] || PROMPT_TEMPLATES.single;
+    let user = userTemplate(question, options, premises);
     
-    let response;
+    if (context) {
+      user = PROMPTS.CONTEXT_TEMPLATE(context, user);
+    }
     
-    if (this.provider === 'openai') {
-      response = await this._callOpenAI(userPrompt);
-    } else if (this.provider === 'ollama') {
-      response = await this._callOllama(userPrompt);
-    } else {
-      throw new Error(`Unsupported AI provider: ${this.provider}`);
+    if (LATEX_DELIMITER.test(user)) {
+      user = PROMPTS.MATH_TEMPLATE(user);
+    }
+    
+    if (images.length === 0) {
+      return { system, user };
     }
     
-    return this._parseAIResponse(response, options);
+    return {
+      system: system,
+      user: PROMPTS.IMAGES_TEMPLATE(images.map(image => image.label || 'Figure'), user),
+      images: images
+    };
   }
   
   /**
-   * Call OpenAI API
-   * @param {string} userPrompt - User prompt
-   * @returns {Promise<string>} AI response
+   * Start running the JavaScript of a single-answer output question
+   * @param {Object} request - Prepared request (see _prepareRequest)
+   * @param {string} question - Question text
+   * @returns {Promise<Object|null>} Execution result (see CodeRunner.verify), or null when
+   *   the question has no snippet to run
    */
-  async _callOpenAI(userPrompt) {
-    try {
-      const completion = await this.openai.chat.completions.create({
-        model: OPENAI_MODEL,
-        messages: [
-          {
-            role: 'system',
-            content: PROMPTS.MCQ_SYSTEM
-          },
-          {
-            role: 'user',
-            content: userPrompt
-          }
-        ],
-        max_tokens: OPENAI_MAX_TOKENS,
-        temperature: OPENAI_TEMPERATURE,
-        response_format: { type: 'json_object' } // Ensure JSON response
-      });
-      
-      return completion.choices[0].message.content;
-    } catch (error) {
-      console.error('OpenAI API error:', error);
-      
-      if (error.status === 401) {
-        throw new Error('Invalid OpenAI API key');
-      } else if (error.status === 429) {
-        throw new Error('OpenAI rate limit exceeded. Please try again later.');
-      } else if (error.status === 503) {
-        throw new Error('OpenAI service temporarily unavailable');
-      }
-      
-      throw new Error(`OpenAI API error: ${error.message}`);
+  _runSnippet(request, question) {
+    if (request.type !== 'single') {
+      return Promise.resolve(null);
     }
+    
+    return codeRunner.verify(question, request.choices).catch(error => {
+      logger.warn('Code execution failed', { error });
+      return null;
+    });
   }
   
   /**
-   * Call Ollama (local LLM)
-   * @param {string} userPrompt - User prompt
-   * @returns {Promise<string>} AI response
+   * Confirm or override an answer with the output of running the question's code
+   * A conclusive run decides the answer, even one the model left unresolved; an
+   * inconclusive run leaves it as it is. Either way the trace is attached as
+   * `verification`.
+   * @param {Object} result - Answer object from the model or the vote
+   * @param {Object|null} execution - Execution result (see CodeRunner.verify)
+   * @param {Array<string>} options - Option texts
+   * @returns {Object} Answer object
    */
-  async _callOllama(userPrompt) {
-    try {
-      const response = await axios.post(
-        `${OLLAMA_URL}/api/generate`,
-        {
-          model: OLLAMA_MODEL,
-          prompt: `${PROMPTS.MCQ_SYSTEM}\n\n${userPrompt}`,
-          stream: false,
-          format: 'json',
-          options: {
-            temperature: OPENAI_TEMPERATURE,
-            num_predict: OPENAI_MAX_TOKENS
-          }
-        },
-        {
-          timeout: 60000 // 60 second timeout for local LLM
+  _applyExecution(result, execution, options) {
+    if (!execution) return result;
+    
+    const verification = {
+      method: 'execution',
+      outcome: 'inconclusive',
+      output: execution.output,
+      error: execution.error,
+      timedOut: execution.timedOut,
+      durationMs: execution.durationMs
+    };
+    
+    if (!execution.conclusive) {
+      logger.info('Code execution inconclusive', { reason: execution.reason });
+      return { ...result, verification: { ...verification, reason: execution.reason } };
+    }
+    
+    const matchedIndex = execution.matchedIndex;
+    
+    if (result.answerIndex === matchedIndex) {
+      logger.info('Code execution confirms the answer', { answer: result.answer });
+      return {
+        ...result,
+        confidence: Math.max(result.confidence, CODE_EXECUTION.confidence),
+        verification: { ...verification, outcome: 'confirmed' }
+      };
+    }
+    
+    logger.info('Code execution overrides the answer', { modelAnswer: result.answer, answer: options[matchedIndex] });
+    
+    const printed = execution.output.length > 0
+      ? `Running the code prints:\n\`\`\`\n${execution.output.join('\n')}\n\`\`\``
+      : 'Running the code prints nothing';
+    const thrown = execution.error ? `\nand then throws ${execution.error}` : '';
+    const previous = result.answer ? ` The model had answered "${result.answer}": ${result.explanation}` : '';
+    
+    return {
+      ...result,
+      status: 'answered',
+      answer: options[matchedIndex],
+      answerIndex: matchedIndex,
+      confidence: CODE_EXECUTION.confidence,
+      explanation: `${printed}${thrown}\nThat is "${options[matchedIndex]}".${previous}`,
+      options: result.options && result.options.map(entry => {
+        if (entry.index === matchedIndex) {
+          return { ...entry, verdict: 'correct', rationale: 'Matches the output of running the code.' };
+        }
+        if (entry.verdict === 'correct') {
+          return { ...entry, verdict: 'incorrect', rationale: 'Does not match the output of running the code.' };
         }
-      );
+        return entry;
+      }),
+      verification: { ...verification, outcome: 'overridden', modelAnswer: result.answer }
+    };
+  }
+  
+  /**
+   * Validate the model output and re-prompt with the validation error until it passes
+   * After RESPONSE_VALIDATION.maxRepairs corrective re-prompts the question is
+   * reported as unresolved rather than answered with a guess. Repairs go to the
+   * provider that gave the first response.
+   * @param {Object} request - Prepared request (see _prepareRequest) with the answering `provider`
+   * @param {string} responseText - First raw model response
+   * @param {AbortSignal} [signal] - Aborts the repair calls
+   * @returns {Promise<Object>} Answer object with `status` and `provider`
+   */
+  async _resolveResponse(request, responseText, signal) {
+    const { type, choices, premises, prompts, provider } = request;
+    let text = responseText;
+    
+    for (let repairs = 0; ; repairs++) {
+      const { result, error } = this._interpretResponse(type, text, choices, premises);
+      if (result) {
+        return { ...result, provider };
+      }
       
-      return response.data.response;
-    } catch (error) {
-      console.error('Ollama error:', error);
+      logger.warn('Rejected model response', { type, provider, repairs, reason: error, response: text });
       
-      if (error.code === 'ECONNREFUSED') {
-        throw new Error('Ollama is not running. Please start Ollama server.');
+      if (repairs >= RESPONSE_VALIDATION.maxRepairs) {
+        return { ...this._unresolvedResult(`No valid answer after ${repairs + 1} attempt(s): ${error}`), provider };
       }
       
-      throw new Error(`Ollama error: ${error.message}`);
+      text = await this.registry.get(provider).complete({
+        system: prompts.system,
+        user: PROMPTS.REPAIR_USER_TEMPLATE(prompts.user, text, error),
+        images: prompts.images,
+        signal: signal
+      });
     }
   }
   
   /**
-   * Parse AI response and validate
+   * Validate one raw response against its schema and map it onto the question
+   * @param {string} type - Question type
    * @param {string} responseText - Raw AI response
-   * @param {Array<string>} options - Original options for validation
-   * @returns {Object} Parsed and validated response
+   * @param {Array<string>} options - Option texts
+   * @param {Array<string>} [premises] - Matching premises
+   * @returns {Object} { result } when usable, { error } describing what to correct otherwise
    */
-  _parseAIResponse(responseText, options) {
+  _interpretResponse(type, responseText, options, premises = []) {
+    const { data, error } = responseValidator.validate(type, responseText);
+    if (error) {
+      return { error };
+    }
+    
     try {
-      // Try to parse JSON
-      const parsed = JSON.parse(responseText);
+      return { result: { status: 'answered', ...this._parseResponse(type, data, options, premises) } };
+    } catch (parseError) {
+      return { error: parseError.message };
+    }
+  }
+  
+  /**
+   * Map a schema-validated response onto the question for its type
+   * @param {string} type - Question type
+   * @param {Object} data - Schema-validated response
+   * @param {Array<string>} options - Option texts
+   * @param {Array<string>} [premises] - Matching premises
+   * @returns {Object} Parsed answer object
+   * @throws {Error} When the response refers to options or premises that don't exist
+   */
+  _parseResponse(type, data, options, premises = []) {
+    switch (type) {
+      case 'multiSelect':
+        return this._parseMultiSelectResponse(data, options);
+      case 'fillBlank':
+        return this._parseFillBlankResponse(data, options);
+      case 'numeric':
+        return this._parseNumericResponse(data);
+      case 'matching':
+        return this._parseMatchingResponse(data, premises, options);
+      case 'ordering':
+        return this._parseOrderingResponse(data, options);
+      default:
+        return this._parseAIResponse(data, options);
+    }
+  }
+  
+  /**
+   * Build the result for a question the model could not answer validly
+   * @param {string} reason - Why no answer was accepted
+   * @returns {Object} Answer object with status 'unresolved'
+   */
+  _unresolvedResult(reason) {
+    return {
+      status: 'unresolved',
+      answer: null,
+      answerIndex: null,
+      confidence: 0,
+      explanation: reason
+    };
+  }
+  
+  /**
+   * Resolve per-request ensemble settings against the ENSEMBLE defaults
+   * @param {boolean|Object} [requested] - true, false, or { samples, providers }
+   * @returns {Object|null} { samples, providers, temperature } or null when disabled
+   */
+  resolveEnsemble(requested = ENSEMBLE.enabled) {
+    if (!requested) return null;
+    
+    const config = requested === true ? {} : requested;
+    const providers = config.providers && config.providers.length > 0
+      ? config.providers
+      : (ENSEMBLE.providers.length > 0 ? ENSEMBLE.providers : [this.provider]);
+    
+    return {
+      samples: config.samples || ENSEMBLE.samples,
+      providers: providers,
+      temperature: ENSEMBLE.temperature
+    };
+  }
+  
+  /**
+   * Self-consistency: sample several completions and take the majority option
+   * Samples are spread round-robin over the ensemble providers whose circuit is
+   * closed, through their circuit breakers (see ProviderChain.completeOn). Confidence is the
+   * share of all samples that voted for the winner, so failed or unmatched samples
+   * (abstentions) lower it. Questions with images are only sampled from the
+   * ensemble providers that accept images. The explanation and per-option rationales
+   * come from the most confident sample for the winner, and `provider` names the
+   * provider that produced it.
+   * @param {Object} prompts - { system, user, images } prompts
+   * @param {Array<string>} options - Option texts
+   * @param {Object} ensemble - Resolved ensemble settings
+   * @param {AbortSignal} [signal] - Aborts the provider calls
+   * @returns {Promise<Object>} Answer object with an `ensemble` vote breakdown
+   */
+  async _answerByVote(prompts, options, ensemble, signal) {
+    const capable = this.chain.capable(ensemble.providers, prompts);
+    const available = this.chain.available(capable);
+    
+    // With every circuit open, the samples fail fast and the vote reports the provider error
+    const providers = available.length > 0 ? available : capable;
+    
+    const samples = await Promise.allSettled(
+      Array.from({ length: ensemble.samples }, (_, i) => {
+        const provider = providers[i % providers.length];
+        return this.chain.completeOn(provider, {
+          ...prompts,
+          temperature: ensemble.temperature,
+          signal: signal
+        }).then(text => ({ provider, text }));
+      })
+    );
+    
+    const completed = samples.filter(s => s.status === 'fulfilled').map(s => s.value);
+    if (completed.length === 0) {
+      throw samples[0].reason;
+    }
+    
+    // Tallied by position, so options with the same text stay separate
+    const votes = options.map(() => ({ count: 0, providers: {}, best: null }));
+    let abstained = samples.length - completed.length;
+    
+    for (const sample of completed) {
+      const vote = this._readVote(sample.text, options);
       
-      // Validate required fields
-      if (!parsed.answer) {
-        throw new Error('AI response missing "answer" field');
+      if (!vote) {
+        abstained++;
+        continue;
       }
       
-      if (typeof parsed.confidence !== 'number') {
-        // Try to extract confidence if it's a string
-        if (typeof parsed.confidence === 'string') {
-          parsed.confidence = parseFloat(parsed.confidence);
-        } else {
-          parsed.confidence = 70; // Default confidence
-        }
+      const tally = votes[vote.index];
+      tally.count++;
+      tally.providers[sample.provider] = (tally.providers[sample.provider] || 0) + 1;
+      if (!tally.best || vote.confidence > tally.best.confidence) {
+        tally.best = { ...vote, provider: sample.provider };
       }
+    }
+    
+    // Majority wins; ties go to the option with the higher self-reported confidence
+    const ranked = [...votes.entries()]
+      .filter(([, tally]) => tally.count > 0)
+      .sort((a, b) => b[1].count - a[1].count || b[1].best.confidence - a[1].best.confidence);
+    
+    const breakdown = {
+      samples: samples.length,
+      abstained: abstained,
+      providers: providers,
+      votes: options.map((option, i) => ({
+        option: option,
+        votes: votes[i].count,
+        share: Math.round((votes[i].count / samples.length) * 100),
+        providers: votes[i].providers
+      }))
+    };
+    
+    if (ranked.length === 0) {
+      return {
+        ...this._unresolvedResult(`No valid answer from any of ${samples.length} ensemble samples`),
+        ensemble: breakdown
+      };
+    }
+    
+    const [winnerIndex, winnerTally] = ranked[0];
+    
+    return {
+      status: 'answered',
+      answer: options[winnerIndex],
+      answerIndex: winnerIndex,
+      confidence: Math.round((winnerTally.count / samples.length) * 100),
+      explanation: winnerTally.best.explanation,
+      options: winnerTally.best.options,
+      provider: winnerTally.best.provider,
+      ensemble: breakdown
+    };
+  }
+  
+  /**
+   * Read one ensemble sample as a vote
+   * Invalid samples abstain instead of being repaired; the other samples still vote.
+   * @param {string} responseText - Raw AI response
+   * @param {Array<string>} options - Option texts
+   * @returns {Object|null} { index, confidence, explanation, options } or null to abstain
+   */
+  _readVote(responseText, options) {
+    // True/false shares the single-choice schema
+    const { result } = this._interpretResponse('single', responseText, options);
+    
+    if (!result) return null;
+    
+    return {
+      index: result.answerIndex,
+      confidence: result.confidence,
+      explanation: result.explanation,
+      options: result.options
+    };
+  }
+  
+  /**
+   * Answer an MCQ question while streaming the model output
+   * Yields { type: 'token', text } for each delta, { type: 'explanation', text }
+   * whenever the partial explanation grows, and finally { type: 'result', result }.
+   * Repairs of an invalid streamed response are not streamed.
+   * @param {string} question - The question text
+   * @param {Array<string>} options - Array of option texts
+   * @param {Object} [settings] - Per-request settings (see answerMCQ)
+   * @returns {AsyncGenerator<Object>} Stream events
+   */
+  async *streamMCQ(question, options, settings = {}) {
+    const request = this._prepareRequest(question, options, settings);
+    const execution = this._runSnippet(request, question);
+    
+    const { deltas, provider } = await this.chain.stream({
+      ...request.prompts,
+      signal: settings.signal
+    });
+    
+    let responseText = '';
+    let explanation = '';
+    
+    for await (const delta of deltas) {
+      responseText += delta;
+      yield { type: 'token', text: delta };
       
-      if (!parsed.explanation) {
-        parsed.explanation = 'No explanation provided';
+      const partial = this._extractPartialExplanation(responseText);
+      if (partial && partial !== explanation) {
+        explanation = partial;
+        yield { type: 'explanation', text: explanation };
       }
+    }
+    
+    const result = await this._resolveResponse({ ...request, provider }, responseText, settings.signal);
+    
+    yield { type: 'result', result: this._applyExecution(result, await execution, request.choices) };
+  }
+  
+  /**
+   * Read the "explanation" string out of incomplete JSON
+   * @param {string} partialJson - JSON received so far
+   * @returns {string|null} Explanation text so far
+   */
+  _extractPartialExplanation(partialJson) {
+    const start = partialJson.match(/"explanation"\s*:\s*"/);
+    if (!start) return null;
+    
+    let raw = partialJson.slice(start.index + start[0].length);
+    
+    // Cut at the closing quote, ignoring escaped quotes
+    const end = raw.search(/(?<!\\)(?:\\\\)*"/);
+    if (end !== -1) {
+      raw = raw.slice(0, end + raw.slice(end).indexOf('"'));
+    }
+    
+    // Drop a dangling escape sequence before decoding
+    raw = raw.replace(/\\u[0-9a-fA-F]{0,3}$|\\$/, '');
+    
+    try {
+      return JSON.parse(`"${raw}"`);
+    } catch (error) {
+      return null;
+    }
+  }
+  
+  /**
+   * Map a validated single-answer response onto the options
+   * @param {Object} data - Schema-validated response
+   * @param {Array<string>} options - Option texts
+   * @returns {Object} Answer object
+   * @throws {Error} When the answer refers to no option
+   */
+  _parseAIResponse(data, options) {
+    const answerIndex = this._requireOptionIndex(data.answer, options, 'response/answer');
+    
+    return {
+      answer: options[answerIndex],
+      answerIndex: answerIndex,
+      confidence: this._normalizeConfidence(data.confidence),
+      explanation: data.explanation || 'No explanation provided',
+      options: this._parseOptionRationales(data.options, options)
+    };
+  }
+  
+  /**
+   * Map a validated "select all that apply" response onto the options
+   * @param {Object} data - Schema-validated response
+   * @param {Array<string>} options - Option texts
+   * @returns {Object} Answer object with an `answers` array
+   * @throws {Error} When a selection refers to no option
+   */
+  _parseMultiSelectResponse(data, options) {
+    const answers = [];
+    
+    data.answers.forEach((item, i) => {
+      const index = this._requireOptionIndex(item.answer, options, `response/answers/${i}/answer`);
       
-      // Normalize confidence to 0-100 range
-      parsed.confidence = Math.max(0, Math.min(100, parsed.confidence));
+      // Repeated selections count once
+      if (answers.some(a => a.answerIndex === index)) return;
       
-      // Try to match answer to actual options
-      const matchedOption = this._matchAnswerToOption(parsed.answer, options);
-      if (matchedOption) {
-        parsed.answer = matchedOption;
-      }
+      answers.push({
+        answer: options[index],
+        answerIndex: index,
+        confidence: this._normalizeConfidence(item.confidence)
+      });
+    });
+    
+    const result = this._multiSelectResult(answers, data.explanation || 'No explanation provided');
+    result.options = this._parseOptionRationales(data.options, options);
+    
+    return result;
+  }
+  
+  /**
+   * Parse the per-option verdicts and rationales
+   * Entries are matched to the real options and returned in option order; options
+   * the model skipped are left out.
+   * @param {*} entries - The "options" array from the model
+   * @param {Array<string>} options - Option texts
+   * @returns {Array<Object>|undefined} [{ option, index, verdict, rationale }] or undefined if absent
+   */
+  _parseOptionRationales(entries, options) {
+    if (!Array.isArray(entries)) {
+      return undefined;
+    }
+    
+    const byIndex = new Map();
+    for (const entry of entries) {
+      if (!entry) continue;
       
-      return {
-        answer: parsed.answer,
-        confidence: Math.round(parsed.confidence),
-        explanation: parsed.explanation
-      };
+      const index = this._resolveOptionIndex(entry.option, options);
+      if (index === -1 || byIndex.has(index)) continue;
       
-    } catch (error) {
-      console.error('Error parsing AI response:', error);
-      console.error('Raw response:', responseText);
+      byIndex.set(index, {
+        option: options[index],
+        index: index,
+        verdict: /^(correct|true|yes|right)$/i.test(String(entry.verdict).trim()) ? 'correct' : 'incorrect',
+        rationale: entry.rationale ? String(entry.rationale) : ''
+      });
+    }
+    
+    return [...byIndex.keys()].sort((a, b) => a - b).map(index => byIndex.get(index));
+  }
+  
+  /**
+   * Build a multi-select answer object
+   * The overall confidence is the lowest per-option confidence: the set is only
+   * right if every selection is.
+   * @param {Array<Object>} answers - [{ answer, answerIndex, confidence }]
+   * @param {string} explanation - Explanation
+   * @returns {Object} Answer object
+   */
+  _multiSelectResult(answers, explanation) {
+    return {
+      answer: answers.map(a => a.answer).join('; '),
+      answers: answers,
+      confidence: answers.length > 0 ? Math.min(...answers.map(a => a.confidence)) : 0,
+      explanation: explanation
+    };
+  }
+  
+  /**
+   * Map a validated fill-in-the-blank response, snapping to the word bank
+   * @param {Object} data - Schema-validated response
+   * @param {Array<string>} options - Word bank (may be empty)
+   * @returns {Object} Answer object with a `blanks` array, one entry per blank
+   * @throws {Error} When every blank is empty
+   */
+  _parseFillBlankResponse(data, options) {
+    const blanks = data.blanks
+      .map(blank => blank.trim())
+      .filter(Boolean)
+      .map(text => (options.length > 0 && this._matchAnswerToOption(text, options)) || text);
+    
+    if (blanks.length === 0) {
+      throw new Error('response/blanks contains only empty strings');
+    }
+    
+    return {
+      answer: blanks.join('; '),
+      blanks: blanks,
+      confidence: this._normalizeConfidence(data.confidence),
+      explanation: data.explanation || 'No explanation provided'
+    };
+  }
+  
+  /**
+   * Map a validated numeric-answer response
+   * @param {Object} data - Schema-validated response
+   * @returns {Object} Answer object with `value` and `unit`
+   */
+  _parseNumericResponse(data) {
+    return this._numericResult(
+      data.value,
+      data.unit || null,
+      this._normalizeConfidence(data.confidence),
+      data.explanation || 'No explanation provided'
+    );
+  }
+  
+  /**
+   * Build a numeric answer object
+   * @param {number} value - Parsed value
+   * @param {string|null} unit - Unit, if any
+   * @param {number} confidence - Confidence
+   * @param {string} explanation - Explanation
+   * @returns {Object} Answer object
+   */
+  _numericResult(value, unit, confidence, explanation) {
+    return {
+      answer: unit ? `${value} ${unit}` : String(value),
+      value: value,
+      unit: unit,
+      confidence: confidence,
+      explanation: explanation
+    };
+  }
+  
+  /**
+   * Map a validated matching response onto the premises and options
+   * Premises the model left out are omitted; repeated premises keep the first pair.
+   * @param {Object} data - Schema-validated response
+   * @param {Array<string>} premises - Left column
+   * @param {Array<string>} options - Right column
+   * @returns {Object} Answer object with a `matches` array in premise order
+   * @throws {Error} When a pair refers to no premise or option
+   */
+  _parseMatchingResponse(data, premises, options) {
+    const matched = new Map();
+    
+    data.matches.forEach((item, i) => {
+      const premise = this._resolvePremise(item.premise, premises);
+      if (!premise) {
+        throw new Error(`response/matches/${i}/premise "${String(item.premise).substring(0, 50)}" matches no premise; use a number from 1 to ${premises.length}`);
+      }
       
-      // Fallback: try to extract answer from unstructured text
-      return this._fallbackParse(responseText, options);
+      const answerIndex = this._requireOptionIndex(item.answer, options, `response/matches/${i}/answer`);
+      if (matched.has(premise)) return;
+      
+      matched.set(premise, {
+        premise: premise,
+        answer: options[answerIndex],
+        answerIndex: answerIndex,
+        confidence: this._normalizeConfidence(item.confidence)
+      });
+    });
+    
+    const matches = premises.filter(p => matched.has(p)).map(p => matched.get(p));
+    return this._matchingResult(matches, data.explanation || 'No explanation provided');
+  }
+  
+  /**
+   * Build a matching answer object
+   * @param {Array<Object>} matches - [{ premise, answer, confidence }]
+   * @param {string} explanation - Explanation
+   * @returns {Object} Answer object
+   */
+  _matchingResult(matches, explanation) {
+    return {
+      answer: matches.map(m => `${m.premise} → ${m.answer}`).join('; '),
+      matches: matches,
+      confidence: matches.length > 0 ? Math.min(...matches.map(m => m.confidence)) : 0,
+      explanation: explanation
+    };
+  }
+  
+  /**
+   * Map a validated ordering response onto the items
+   * @param {Object} data - Schema-validated response
+   * @param {Array<string>} options - Items to order
+   * @returns {Object} Answer object with an `order` array
+   * @throws {Error} When an entry refers to no item
+   */
+  _parseOrderingResponse(data, options) {
+    const order = [];
+    
+    data.order.forEach((item, i) => {
+      const index = this._requireOptionIndex(item, options, `response/order/${i}`);
+      if (!order.includes(options[index])) {
+        order.push(options[index]);
+      }
+    });
+    
+    return this._orderingResult(
+      order,
+      options,
+      this._normalizeConfidence(data.confidence),
+      data.explanation || 'No explanation provided'
+    );
+  }
+  
+  /**
+   * Build an ordering answer object, completing a partial order
+   * Items left out are appended in their original order, and the confidence is
+   * capped because that part of the ordering is a guess.
+   * @param {Array<string>} order - Items in answer order
+   * @param {Array<string>} options - All items
+   * @param {number} confidence - Confidence
+   * @param {string} explanation - Explanation
+   * @returns {Object} Answer object
+   */
+  _orderingResult(order, options, confidence, explanation) {
+    const missing = options.filter(option => !order.includes(option));
+    const fullOrder = [...order, ...missing];
+    
+    return {
+      answer: fullOrder.join(' → '),
+      order: fullOrder,
+      confidence: missing.length > 0 ? Math.min(confidence, 40) : confidence,
+      explanation: explanation
+    };
+  }
+  
+  /**
+   * Coerce a model-reported confidence into an integer 0-100
+   * @param {*} value - Reported confidence
+   * @returns {number} Confidence
+   */
+  _normalizeConfidence(value) {
+    const confidence = typeof value === 'string' ? parseFloat(value) : value;
+    
+    if (typeof confidence !== 'number' || isNaN(confidence)) {
+      return 70; // Default confidence
     }
+    
+    return Math.round(Math.max(0, Math.min(100, confidence)));
   }
   
   /**
-   * Fallback parsing for non-JSON responses
-   * @param {string} text - Response text
-   * @param {Array<string>} options - Options
-   * @returns {Object} Best-effort parsed response
+   * Resolve the model's reference to an option into its index
+   * The prompts ask for option letters; any other reference is matched by text
+   * as a logged fallback.
+   * @param {*} reference - Option letter ("C", "C)") or, from non-compliant models, option text
+   * @param {Array<string>} options - Option texts
+   * @returns {number} Option index, or -1 if nothing matches
    */
-  _fallbackParse(text, options) {
-    // Try to find option letter (A, B, C, D)
-    const letterMatch = text.match(/\b([A-D])[.\):\s]/i);
+  _resolveOptionIndex(reference, options) {
+    if (reference === undefined || reference === null || String(reference).trim() === '') {
+      return -1;
+    }
+    
+    const text = String(reference).trim();
+    const letterMatch = text.match(/^\(?([A-Z])\)?[.):]?$/i);
     if (letterMatch) {
       const index = letterMatch[1].toUpperCase().charCodeAt(0) - 'A'.charCodeAt(0);
-      if (index >= 0 && index < options.length) {
-        return {
-          answer: options[index],
-          confidence: 50,
-          explanation: 'Extracted from unstructured response'
-        };
+      if (index < options.length) {
+        return index;
       }
     }
     
-    // Try to match any option text
-    for (const option of options) {
-      if (text.toLowerCase().includes(option.toLowerCase())) {
-        return {
-          answer: option,
-          confidence: 40,
-          explanation: 'Matched from response text'
-        };
-      }
+    const matchedOption = this._matchAnswerToOption(text, options);
+    if (matchedOption) {
+      logger.warn('Option reference is not a letter; matched by text', { answer: text });
+      return options.indexOf(matchedOption);
     }
     
-    // Last resort: return first option with low confidence
-    return {
-      answer: options[0],
-      confidence: 20,
-      explanation: 'Unable to parse AI response reliably'
-    };
+    return -1;
+  }
+  
+  /**
+   * Resolve an option reference the answer depends on
+   * @param {*} reference - Option letter or text
+   * @param {Array<string>} options - Option texts
+   * @param {string} field - Path of the reference in the response, for the error message
+   * @returns {number} Option index
+   * @throws {Error} When the reference matches no option
+   */
+  _requireOptionIndex(reference, options, field) {
+    const index = this._resolveOptionIndex(reference, options);
+    
+    if (index === -1) {
+      const lastLetter = String.fromCharCode(64 + options.length);
+      throw new Error(`${field} "${String(reference).substring(0, 50)}" matches no option; use one of the letters A-${lastLetter}`);
+    }
+    
+    return index;
+  }
+  
+  /**
+   * Resolve a matching premise reference (1-based number, or text) to the premise
+   * @param {*} reference - Premise number or text
+   * @param {Array<string>} premises - Premise texts
+   * @returns {string|null} Premise text
+   */
+  _resolvePremise(reference, premises) {
+    if (reference === undefined || reference === null) {
+      return null;
+    }
+    
+    const number = Number(reference);
+    if (Number.isInteger(number) && number >= 1 && number <= premises.length) {
+      return premises[number - 1];
+    }
+    
+    return this._matchAnswerToOption(String(reference), premises);
   }
   
   /**
@@ -269,34 +916,24 @@ class AIService {
   
   /**
    * Health check for AI service
+   * Reports on every registered provider; top-level fields describe the active one
+   * and `failover` lists the circuit state of each provider in the chain
    * @returns {Promise<Object>} Health status
    */
   async healthCheck() {
-    try {
-      if (this.provider === 'openai') {
-        // Simple test call
-        await this.openai.models.list();
-        return {
-          status: 'healthy',
-          provider: 'openai',
-          model: OPENAI_MODEL
-        };
-      } else if (this.provider === 'ollama') {
-        const response = await axios.get(`${OLLAMA_URL}/api/tags`);
-        return {
-          status: 'healthy',
-          provider: 'ollama',
-          model: OLLAMA_MODEL,
-          available: response.data.models || []
-        };
-      }
-    } catch (error) {
-      return {
-        status: 'unhealthy',
-        provider: this.provider,
-        error: error.message
-      };
-    }
+    const adapters = this.registry.list();
+    const statuses = await Promise.all(adapters.map(adapter => adapter.health()));
+    
+    const providers = {};
+    adapters.forEach((adapter, i) => {
+      providers[adapter.name] = statuses[i];
+    });
+    
+    return {
+      ...providers[this.provider],
+      providers: providers,
+      failover: this.chain.describe()
+    };
   }
 }
 
@@ -0,0 +1,352 @@
+/**
+ * Answer Cache
+ * Order-invariant cache of AI answers: one LRU of at most maxEntries entries,
+ * held in memory and mirrored to a JSON file that survives restarts
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ANSWER_CACHE } = require('../config/constants');
+const logger = require('../utils/logger').child({ component: 'answer-cache' });
+
+// Answer fields stored alongside answer/confidence/explanation
+const ANSWER_FIELDS = ['answerIndex', 'answers', 'blanks', 'value', 'unit', 'matches', 'order', 'options', 'verification'];
+
+// Prose naming an option by letter ("option C", "(C)", "C)"); prompts ask for the
+// option text instead, but models do not always comply
+const OPTION_LETTER = /\b(?:[Oo]ptions?|[Aa]nswers?|[Cc]hoices?)\s+\(?[A-J]\b|\([A-J]\)|\b[A-J]\)/;
+
+// Fenced code blocks; indentation and case inside them are significant
+const CODE_FENCE = /(```[\s\S]*?```)/;
+
+class AnswerCache {
+  constructor(config) {
+    this.enabled = config.enabled;
+    this.maxEntries = config.maxEntries;
+    this.ttlMs = config.ttlMs;
+    this.filePath = config.filePath;
+    
+    this.entries = new Map(); // Map keeps insertion order: least recently used first
+    this.stats = { hits: 0, misses: 0 };
+    this.saveTimer = null;
+    
+    if (this.enabled) {
+      this._load();
+    }
+  }
+  
+  /**
+   * Normalize text for keying (case, whitespace, unicode forms)
+   * Fenced code blocks are kept verbatim, so snippets that differ only in
+   * indentation or case stay different questions.
+   * @param {string} text - Text to normalize
+   * @returns {string} Normalized text
+   */
+  normalize(text) {
+    return String(text)
+      .split(CODE_FENCE)
+      .map(part => CODE_FENCE.test(part) ? part : part
+        .normalize('NFKC')
+        .toLowerCase()
+        .replace(/\s+/g, ' '))
+      .join('')
+      .trim();
+  }
+  
+  /**
+   * Cache key: question plus the option set, independent of option order
+   * The same question under a different passage ("What is the main idea?") or
+   * with a different figure is a different question, so the context and the
+   * images are part of the key.
+   * @param {string} question - Question text
+   * @param {Array<string>} options - Option texts
+   * @param {Object} [settings] - { type, premises, context, images }
+   * @returns {string} Cache key
+   */
+  keyFor(question, options, { type = 'single', premises, context, images } = {}) {
+    const optionSet = options.map(opt => this.normalize(opt)).sort();
+    const parts = [this.normalize(question), optionSet];
+    
+    // Single-answer keys predate question types and stay unchanged
+    if (type !== 'single') {
+      parts.push(type);
+    }
+    
+    if (premises && premises.length > 0) {
+      parts.push(premises.map(premise => this.normalize(premise)).sort());
+    }
+    
+    if (context) {
+      parts.push({ context: this.normalize(context) });
+    }
+    
+    if (images && images.length > 0) {
+      parts.push({ images: images.map(image => [image.label || 'Figure', this._digest(image.data)]) });
+    }
+    
+    return this._digest(JSON.stringify(parts));
+  }
+  
+  _digest(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+  }
+  
+  /**
+   * Look up a cached answer, remapped to the caller's option order
+   * @param {string} question - Question text
+   * @param {Array<string>} options - Option texts in the caller's order
+   * @param {Object} [settings] - { type, premises, context, images }
+   * @returns {Object|null} Answer object or null on miss
+   */
+  get(question, options, settings = {}) {
+    if (!this.enabled) return null;
+    
+    const key = this.keyFor(question, options, settings);
+    const entry = this.entries.get(key);
+    
+    if (!entry || this._isExpired(entry)) {
+      if (entry) this._delete(key);
+      this.stats.misses++;
+      return null;
+    }
+    
+    // Letters in the explanation would point at the wrong options
+    if (this._hasMovedLetters(entry, options)) {
+      this.stats.misses++;
+      return null;
+    }
+    
+    this._touch(key, entry);
+    this.stats.hits++;
+    
+    return this._remap(entry, options, settings.premises || []);
+  }
+  
+  /**
+   * Store an answer
+   * Option texts are remapped onto the caller's spelling on lookup, so free-text
+   * answers (fill-in-the-blank, numeric) keep their original case.
+   * @param {string} question - Question text
+   * @param {Array<string>} options - Option texts
+   * @param {Object} result - Answer object from the AI service
+   * @param {Object} [settings] - { type, premises, context, images }
+   */
+  set(question, options, result, settings = {}) {
+    if (!this.enabled) return;
+    
+    const key = this.keyFor(question, options, settings);
+    const now = Date.now();
+    const entry = {
+      answer: result.answer,
+      confidence: result.confidence,
+      explanation: result.explanation,
+      optionOrder: options.map(option => this.normalize(option)),
+      createdAt: now,
+      expiresAt: now + this.ttlMs
+    };
+    
+    // Type-specific fields, per-option rationales and execution traces (see ANSWER_FIELDS)
+    for (const field of ANSWER_FIELDS) {
+      if (result[field] !== undefined) {
+        entry[field] = result[field];
+      }
+    }
+    
+    this._touch(key, entry);
+    this._scheduleSave();
+  }
+  
+  /**
+   * Remove a single question from the cache
+   * @param {string} question - Question text
+   * @param {Array<string>} options - Option texts
+   * @param {Object} [settings] - { type, premises, context, images }
+   * @returns {boolean} True if an entry was removed
+   */
+  invalidate(question, options, settings) {
+    const removed = this._delete(this.keyFor(question, options, settings));
+    if (removed) this._scheduleSave();
+    return removed;
+  }
+  
+  /**
+   * Remove every entry
+   * @returns {number} Number of entries removed
+   */
+  clear() {
+    const count = this.entries.size;
+    this.entries.clear();
+    this._scheduleSave();
+    return count;
+  }
+  
+  /**
+   * @returns {Object} Cache statistics
+   */
+  getStats() {
+    return {
+      enabled: this.enabled,
+      entries: this.entries.size,
+      maxEntries: this.maxEntries,
+      ttlMs: this.ttlMs,
+      hits: this.stats.hits,
+      misses: this.stats.misses
+    };
+  }
+  
+  /**
+   * Check whether an entry's prose names option letters and the caller's options
+   * come in a different order than the cached ones (or an unknown order, for
+   * entries stored before the order was recorded)
+   * @param {Object} entry - Cache entry
+   * @param {Array<string>} options - Caller's options
+   * @returns {boolean} True when the letters may no longer match
+   */
+  _hasMovedLetters(entry, options) {
+    const sameOrder = Array.isArray(entry.optionOrder) &&
+      entry.optionOrder.length === options.length &&
+      entry.optionOrder.every((option, i) => option === this.normalize(options[i]));
+    if (sameOrder) return false;
+    
+    const prose = [entry.explanation, ...(entry.options || []).map(o => o.rationale)].join('\n');
+    return OPTION_LETTER.test(prose);
+  }
+  
+  /**
+   * Map the stored answer back onto the caller's option and premise text
+   * Option indexes are recomputed: the key ignores option order, so the caller's
+   * order can differ from the one that was cached.
+   * @param {Object} entry - Cache entry
+   * @param {Array<string>} options - Caller's options
+   * @param {Array<string>} premises - Caller's premises
+   * @returns {Object} Answer object
+   */
+  _remap(entry, options, premises) {
+    const toCaller = list => text => list.find(item => this.normalize(item) === this.normalize(text)) || text;
+    const toCallerOption = toCaller(options);
+    const indexOf = text => {
+      const index = options.indexOf(text);
+      return index === -1 ? null : index;
+    };
+    
+    const result = {
+      ...entry,
+      answer: toCallerOption(entry.answer)
+    };
+    delete result.optionOrder;
+    delete result.createdAt;
+    delete result.expiresAt;
+    
+    if (entry.answerIndex !== undefined) {
+      result.answerIndex = indexOf(result.answer);
+    }
+    
+    if (entry.answers) {
+      result.answers = entry.answers.map(a => {
+        const answer = toCallerOption(a.answer);
+        return { ...a, answer: answer, answerIndex: indexOf(answer) };
+      });
+      result.answer = result.answers.map(a => a.answer).join('; ');
+    }
+    
+    if (entry.options) {
+      result.options = entry.options
+        .map(o => {
+          const option = toCallerOption(o.option);
+          return { ...o, option: option, index: indexOf(option) };
+        })
+        // Options the caller no longer has (index null) go last
+        .sort((a, b) => (a.index === null ? Infinity : a.index) - (b.index === null ? Infinity : b.index));
+    }
+    
+    if (entry.blanks) {
+      result.blanks = entry.blanks.map(toCallerOption);
+    }
+    
+    if (entry.order) {
+      result.order = entry.order.map(toCallerOption);
+      result.answer = result.order.join(' → ');
+    }
+    
+    if (entry.matches) {
+      const toCallerPremise = toCaller(premises);
+      result.matches = entry.matches
+        .map(m => {
+          const answer = toCallerOption(m.answer);
+          return { ...m, premise: toCallerPremise(m.premise), answer: answer, answerIndex: indexOf(answer) };
+        })
+        .sort((a, b) => premises.indexOf(a.premise) - premises.indexOf(b.premise));
+      result.answer = result.matches.map(m => `${m.premise} → ${m.answer}`).join('; ');
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Mark entry as most recently used, evicting the oldest beyond capacity
+   */
+  _touch(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+  
+  _delete(key) {
+    return this.entries.delete(key);
+  }
+  
+  _isExpired(entry) {
+    return entry.expiresAt <= Date.now();
+  }
+  
+  _load() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      
+      // Saved least recently used first, so replaying keeps the LRU order
+      for (const [key, entry] of Object.entries(data.entries || {})) {
+        if (!this._isExpired(entry)) {
+          this._touch(key, entry);
+        }
+      }
+      
+      logger.info('Answer cache loaded', { entries: this.entries.size });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Failed to load answer cache, starting empty', { error });
+      }
+    }
+  }
+  
+  /**
+   * Debounce disk writes so bursts of answers cause a single save
+   */
+  _scheduleSave() {
+    if (this.saveTimer) return;
+    
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this._save().catch(error => logger.warn('Failed to persist answer cache', { error }));
+    }, 1000);
+    this.saveTimer.unref();
+  }
+  
+  async _save() {
+    for (const [key, entry] of this.entries) {
+      if (this._isExpired(entry)) this.entries.delete(key);
+    }
+    
+    const entries = [...this.entries.entries()];
+    
+    const tmpPath = `${this.filePath}.tmp`;
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.writeFile(tmpPath, JSON.stringify({ entries: Object.fromEntries(entries) }));
+    await fs.promises.rename(tmpPath, this.filePath);
+  }
+}
+
+module.exports = new AnswerCache(ANSWER_CACHE);
\ No newline at end of file
@@ -6,59 +6,164 @@
 const express = require('express');
 const router = express.Router();
 const aiService = require('../services/ai-service');
-const { validateAnswerRequest, sanitizeRequest } = require('../middleware/validator');
-const { HTTP_STATUS } = require('../config/constants');
+const answerCache = require('../services/answer-cache');
+const { validateAnswerRequest, validateBatchRequest, sanitizeRequest } = require('../middleware/validator');
+const { checkBudget, sendBudgetExceeded } = require('../middleware/budget');
+const { rateLimit } = require('../middleware/rate-limit');
+const { requireAdmin } = require('../middleware/auth');
+const { runWithConcurrency } = require('../services/worker-pool');
+const jobQueue = require('../services/job-queue');
+const { HTTP_STATUS, BATCH } = require('../config/constants');
+const logger = require('../utils/logger').child({ component: 'answer' });
+
+// One bucket for single, streamed and batch answers; a batch costs one token per question
+const answerLimit = rateLimit('answer', req => (
+  Array.isArray(req.body.questions) ? Math.max(1, req.body.questions.length) : 1
+));
+
+/**
+ * Answer through the cache, falling back to the AI service on a miss
+ * Ensemble requests bypass the cache so every call returns a fresh vote breakdown,
+ * and unresolved results are not cached so the question is retried next time.
+ * The budget is only checked before calling the AI service: cache hits are free.
+ * @param {string} question - Question text
+ * @param {Array<string>} options - Option texts
+ * @param {Object} [settings] - AI service settings ({ signal, ensemble, type, premises, context, images })
+ * @returns {Promise<Object>} { result, cached }
+ * @throws {Error} From checkBudget when the answer is not cached and the budget is used up
+ */
+async function answerWithCache(question, options, settings = {}) {
+  if (aiService.resolveEnsemble(settings.ensemble)) {
+    checkBudget();
+    return { result: await aiService.answerMCQ(question, options, settings), cached: false };
+  }
+  
+  const cachedResult = answerCache.get(question, options, settings);
+  if (cachedResult) {
+    return { result: cachedResult, cached: true };
+  }
+  
+  checkBudget();
+  const result = await aiService.answerMCQ(question, options, settings);
+  if (result.status !== 'unresolved') {
+    answerCache.set(question, options, result, settings);
+  }
+  
+  return { result, cached: false };
+}
+
+/**
+ * Map an AI service error to an HTTP status and client-facing message
+ * @param {Error} error - Error thrown by the AI service
+ * @returns {Object} { statusCode, errorMessage }
+ */
+function mapAIError(error) {
+  let statusCode = HTTP_STATUS.INTERNAL_SERVER_ERROR;
+  let errorMessage = 'Failed to process question';
+  
+  if (error.message.includes('API key')) {
+    statusCode = HTTP_STATUS.UNAUTHORIZED;
+    errorMessage = 'AI service authentication failed';
+  } else if (error.message.includes('rate limit')) {
+    statusCode = HTTP_STATUS.SERVICE_UNAVAILABLE;
+    errorMessage = 'AI service rate limit exceeded';
+  } else if (error.message.includes('not running') || error.message.includes('unavailable')) {
+    statusCode = HTTP_STATUS.SERVICE_UNAVAILABLE;
+    errorMessage = 'AI service unavailable';
+  } else if (error.message.includes('timed out')) {
+    statusCode = HTTP_STATUS.GATEWAY_TIMEOUT;
+    errorMessage = 'AI service timed out';
+  } else if (error.message.includes('vision-capable')) {
+    statusCode = HTTP_STATUS.UNPROCESSABLE_ENTITY;
+    errorMessage = 'No configured AI provider accepts images';
+  } else if (error.message.includes('Unsupported AI provider')) {
+    statusCode = HTTP_STATUS.BAD_REQUEST;
+    errorMessage = 'Requested AI provider is not available';
+  }
+  
+  return { statusCode, errorMessage };
+}
+
+/**
+ * Client-facing answer fields; the type-specific ones are left out when absent
+ * @param {string} [type] - Question type
+ * @param {Object} result - Answer object from the AI service or cache
+ * @returns {Object} Response fields
+ */
+function answerFields(type, result) {
+  return {
+    type: type || 'single',
+    status: result.status || 'answered', // 'unresolved' when the model gave no valid answer
+    answer: result.answer,
+    answerIndex: result.answerIndex, // position of the answer in the request's options
+    answers: result.answers,   // multiSelect
+    blanks: result.blanks,     // fillBlank
+    value: result.value,       // numeric
+    unit: result.unit,         // numeric
+    matches: result.matches,   // matching
+    order: result.order,       // ordering
+    options: result.options,   // per-option verdict and rationale
+    confidence: result.confidence,
+    explanation: result.explanation,
+    verification: result.verification // execution trace for JavaScript output questions
+  };
+}
+
+/**
+ * Write one Server-Sent Event
+ * @param {Object} res - Express response
+ * @param {string} event - Event name
+ * @param {Object} data - JSON payload
+ */
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
 
 /**
  * POST /api/answer
  * Answer an MCQ question
  */
-router.post('/', sanitizeRequest, validateAnswerRequest, async (req, res) => {
+router.post('/', answerLimit, sanitizeRequest, validateAnswerRequest, async (req, res) => {
   try {
-    const { question, options } = req.body;
+    const { question, options = [], premises, ensemble, type, context, images } = req.body;
     
-    console.log(`[Answer Request] Question: ${question.substring(0, 50)}...`);
-    console.log(`[Answer Request] Options count: ${options.length}`);
+    logger.info('Answer request', { type: type || 'single', optionCount: options.length, imageCount: images ? images.length : 0, question });
     
     // Call AI service
     const startTime = Date.now();
-    const result = await aiService.answerMCQ(question, options);
+    const { result, cached } = await answerWithCache(question, options, { ensemble, type, premises, context, images });
     const duration = Date.now() - startTime;
     
-    console.log(`[Answer Response] Answer: ${result.answer}`);
-    console.log(`[Answer Response] Confidence: ${result.confidence}%`);
-    console.log(`[Answer Response] Duration: ${duration}ms`);
+    logger.info('Answer response', {
+      status: result.status || 'answered',
+      confidence: result.confidence,
+      cached: cached,
+      durationMs: duration,
+      answer: result.answer
+    });
     
     // Return response
     res.status(HTTP_STATUS.OK).json({
       success: true,
-      answer: result.answer,
-      confidence: result.confidence,
-      explanation: result.explanation,
+      ...answerFields(type, result),
+      ensemble: result.ensemble,
       metadata: {
         processingTime: duration,
+        cached: cached,
+        provider: result.provider, // after failover, not necessarily AI_PROVIDER
         timestamp: new Date().toISOString()
       }
     });
     
   } catch (error) {
-    console.error('[Answer Error]', error);
-    
-    // Determine appropriate status code
-    let statusCode = HTTP_STATUS.INTERNAL_SERVER_ERROR;
-    let errorMessage = 'Failed to process question';
-    
-    if (error.message.includes('API key')) {
-      statusCode = HTTP_STATUS.UNAUTHORIZED;
-      errorMessage = 'AI service authentication failed';
-    } else if (error.message.includes('rate limit')) {
-      statusCode = HTTP_STATUS.SERVICE_UNAVAILABLE;
-      errorMessage = 'AI service rate limit exceeded';
-    } else if (error.message.includes('not running')) {
-      statusCode = HTTP_STATUS.SERVICE_UNAVAILABLE;
-      errorMessage = 'AI service unavailable';
+    if (error.budget) {
+      return sendBudgetExceeded(res, error);
     }
     
+    logger.error('Answer failed', { error });
+    
+    const { statusCode, errorMessage } = mapAIError(error);
+    
     res.status(statusCode).json({
       success: false,
       error: errorMessage,
@@ -68,78 +173,218 @@ router.post('/', sanitizeRequest, validateAnswerRequest, async (req, res) => {
 });
 
 /**
- * POST /api/answer/batch
- * Answer multiple MCQ questions
+ * POST /api/answer/stream
+ * Answer an MCQ question as Server-Sent Events:
+ *   token       - { text } raw model output delta
+ *   explanation - { text } explanation received so far
+ *   result      - final validated answer (same shape as POST /api/answer)
+ *   error       - { error, status }
  */
-router.post('/batch', sanitizeRequest, async (req, res) => {
+router.post('/stream', answerLimit, sanitizeRequest, validateAnswerRequest, async (req, res) => {
+  const { question, options = [], premises, type, context, images } = req.body;
+  const startTime = Date.now();
+  
+  logger.info('Stream request', { type: type || 'single', optionCount: options.length, imageCount: images ? images.length : 0, question });
+  
+  // Checked before the event stream starts, so a refusal is still a plain 429
+  const cachedResult = answerCache.get(question, options, { type, premises, context, images });
+  if (!cachedResult) {
+    try {
+      checkBudget();
+    } catch (error) {
+      return sendBudgetExceeded(res, error);
+    }
+  }
+  
+  res.status(HTTP_STATUS.OK).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+  
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+  
+  const sendResult = (result, cached) => {
+    sendEvent(res, 'result', {
+      success: true,
+      ...answerFields(type, result),
+      metadata: {
+        processingTime: Date.now() - startTime,
+        cached: cached,
+        provider: result.provider,
+        timestamp: new Date().toISOString()
+      }
+    });
+  };
+  
   try {
-    const { questions } = req.body;
-    
-    if (!Array.isArray(questions)) {
-      return res.status(HTTP_STATUS.BAD_REQUEST).json({
-        success: false,
-        error: 'Questions must be an array'
-      });
+    if (cachedResult) {
+      sendResult(cachedResult, true);
+    } else {
+      const settings = { signal: controller.signal, type, premises, context, images };
+      
+      for await (const event of aiService.streamMCQ(question, options, settings)) {
+        if (event.type === 'result') {
+          if (event.result.status !== 'unresolved') {
+            answerCache.set(question, options, event.result, { type, premises, context, images });
+          }
+          sendResult(event.result, false);
+          logger.info('Stream response', {
+            status: event.result.status,
+            confidence: event.result.confidence,
+            durationMs: Date.now() - startTime,
+            answer: event.result.answer
+          });
+        } else {
+          sendEvent(res, event.type, { text: event.text });
+        }
+      }
     }
-    
-    if (questions.length === 0) {
-      return res.status(HTTP_STATUS.BAD_REQUEST).json({
-        success: false,
-        error: 'No questions provided'
-      });
+  } catch (error) {
+    if (controller.signal.aborted) {
+      logger.warn('Stream cancelled: client disconnected');
+      return;
     }
     
-    if (questions.length > 20) {
-      return res.status(HTTP_STATUS.BAD_REQUEST).json({
-        success: false,
-        error: 'Maximum 20 questions per batch'
-      });
+    logger.error('Stream failed', { error });
+    
+    const { statusCode, errorMessage } = mapAIError(error);
+    sendEvent(res, 'error', {
+      success: false,
+      status: statusCode,
+      error: errorMessage,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+  
+  res.end();
+});
+
+/**
+ * Answer a batch of questions, BATCH.concurrency at a time
+ * @param {Array<Object>} questions - Batch items ({ question, options, premises, ensemble, type, context, images })
+ * @param {Object} [options] - Batch options
+ * @param {string} [options.context] - Passage shared by every question without its own context
+ * @param {AbortSignal} [options.signal] - Stops starting new questions
+ * @param {Function} [options.onProgress] - (completed, total) => void after each question
+ * @returns {Promise<Object|null>} Body of a successful batch response, or null when cancelled
+ */
+async function answerBatch(questions, { signal, onProgress, context: sharedContext } = {}) {
+  logger.info('Batch request', { questions: questions.length, concurrency: BATCH.concurrency, sharedContext: Boolean(sharedContext) });
+  
+  const startTime = Date.now();
+  
+  const settled = await runWithConcurrency(
+    questions,
+    ({ question, options = [], premises, ensemble, type, context = sharedContext, images }, i, itemSignal) =>
+      answerWithCache(question, options, { signal: itemSignal, ensemble, type, premises, context, images }),
+    {
+      concurrency: BATCH.concurrency,
+      itemTimeoutMs: BATCH.itemTimeoutMs,
+      signal: signal,
+      onSettled: onProgress
+    }
+  );
+  
+  if (signal && signal.aborted) {
+    logger.warn('Batch cancelled', { durationMs: Date.now() - startTime });
+    return null;
+  }
+  
+  const results = settled.map((outcome, i) => {
+    if (outcome.status === 'fulfilled') {
+      const { result: { provider, ...result }, cached } = outcome.value;
+      return {
+        index: i,
+        success: true,
+        ...result,
+        metadata: { cached, provider }
+      };
     }
     
-    console.log(`[Batch Request] Processing ${questions.length} questions`);
+    logger.error('Batch question failed', { index: i, error: outcome.reason });
+    return {
+      index: i,
+      success: false,
+      error: outcome.reason.message
+    };
+  });
+  
+  const duration = Date.now() - startTime;
+  const successCount = results.filter(r => r.success).length;
+  
+  logger.info('Batch complete', { successful: successCount, total: questions.length, durationMs: duration });
+  
+  return {
+    success: true,
+    total: questions.length,
+    successful: successCount,
+    failed: questions.length - successCount,
+    results: results,
+    metadata: {
+      processingTime: duration,
+      timestamp: new Date().toISOString()
+    }
+  };
+}
+
+jobQueue.define('batch', {
+  run: async ({ questions, context }, { signal, reportProgress }) => {
+    const result = await answerBatch(questions, {
+      signal,
+      context,
+      onProgress: (completed, total) => reportProgress(completed / total * 100, `answered ${completed} of ${total}`)
+    });
     
-    const results = [];
-    const startTime = Date.now();
+    if (!result) throw new Error('Batch cancelled');
+    return result;
+  }
+});
+
+/**
+ * POST /api/answer/batch
+ * Answer multiple MCQ questions
+ * With ?async=true, responds 202 with a job to poll at /api/jobs/:id
+ */
+router.post('/batch', answerLimit, sanitizeRequest, validateBatchRequest, async (req, res) => {
+  try {
+    // Shape and batch size were checked against the OpenAPI document
+    const { questions, context } = req.body;
     
-    for (let i = 0; i < questions.length; i++) {
-      const { question, options } = questions[i];
+    if (req.query.async === 'true') {
+      const job = jobQueue.create('batch', { questions, context }, { owner: req.apiKey ? req.apiKey.id : null });
       
-      try {
-        const result = await aiService.answerMCQ(question, options);
-        results.push({
-          index: i,
-          success: true,
-          ...result
-        });
-      } catch (error) {
-        console.error(`[Batch Error] Question ${i}:`, error);
-        results.push({
-          index: i,
-          success: false,
-          error: error.message
-        });
-      }
+      return res.status(HTTP_STATUS.ACCEPTED).location(`/api/jobs/${job.id}`).json({
+        success: true,
+        job: job
+      });
     }
     
-    const duration = Date.now() - startTime;
-    const successCount = results.filter(r => r.success).length;
-    
-    console.log(`[Batch Complete] ${successCount}/${questions.length} successful in ${duration}ms`);
-    
-    res.status(HTTP_STATUS.OK).json({
-      success: true,
-      total: questions.length,
-      successful: successCount,
-      failed: questions.length - successCount,
-      results: results,
-      metadata: {
-        processingTime: duration,
-        timestamp: new Date().toISOString()
+    // Stop starting new questions once the client has gone away
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        controller.abort();
       }
     });
     
+    const result = await answerBatch(questions, { signal: controller.signal, context });
+    
+    if (!result) {
+      logger.warn('Client disconnected before the batch finished');
+      return;
+    }
+    
+    res.status(HTTP_STATUS.OK).json(result);
+    
   } catch (error) {
-    console.error('[Batch Error]', error);
+    logger.error('Batch failed', { error });
     
     res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
       success: false,
@@ -149,4 +394,44 @@ router.post('/batch', sanitizeRequest, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/answer/cache
+ * Answer cache statistics
+ */
+router.get('/cache', (req, res) => {
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    cache: answerCache.getStats()
+  });
+});
+
+/**
+ * POST /api/answer/cache/invalidate
+ * Remove one question (any option order) from the cache
+ */
+router.post('/cache/invalidate', sanitizeRequest, validateAnswerRequest, (req, res) => {
+  const { question, options = [], premises, type, context, images } = req.body;
+  const removed = answerCache.invalidate(question, options, { type, premises, context, images });
+  
+  res.status(removed ? HTTP_STATUS.OK : HTTP_STATUS.NOT_FOUND).json({
+    success: removed,
+    removed: removed ? 1 : 0
+  });
+});
+
+/**
+ * DELETE /api/answer/cache
+ * Clear the whole answer cache (admin keys only)
+ */
+router.delete('/cache', requireAdmin, (req, res) => {
+  const removed = answerCache.clear();
+  
+  logger.info('Answer cache cleared', { removed });
+  
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    removed: removed
+  });
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,129 @@
+/**
+ * API Key Store
+ * Hashed API keys in a JSON file, shared by the server and the manage-keys CLI
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { AUTH } = require('../config/constants');
+
+const KEY_PREFIX = 'mcq_';
+
+class ApiKeyStore {
+  constructor(config) {
+    this.filePath = config.keysFile;
+    this.keys = [];
+    this.loadedMtime = null;
+  }
+  
+  /**
+   * Create a key; the plaintext is returned once and only its hash is stored
+   * @param {string} name - Label for the key, e.g. "laptop extension"
+   * @param {Object} [options] - { admin } lets the key clear the answer cache and read the configuration
+   * @returns {Object} { id, name, admin, key }
+   */
+  create(name, { admin = false } = {}) {
+    this._reload();
+    
+    const id = crypto.randomBytes(4).toString('hex');
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    
+    this.keys.push({
+      id: id,
+      name: name,
+      admin: admin,
+      hash: this._hash(key),
+      createdAt: new Date().toISOString(),
+      revokedAt: null
+    });
+    this._save();
+    
+    return { id, name, admin, key };
+  }
+  
+  /**
+   * @returns {Array<Object>} Keys without their hashes
+   */
+  list() {
+    this._reload();
+    return this.keys.map(({ hash, ...key }) => key);
+  }
+  
+  /**
+   * Revoke a key by ID
+   * @param {string} id - Key ID
+   * @returns {boolean} True if an active key was revoked
+   */
+  revoke(id) {
+    this._reload();
+    
+    const key = this.keys.find(k => k.id === id && !k.revokedAt);
+    if (!key) return false;
+    
+    key.revokedAt = new Date().toISOString();
+    this._save();
+    return true;
+  }
+  
+  /**
+   * Check a presented key
+   * @param {string} key - Plaintext key from the request
+   * @returns {Object|null} { id, name, admin } of the matching active key, or null
+   */
+  verify(key) {
+    if (!key) return null;
+    this._reload();
+    
+    const presented = Buffer.from(this._hash(key), 'hex');
+    const match = this.keys.find(k =>
+      !k.revokedAt && crypto.timingSafeEqual(Buffer.from(k.hash, 'hex'), presented)
+    );
+    
+    // Keys created before admin keys existed are regular keys
+    return match ? { id: match.id, name: match.name, admin: match.admin === true } : null;
+  }
+  
+  /**
+   * @returns {boolean} True if at least one key is active
+   */
+  hasActiveKeys() {
+    this._reload();
+    return this.keys.some(k => !k.revokedAt);
+  }
+  
+  _hash(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+  
+  /**
+   * Re-read the file when it changed, so keys created or revoked with the CLI
+   * apply to a running server
+   */
+  _reload() {
+    let mtime;
+    try {
+      mtime = fs.statSync(this.filePath).mtimeMs;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      this.keys = [];
+      this.loadedMtime = null;
+      return;
+    }
+    
+    if (mtime !== this.loadedMtime) {
+      this.keys = JSON.parse(fs.readFileSync(this.filePath, 'utf8')).keys || [];
+      this.loadedMtime = mtime;
+    }
+  }
+  
+  _save() {
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(tmpPath, JSON.stringify({ keys: this.keys }, null, 2), { mode: 0o600 });
+    fs.renameSync(tmpPath, this.filePath);
+    this.loadedMtime = fs.statSync(this.filePath).mtimeMs;
+  }
+}
+
+module.exports = new ApiKeyStore(AUTH);
\ No newline at end of file
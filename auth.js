@@ -0,0 +1,76 @@
+/**
+ * Authentication Middleware
+ * Requires a valid API key on /api routes, and an admin key on admin routes
+ */
+
+const apiKeyStore = require('../services/api-key-store');
+const { AUTH, HTTP_STATUS } = require('../config/constants');
+const logger = require('../utils/logger').child({ component: 'auth' });
+
+/**
+ * Read the key from X-API-Key, or from an "Authorization: Bearer" header
+ * @param {Object} req - Express request
+ * @returns {string|undefined} Presented key
+ */
+const readApiKey = (req) => {
+  const header = req.get('X-API-Key');
+  if (header) return header.trim();
+  
+  const authorization = req.get('Authorization');
+  const bearer = authorization && authorization.match(/^Bearer\s+(.+)$/i);
+  return bearer ? bearer[1].trim() : undefined;
+};
+
+/**
+ * Reject requests without a valid, unrevoked API key (skipped when AUTH_ENABLED=false)
+ */
+const requireApiKey = (req, res, next) => {
+  if (!AUTH.enabled) {
+    return next();
+  }
+  
+  const presented = readApiKey(req);
+  
+  if (!presented) {
+    return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+      success: false,
+      error: 'API key required. Send it in the X-API-Key header.'
+    });
+  }
+  
+  const key = apiKeyStore.verify(presented);
+  
+  if (!key) {
+    logger.warn('Rejected invalid API key', { path: req.originalUrl, ip: req.ip });
+    
+    return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+      success: false,
+      error: 'Invalid or revoked API key'
+    });
+  }
+  
+  req.apiKey = key;
+  next();
+};
+
+/**
+ * Reject requests whose key is not an admin key (skipped when AUTH_ENABLED=false)
+ * Runs after requireApiKey.
+ */
+const requireAdmin = (req, res, next) => {
+  if (!AUTH.enabled || (req.apiKey && req.apiKey.admin)) {
+    return next();
+  }
+  
+  logger.warn('Rejected non-admin API key', { path: req.originalUrl, keyId: req.apiKey && req.apiKey.id });
+  
+  res.status(HTTP_STATUS.FORBIDDEN).json({
+    success: false,
+    error: 'This endpoint requires an admin API key'
+  });
+};
+
+module.exports = {
+  requireApiKey,
+  requireAdmin
+};
\ No newline at end of file
@@ -6,9 +6,17 @@
 const CONFIG = {
   BACKEND_URL: 'http://localhost:3000',
   TIMEOUT: 30000, // 30 seconds
-  MAX_RETRIES: 2
+  MAX_RETRIES: 2,
+  MAX_RETRY_WAIT: 20000, // Longer Retry-After waits are reported instead of waited out
+  JOB_POLL_INTERVAL: 1000,
+  JOB_TIMEOUT: 300000, // 5 minutes for a queued OCR job to finish
+  HEALTH_TIMEOUT: 5000
 };
 
+// Question types that cannot be answered without options (QUESTION_SCHEMAS on the
+// backend); true/false defaults its options, fill-in-the-blank and numeric have none
+const TYPES_REQUIRING_OPTIONS = ['single', 'multiSelect', 'matching', 'ordering'];
+
 /**
  * Listen for messages from popup or content script
  */
@@ -28,7 +36,10 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   }
   
   if (request.action === 'getSettings') {
-    getSettings().then(sendResponse);
+    // Content scripts run inside web pages and never need the API key
+    getSettings()
+      .then(settings => sendResponse(sender.tab ? { ...settings, apiKey: undefined } : settings))
+      .catch(error => sendResponse({ error: error.message }));
     return true;
   }
   
@@ -36,46 +47,62 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     saveSettings(request.data).then(sendResponse);
     return true;
   }
+  
+  if (request.action === 'checkBackend') {
+    checkBackend().then(sendResponse);
+    return true;
+  }
 });
 
+/**
+ * Ask the backend whether it can answer questions
+ * /health/ready is public and answers from the backend's cached provider check,
+ * so this is cheap enough to call whenever the popup opens.
+ * @returns {Promise<Object>} { state: 'ready' | 'not_ready' | 'offline', provider, model, error }
+ */
+async function checkBackend() {
+  const settings = await getSettings();
+  
+  try {
+    const response = await fetch(`${settings.backendUrl || CONFIG.BACKEND_URL}/health/ready`, {
+      signal: AbortSignal.timeout(CONFIG.HEALTH_TIMEOUT)
+    });
+    const body = await response.json();
+    const ai = body.services.ai || {};
+    
+    return {
+      state: body.status,
+      provider: ai.provider,
+      model: ai.model,
+      error: ai.error || (body.checkedAt ? undefined : 'Provider check still running')
+    };
+  } catch (error) {
+    return { state: 'offline', error: error.message };
+  }
+}
+
 /**
  * Send question to AI backend
  * @param {Object} data - Question and options
  * @returns {Promise<Object>} AI response
  */
 async function handleAnalyzeQuestion(data) {
-  const { question, options } = data;
+  const { question, options, premises, context, images, index, type } = data;
+  
+  const optionsRequired = TYPES_REQUIRING_OPTIONS.includes(type || 'single');
   
-  if (!question || !options || options.length === 0) {
+  if (!question || (optionsRequired && (!options || options.length === 0))) {
     throw new Error('Invalid question data');
   }
   
   const settings = await getSettings();
-  const endpoint = `${settings.backendUrl || CONFIG.BACKEND_URL}/api/answer`;
+  const endpoint = `${settings.backendUrl || CONFIG.BACKEND_URL}/api/answer/stream`;
   
   try {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), CONFIG.TIMEOUT);
-    
-    const response = await fetch(endpoint, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({ question, options }),
-      signal: controller.signal
-    });
-    
-    clearTimeout(timeoutId);
+    const result = await streamAnswer(endpoint, { question, options, premises, context, images, type }, index, settings.apiKey);
     
-    if (!response.ok) {
-      throw new Error(`Backend error: ${response.status}`);
-    }
-    
-    const result = await response.json();
-    
-    // Validate response structure
-    if (!result.answer || typeof result.confidence !== 'number') {
+    // Validate response structure; unresolved answers carry no answer text
+    if ((!result.answer && result.status !== 'unresolved') || typeof result.confidence !== 'number') {
       throw new Error('Invalid response from AI backend');
     }
     
@@ -94,8 +121,118 @@ async function handleAnalyzeQuestion(data) {
   }
 }
 
+/**
+ * Stream an answer from the backend's SSE endpoint
+ * Explanation progress is forwarded to the popup as it arrives. The timeout
+ * restarts whenever the backend sends data, so slow models are not cut off
+ * while they are still producing output.
+ * @param {string} endpoint - Stream endpoint URL
+ * @param {Object} body - Question and options
+ * @param {number} index - MCQ index, echoed in progress messages
+ * @param {string} [apiKey] - Backend API key
+ * @returns {Promise<Object>} Final answer event
+ */
+async function streamAnswer(endpoint, body, index, apiKey) {
+  const controller = new AbortController();
+  let timeoutId = setTimeout(() => controller.abort(), CONFIG.TIMEOUT);
+  
+  const resetTimeout = () => {
+    clearTimeout(timeoutId);
+    timeoutId = setTimeout(() => controller.abort(), CONFIG.TIMEOUT);
+  };
+  
+  try {
+    const response = await fetchRespectingRateLimit(endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'text/event-stream',
+        ...authHeaders(apiKey)
+      },
+      body: JSON.stringify(body),
+      signal: controller.signal
+    }, resetTimeout);
+    
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+      throw new Error(body.error || `Backend error: ${response.status}`);
+    }
+    
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      
+      resetTimeout();
+      buffer += decoder.decode(value, { stream: true });
+      
+      // Events are separated by a blank line
+      const frames = buffer.split('\n\n');
+      buffer = frames.pop();
+      
+      for (const frame of frames) {
+        const event = parseSSEFrame(frame);
+        
+        if (event.name === 'explanation') {
+          notifyAnswerProgress(index, event.data.text);
+        } else if (event.name === 'result') {
+          return event.data;
+        } else if (event.name === 'error') {
+          throw new Error(event.data.error);
+        }
+      }
+    }
+    
+    throw new Error('Backend closed the stream without an answer');
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Parse one Server-Sent Event frame
+ * @param {string} frame - Raw event text
+ * @returns {Object} { name, data }
+ */
+function parseSSEFrame(frame) {
+  let name = 'message';
+  const dataLines = [];
+  
+  frame.split('\n').forEach(line => {
+    if (line.startsWith('event:')) {
+      name = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).trim());
+    }
+  });
+  
+  return {
+    name: name,
+    data: dataLines.length > 0 ? JSON.parse(dataLines.join('\n')) : null
+  };
+}
+
+/**
+ * Forward partial explanation text to the popup (if it is open)
+ * @param {number} index - MCQ index
+ * @param {string} explanation - Explanation received so far
+ */
+function notifyAnswerProgress(index, explanation) {
+  chrome.runtime.sendMessage({
+    action: 'answerProgress',
+    data: { index, explanation }
+  }).catch(() => {
+    // Popup closed; nothing to update
+  });
+}
+
 /**
  * Handle OCR request
+ * The upload is queued as a backend job and polled, so large files are not
+ * cut off by a single request's timeout.
  * @param {Object} data - Image or PDF data
  * @returns {Promise<Object>} Extracted text
  */
@@ -103,7 +240,7 @@ async function handleOCR(data) {
   const { fileData, fileType } = data;
   
   const settings = await getSettings();
-  const endpoint = `${settings.backendUrl || CONFIG.BACKEND_URL}/api/ocr`;
+  const backendUrl = settings.backendUrl || CONFIG.BACKEND_URL;
   
   try {
     const formData = new FormData();
@@ -111,21 +248,28 @@ async function handleOCR(data) {
     formData.append('file', blob, `upload.${fileType}`);
     
     const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), CONFIG.TIMEOUT * 2); // OCR takes longer
+    const startTimeout = () => setTimeout(() => controller.abort(), CONFIG.TIMEOUT);
+    let timeoutId = startTimeout();
     
-    const response = await fetch(endpoint, {
+    const response = await fetchRespectingRateLimit(`${backendUrl}/api/ocr?async=true`, {
       method: 'POST',
+      headers: authHeaders(settings.apiKey),
       body: formData,
       signal: controller.signal
+    }, () => {
+      clearTimeout(timeoutId);
+      timeoutId = startTimeout();
     });
     
     clearTimeout(timeoutId);
     
     if (!response.ok) {
-      throw new Error(`OCR service error: ${response.status}`);
+      const body = await response.json().catch(() => ({}));
+      throw new Error(body.error || `OCR service error: ${response.status}`);
     }
     
-    const result = await response.json();
+    const { job } = await response.json();
+    const result = await waitForJob(`${backendUrl}/api/jobs/${job.id}`, settings.apiKey);
     
     return {
       success: true,
@@ -133,24 +277,117 @@ async function handleOCR(data) {
     };
   } catch (error) {
     console.error('Error performing OCR:', error);
+    
+    if (error.name === 'AbortError') {
+      throw new Error('OCR failed: Request timed out. Backend may be offline.');
+    }
+    
     throw new Error(`OCR failed: ${error.message}`);
   }
 }
 
+/**
+ * Poll a backend job until it finishes
+ * A job still unfinished after JOB_TIMEOUT is cancelled so it stops using the server.
+ * @param {string} jobUrl - URL of the job
+ * @param {string} [apiKey] - Backend API key
+ * @returns {Promise<Object>} Result of the completed job
+ */
+async function waitForJob(jobUrl, apiKey) {
+  const deadline = Date.now() + CONFIG.JOB_TIMEOUT;
+  
+  while (Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, CONFIG.JOB_POLL_INTERVAL));
+    
+    const response = await fetch(jobUrl, {
+      headers: authHeaders(apiKey),
+      signal: AbortSignal.timeout(CONFIG.TIMEOUT)
+    });
+    const body = await response.json().catch(() => ({}));
+    
+    if (!response.ok) {
+      throw new Error(body.error || `Job status error: ${response.status}`);
+    }
+    
+    const { job } = body;
+    
+    if (job.status === 'completed') {
+      return job.result;
+    }
+    if (job.status === 'failed') {
+      throw new Error(job.error || 'Job failed');
+    }
+    if (job.status === 'cancelled') {
+      throw new Error('Job was cancelled');
+    }
+  }
+  
+  await fetch(jobUrl, { method: 'DELETE', headers: authHeaders(apiKey) }).catch(() => {
+    // The job expires on the server anyway
+  });
+  
+  throw new Error(`Timed out after ${CONFIG.JOB_TIMEOUT / 1000} seconds waiting for the OCR job`);
+}
+
+/**
+ * Fetch, waiting out short rate limits
+ * A 429 with a Retry-After of up to MAX_RETRY_WAIT is retried (at most
+ * MAX_RETRIES times); a longer wait is reported with the time to retry.
+ * @param {string} url - Request URL
+ * @param {Object} options - fetch options (the body must be reusable)
+ * @param {Function} [onRetry] - Called before each wait, e.g. to restart a timeout
+ * @returns {Promise<Response>} Response that is not a 429
+ */
+async function fetchRespectingRateLimit(url, options, onRetry) {
+  for (let attempt = 0; ; attempt++) {
+    const response = await fetch(url, options);
+    
+    if (response.status !== 429) {
+      return response;
+    }
+    
+    const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+    const waitMs = Number.isFinite(retryAfter) ? retryAfter * 1000 : null;
+    
+    if (waitMs === null || waitMs > CONFIG.MAX_RETRY_WAIT || attempt >= CONFIG.MAX_RETRIES) {
+      // Budget and rate limit rejections say when to come back
+      const body = await response.json().catch(() => ({}));
+      throw new Error(body.error || (waitMs !== null
+        ? `Backend is rate limiting requests. Try again in ${retryAfter} seconds.`
+        : 'Backend is rate limiting requests. Try again later.'));
+    }
+    
+    if (onRetry) onRetry();
+    await new Promise(resolve => setTimeout(resolve, waitMs));
+  }
+}
+
+/**
+ * Headers that authenticate a backend request
+ * @param {string} [apiKey] - Backend API key
+ * @returns {Object} Headers
+ */
+function authHeaders(apiKey) {
+  return apiKey ? { 'X-API-Key': apiKey } : {};
+}
+
 /**
  * Get extension settings from storage
+ * The API key lives in local storage so it is not synced to other devices.
  * @returns {Promise<Object>} Settings object
  */
 async function getSettings() {
-  return new Promise((resolve) => {
-    chrome.storage.sync.get(['backendUrl', 'stealthMode', 'autoHighlight'], (items) => {
-      resolve({
-        backendUrl: items.backendUrl || CONFIG.BACKEND_URL,
-        stealthMode: items.stealthMode !== false, // Default true
-        autoHighlight: items.autoHighlight !== false // Default true
-      });
-    });
-  });
+  const [items, secrets] = await Promise.all([
+    chrome.storage.sync.get(['backendUrl', 'stealthMode', 'autoHighlight']),
+    chrome.storage.local.get(['apiKey'])
+  ]);
+  
+  return {
+    backendUrl: items.backendUrl || CONFIG.BACKEND_URL,
+    apiKey: secrets.apiKey || '',
+    stealthMode: items.stealthMode !== false, // Default true
+    autoHighlight: items.autoHighlight !== false // Default true
+  };
 }
 
 /**
@@ -159,11 +396,14 @@ async function getSettings() {
  * @returns {Promise<Object>} Success response
  */
 async function saveSettings(settings) {
-  return new Promise((resolve) => {
-    chrome.storage.sync.set(settings, () => {
-      resolve({ success: true });
-    });
-  });
+  const { apiKey, ...synced } = settings;
+  
+  await Promise.all([
+    chrome.storage.sync.set(synced),
+    apiKey !== undefined ? chrome.storage.local.set({ apiKey }) : Promise.resolve()
+  ]);
+  
+  return { success: true };
 }
 
 /**
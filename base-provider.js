@@ -0,0 +1,137 @@
+/**
+ * Base Provider
+ * Common interface implemented by every AI provider adapter
+ */
+
+const { OPENAI_MAX_TOKENS, OPENAI_TEMPERATURE } = require('../config/constants');
+const usageTracker = require('./usage-tracker');
+const logger = require('../utils/logger').child({ component: 'provider' });
+
+class BaseProvider {
+  /**
+   * @param {string} name - Registry name of the provider
+   * @param {Object} config - Provider configuration
+   */
+  constructor(name, config = {}) {
+    this.name = name;
+    this.label = config.label || name;
+    this.model = config.model;
+    this.visionModel = config.visionModel;
+  }
+  
+  /**
+   * Whether this provider can answer questions with images
+   * @returns {boolean} True when a vision model is configured
+   */
+  supportsImages() {
+    return Boolean(this.visionModel);
+  }
+  
+  /**
+   * Run a chat completion
+   * @param {Object} request - Completion request
+   * @param {string} request.system - System prompt
+   * @param {string} request.user - User prompt
+   * @param {number} [request.temperature] - Sampling temperature
+   * @param {number} [request.maxTokens] - Maximum tokens to generate
+   * @param {Array<Object>} [request.images] - { data, label } images as data URLs,
+   *   only sent to providers whose supportsImages() is true
+   * @param {AbortSignal} [request.signal] - Cancels the request
+   * @returns {Promise<string>} Raw model output
+   */
+  async complete(request) {
+    throw new Error(`Provider "${this.name}" does not implement complete()`);
+  }
+  
+  /**
+   * Stream a chat completion as text deltas
+   * Providers without native streaming yield the whole completion at once.
+   * @param {Object} request - Same shape as complete()
+   * @returns {AsyncGenerator<string>} Text deltas
+   */
+  async *stream(request) {
+    yield await this.complete(request);
+  }
+  
+  /**
+   * List models available on the provider
+   * @returns {Promise<Array<string>>} Model identifiers
+   */
+  async listModels() {
+    return [];
+  }
+  
+  /**
+   * Health check for this provider
+   * @returns {Promise<Object>} Health status
+   */
+  async health() {
+    try {
+      const models = await this.listModels();
+      return {
+        status: 'healthy',
+        provider: this.name,
+        model: this.model,
+        visionModel: this.visionModel,
+        available: models
+      };
+    } catch (error) {
+      return {
+        status: 'unhealthy',
+        provider: this.name,
+        model: this.model,
+        visionModel: this.visionModel,
+        error: error.message
+      };
+    }
+  }
+  
+  /**
+   * Report the token usage of one completion
+   * Adapters call this with the counts their server returns.
+   * @param {string} [model] - Model the server reports (defaults to the configured one)
+   * @param {number} [promptTokens] - Input tokens
+   * @param {number} [completionTokens] - Output tokens
+   */
+  _recordUsage(model, promptTokens, completionTokens) {
+    const usage = {
+      provider: this.name,
+      model: model || this.model,
+      promptTokens: promptTokens || 0,
+      completionTokens: completionTokens || 0
+    };
+    
+    logger.debug('Completion finished', usage);
+    usageTracker.record(usage);
+  }
+  
+  /**
+   * Fill in generation defaults
+   * @param {Object} request - Completion request
+   * @returns {Object} Request with defaults applied
+   */
+  _withDefaults(request) {
+    return {
+      temperature: OPENAI_TEMPERATURE,
+      maxTokens: OPENAI_MAX_TOKENS,
+      images: [],
+      ...request
+    };
+  }
+  
+  /**
+   * Split a data URL into its media type and base64 payload
+   * @param {string} dataUrl - data:image/png;base64,...
+   * @returns {Object} { mediaType, base64 }
+   */
+  _parseDataUrl(dataUrl) {
+    const match = dataUrl.match(/^data:([^;,]+);base64,(.*)$/s);
+    if (!match) {
+      throw new Error('Image is not a base64 data URL');
+    }
+    
+    return { mediaType: match[1], base64: match[2] };
+  }
+}
+
+module.exports = BaseProvider;
\ No newline at end of file
@@ -0,0 +1,54 @@
+/**
+ * Budget Middleware
+ * Refuses AI calls once a usage budget is exhausted. The check runs right before
+ * each call rather than per request, so cached answers stay free and every
+ * question of a batch (or batch job) is checked when its turn comes.
+ */
+
+const usageTracker = require('../services/usage-tracker');
+const { HTTP_STATUS } = require('../config/constants');
+const logger = require('../utils/logger').child({ component: 'budget' });
+
+/**
+ * Throw while the daily or monthly budget is used up; call before each AI call
+ * @throws {Error} Error with `budget` { period, limitUsd, spentUsd, resetsAt }
+ */
+const checkBudget = () => {
+  const exceeded = usageTracker.exceededBudget();
+  
+  if (!exceeded) {
+    return;
+  }
+  
+  const { period, limitUsd, spentUsd, resetsAt } = exceeded;
+  logger.warn('Budget exhausted', { period, limitUsd, spentUsd });
+  
+  const error = new Error(`The ${period} AI budget of $${limitUsd.toFixed(2)} is exhausted. Requests resume at ${resetsAt.toISOString()}.`);
+  error.budget = {
+    period: period,
+    limitUsd: limitUsd,
+    spentUsd: Math.round(spentUsd * 1e6) / 1e6,
+    resetsAt: resetsAt.toISOString()
+  };
+  throw error;
+};
+
+/**
+ * Respond 429 to a request refused by checkBudget
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by checkBudget
+ */
+const sendBudgetExceeded = (res, error) => {
+  res.set('Retry-After', String(Math.ceil((Date.parse(error.budget.resetsAt) - Date.now()) / 1000)));
+  
+  return res.status(HTTP_STATUS.TOO_MANY_REQUESTS).json({
+    success: false,
+    error: error.message,
+    budget: error.budget
+  });
+};
+
+module.exports = {
+  checkBudget,
+  sendBudgetExceeded
+};
\ No newline at end of file
@@ -0,0 +1,86 @@
+/**
+ * Circuit Breaker
+ * Stops sending requests to a provider that keeps failing, then lets one
+ * request through after a cooldown to see whether it has recovered
+ */
+
+class CircuitBreaker {
+  /**
+   * @param {Object} config - Breaker settings
+   * @param {number} config.failureThreshold - Consecutive failures that open the circuit
+   * @param {number} config.cooldownMs - How long the circuit stays open before a trial request
+   */
+  constructor(config) {
+    this.failureThreshold = config.failureThreshold;
+    this.cooldownMs = config.cooldownMs;
+    
+    this.state = 'closed'; // closed -> open -> half-open -> closed (or open again)
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+  
+  /**
+   * Whether a request may be sent now
+   * An open circuit turns half-open once the cooldown has passed; a half-open
+   * circuit admits a single trial request until that request settles.
+   * @returns {boolean} True if the circuit is closed, or half-open with no trial running
+   */
+  allowRequest() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.cooldownMs) {
+      this.state = 'half-open';
+    }
+    
+    return this.state === 'closed' || (this.state === 'half-open' && !this.trialInFlight);
+  }
+  
+  /**
+   * Mark a request as sent; call right before sending it
+   * @returns {boolean} True if the request is the half-open trial; pass it to
+   *   recordSuccess, recordFailure or recordCancel when the request settles
+   */
+  startRequest() {
+    const trial = this.state === 'half-open' && !this.trialInFlight;
+    if (trial) this.trialInFlight = true;
+    return trial;
+  }
+  
+  recordSuccess(trial = false) {
+    this.recordCancel(trial);
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+  }
+  
+  recordFailure(trial = false) {
+    this.recordCancel(trial);
+    this.failures++;
+    
+    // A failed trial request reopens the circuit straight away
+    if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+  
+  /**
+   * Settle a request without judging the provider (e.g. cancelled by the client)
+   * @param {boolean} trial - Value returned by startRequest
+   */
+  recordCancel(trial) {
+    if (trial) this.trialInFlight = false;
+  }
+  
+  /**
+   * @returns {Object} { state, failures, openedAt }
+   */
+  describe() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
\ No newline at end of file
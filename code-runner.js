@@ -0,0 +1,673 @@
+/**
+ * Code Runner
+ * Runs the JavaScript snippet of a "what does this output" question and matches
+ * the captured console output against the options
+ * The snippet runs in a fresh vm context inside a worker thread: the worker caps
+ * the heap and has an empty environment, the vm timeout caps CPU time, and no
+ * host object is passed into the context. Timers run on a virtual clock, so
+ * setTimeout(fn, 1000) costs nothing. Each snippet runs twice, as a browser
+ * script and as a Node module; output that differs between the two (top-level
+ * `this` or `var`) is reported as inconclusive rather than guessed.
+ * Node's vm module is not a security boundary and the worker shares the server
+ * process, so this is off unless CODE_EXECUTION_ENABLED=true.
+ */
+
+const { Worker } = require('worker_threads');
+const { CODE_EXECUTION } = require('../config/constants');
+const logger = require('../utils/logger').child({ component: 'code-runner' });
+
+// Fences the extractor labels as JavaScript; unlabelled code is not run
+const JAVASCRIPT_LANGUAGES = ['javascript', 'js', 'node', 'nodejs'];
+
+const FENCE = /```([\w+#-]*)\n([\s\S]*?)\n?```/g;
+
+// Question wording that asks for the output
+const OUTPUT_CUE = /\b(output|outputs|print|prints|printed|log|logs|logged|console|display|displays|displayed|result)\b/i;
+
+// Host APIs the sandbox does not provide; a ReferenceError for one of them says
+// nothing about the code
+const UNAVAILABLE_GLOBALS = [
+  'require', 'module', 'exports', 'process', 'Buffer', 'setImmediate', 'clearImmediate',
+  '__dirname', '__filename', 'performance', 'fetch', 'structuredClone', 'TextEncoder',
+  'TextDecoder', 'URL', 'URLSearchParams', 'AbortController', 'EventTarget', 'Event',
+  'window', 'document', 'navigator', 'localStorage', 'alert'
+];
+
+// How the two runs wrap the snippet
+const WRAPPERS = {
+  script: code => code,
+  module: code => `(function (module) { (function (exports, module) {\n${code}\n}).call(module.exports, module.exports, module); })({ exports: {} });`
+};
+
+/**
+ * Set up console, timers and the result report in a sandbox context
+ * Serialized and evaluated inside the context, so it may only use what the
+ * context itself provides.
+ * @param {Object} global - The context's global object
+ * @param {Object} limits - { maxOutputLines, maxTimers }
+ */
+function installSandbox(global, limits) {
+  'use strict';
+  
+  const output = [];
+  const flags = { nondeterministic: false, uninspectable: false, truncated: false };
+  const stringify = JSON.stringify;
+  const apply = Reflect.apply;
+  const ownKeys = Reflect.ownKeys;
+  const getDescriptor = Object.getOwnPropertyDescriptor;
+  const getPrototype = Object.getPrototypeOf;
+  const objectToString = Object.prototype.toString;
+  const functionToString = Function.prototype.toString;
+  const errorToString = Error.prototype.toString;
+  const resolved = Promise.resolve();
+  const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+  const MAX_DEPTH = 2;
+  const MAX_ITEMS = 100;
+  
+  const define = (name, value) => {
+    Object.defineProperty(global, name, { value, writable: true, configurable: true, enumerable: false });
+  };
+  
+  const tag = value => apply(objectToString, value, []).slice(8, -1);
+  
+  const quote = text => {
+    const mark = !text.includes("'") ? "'" : (!text.includes('"') ? '"' : '`');
+    const escaped = text.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').split(mark).join(`\\${mark}`);
+    return `${mark}${escaped}${mark}`;
+  };
+  
+  const formatKey = key => {
+    if (typeof key === 'symbol') return `[${String(key)}]`;
+    return IDENTIFIER.test(key) ? key : quote(key);
+  };
+  
+  const constructorName = value => {
+    for (let proto = getPrototype(value); proto !== null; proto = getPrototype(proto)) {
+      const descriptor = getDescriptor(proto, 'constructor');
+      if (descriptor && typeof descriptor.value === 'function' && descriptor.value.name) {
+        return descriptor.value.name;
+      }
+    }
+    return null;
+  };
+  
+  const formatFunction = fn => {
+    if (apply(functionToString, fn, []).startsWith('class')) {
+      const parent = getPrototype(fn);
+      return `[class ${fn.name || '(anonymous)'}${parent && parent.name ? ` extends ${parent.name}` : ''}]`;
+    }
+    
+    const kind = tag(fn);
+    return fn.name ? `[${kind}: ${fn.name}]` : `[${kind} (anonymous)]`;
+  };
+  
+  // Approximates util.inspect with its default options; whitespace differs for long values
+  function inspect(value, depth, seen) {
+    switch (typeof value) {
+      case 'string': return quote(value);
+      case 'number': return Object.is(value, -0) ? '-0' : String(value);
+      case 'bigint': return `${value}n`;
+      case 'symbol':
+      case 'boolean':
+      case 'undefined':
+        return String(value);
+      default:
+        break;
+    }
+    
+    if (value === null) return 'null';
+    
+    const ref = seen.indexOf(value);
+    if (ref !== -1) {
+      seen.circular.add(ref);
+      return `[Circular *${ref + 1}]`;
+    }
+    
+    seen.push(value);
+    const body = formatObject(value, depth, seen);
+    seen.pop();
+    
+    return seen.circular.has(seen.length) ? `<ref *${seen.length + 1}> ${body}` : body;
+  }
+  
+  function formatObject(value, depth, seen) {
+    const kind = tag(value);
+    const name = constructorName(value);
+    
+    if (typeof value === 'function') {
+      const props = entries(value, depth, seen, () => false);
+      return props.length > 0 ? `${formatFunction(value)} { ${props.join(', ')} }` : formatFunction(value);
+    }
+    if (value instanceof Error) return apply(errorToString, value, []);
+    if (kind === 'Date') return isNaN(value.getTime()) ? 'Invalid Date' : value.toISOString();
+    if (kind === 'RegExp') return String(value);
+    if (['Number', 'String', 'Boolean', 'BigInt', 'Symbol'].includes(kind)) {
+      return `[${kind}: ${inspect(value.valueOf(), depth, seen)}]`;
+    }
+    if (['Promise', 'WeakMap', 'WeakSet', 'WeakRef'].includes(kind)) {
+      // Their state cannot be read from JavaScript
+      flags.uninspectable = true;
+      return `${kind} { <unknown> }`;
+    }
+    
+    if (depth > MAX_DEPTH) {
+      return `[${Array.isArray(value) ? 'Array' : (name || 'Object')}]`;
+    }
+    
+    if (Array.isArray(value) || (ArrayBuffer.isView(value) && kind !== 'DataView')) {
+      const items = [];
+      let holes = 0;
+      const flushHoles = () => {
+        if (holes > 0) items.push(`<${holes} empty item${holes > 1 ? 's' : ''}>`);
+        holes = 0;
+      };
+      
+      for (let i = 0; i < Math.min(value.length, MAX_ITEMS); i++) {
+        if (!(i in value)) {
+          holes++;
+          continue;
+        }
+        flushHoles();
+        items.push(inspect(value[i], depth + 1, seen));
+      }
+      flushHoles();
+      
+      if (value.length > MAX_ITEMS) {
+        items.push(`... ${value.length - MAX_ITEMS} more item${value.length - MAX_ITEMS > 1 ? 's' : ''}`);
+      }
+      
+      items.push(...entries(value, depth, seen, key => typeof key === 'string' && /^\d+$/.test(key)));
+      const prefix = name === 'Array' ? '' : `${name || 'Array'}(${value.length}) `;
+      return items.length > 0 ? `${prefix}[ ${items.join(', ')} ]` : `${prefix}[]`;
+    }
+    
+    if (kind === 'Map' || kind === 'Set') {
+      const items = [];
+      value.forEach((item, key) => {
+        items.push(kind === 'Map'
+          ? `${inspect(key, depth + 1, seen)} => ${inspect(item, depth + 1, seen)}`
+          : inspect(item, depth + 1, seen));
+      });
+      const prefix = `${name || kind}(${value.size})`;
+      return items.length > 0 ? `${prefix} { ${items.join(', ')} }` : `${prefix} {}`;
+    }
+    
+    let prefix = '';
+    if (getPrototype(value) === null) {
+      prefix = '[Object: null prototype] ';
+    } else if (name !== 'Object' || kind !== 'Object') {
+      prefix = kind !== 'Object' && kind !== name ? `${name || 'Object'} [${kind}] ` : `${name || '[Object: null prototype]'} `;
+    }
+    
+    const props = entries(value, depth, seen, () => false);
+    return props.length > 0 ? `${prefix}{ ${props.join(', ')} }` : `${prefix}{}`;
+  }
+  
+  // "key: value" for the own enumerable properties that `skip` does not exclude
+  function entries(value, depth, seen, skip) {
+    const result = [];
+    
+    for (const key of ownKeys(value)) {
+      const descriptor = getDescriptor(value, key);
+      if (!descriptor.enumerable || skip(key)) continue;
+      
+      if (descriptor.get || descriptor.set) {
+        const accessor = descriptor.get && descriptor.set ? 'Getter/Setter' : (descriptor.get ? 'Getter' : 'Setter');
+        result.push(`${formatKey(key)}: [${accessor}]`);
+      } else {
+        result.push(`${formatKey(key)}: ${inspect(descriptor.value, depth + 1, seen)}`);
+      }
+    }
+    
+    return result;
+  }
+  
+  const inspectTop = value => {
+    const seen = [];
+    seen.circular = new Set();
+    return inspect(value, 0, seen);
+  };
+  
+  // util.format: printf-style placeholders in a leading string, then the rest
+  const format = args => {
+    const parts = [];
+    let rest = args;
+    
+    if (typeof args[0] === 'string') {
+      let index = 1;
+      parts.push(args[0].replace(/%([sdifjoOc%])/g, (match, type) => {
+        if (type === '%') return '%';
+        if (index >= args.length) return match;
+        
+        const arg = args[index++];
+        switch (type) {
+          case 's': return typeof arg === 'string' ? arg : inspectTop(arg);
+          case 'd': return typeof arg === 'bigint' ? `${arg}n` : inspectTop(typeof arg === 'object' ? NaN : Number(arg));
+          case 'i': return typeof arg === 'bigint' ? `${arg}n` : String(parseInt(arg, 10));
+          case 'f': return String(parseFloat(arg));
+          case 'j': return stringify(arg);
+          case 'c': return '';
+          default: return inspectTop(arg);
+        }
+      }));
+      rest = args.slice(index);
+    }
+    
+    rest.forEach(arg => parts.push(typeof arg === 'string' ? arg : inspectTop(arg)));
+    return parts.join(' ');
+  };
+  
+  let indent = '';
+  const counts = new Map();
+  
+  const write = text => {
+    for (const line of String(text).split('\n')) {
+      if (output.length >= limits.maxOutputLines) {
+        flags.truncated = true;
+        return;
+      }
+      output[output.length] = indent + line;
+    }
+  };
+  
+  const log = (...args) => write(format(args));
+  
+  define('console', {
+    log, info: log, debug: log, warn: log, error: log,
+    dir: value => write(inspectTop(value)),
+    assert: (condition, ...args) => {
+      if (!condition) write(args.length > 0 ? `Assertion failed: ${format(args)}` : 'Assertion failed');
+    },
+    count: (label = 'default') => {
+      counts.set(String(label), (counts.get(String(label)) || 0) + 1);
+      write(`${label}: ${counts.get(String(label))}`);
+    },
+    countReset: (label = 'default') => counts.delete(String(label)),
+    group: (...args) => {
+      if (args.length > 0) write(format(args));
+      indent += '  ';
+    },
+    groupEnd: () => {
+      indent = indent.slice(2);
+    },
+    // Timings and tables are not reproduced
+    table: () => { flags.uninspectable = true; },
+    time: () => { flags.nondeterministic = true; },
+    timeEnd: () => { flags.nondeterministic = true; },
+    timeLog: () => { flags.nondeterministic = true; },
+    trace: () => { flags.uninspectable = true; }
+  });
+  
+  // Timers on a virtual clock, ordered by due time, then by creation
+  const timers = new Map();
+  let clock = 0;
+  let sequence = 0;
+  let nextId = 1;
+  let ran = 0;
+  
+  const schedule = (callback, delay, args, repeat) => {
+    if (typeof callback !== 'function') {
+      throw new TypeError('The "callback" argument must be of type function');
+    }
+    
+    let ms = Number(delay);
+    if (!(ms >= 1 && ms <= 2147483647)) ms = 1;
+    
+    const id = nextId++;
+    timers.set(id, { due: clock + ms, sequence: sequence++, callback, args, repeat: repeat ? ms : 0 });
+    return id;
+  };
+  
+  const clear = id => { timers.delete(id); };
+  
+  define('setTimeout', (callback, delay, ...args) => schedule(callback, delay, args, false));
+  define('setInterval', (callback, delay, ...args) => schedule(callback, delay, args, true));
+  define('clearTimeout', clear);
+  define('clearInterval', clear);
+  define('queueMicrotask', callback => {
+    if (typeof callback !== 'function') {
+      throw new TypeError('The "callback" argument must be of type function');
+    }
+    resolved.then(() => callback());
+  });
+  define('global', global);
+  
+  // Output that depends on these differs from run to run
+  const realRandom = Math.random;
+  Math.random = function random() {
+    flags.nondeterministic = true;
+    return realRandom();
+  };
+  
+  const RealDate = Date;
+  const realNow = RealDate.now;
+  RealDate.now = function now() {
+    flags.nondeterministic = true;
+    return realNow();
+  };
+  define('Date', new Proxy(RealDate, {
+    apply(target, thisArg, args) {
+      flags.nondeterministic = true;
+      return apply(target, thisArg, args);
+    },
+    construct(target, args, newTarget) {
+      if (args.length === 0) flags.nondeterministic = true;
+      return Reflect.construct(target, args, newTarget);
+    }
+  }));
+  
+  define('__sandbox', Object.freeze({
+    // Run the next due timer; false when none is left or the limit is reached
+    runNextTimer() {
+      let id = null;
+      let next = null;
+      
+      timers.forEach((timer, timerId) => {
+        if (!next || timer.due < next.due || (timer.due === next.due && timer.sequence < next.sequence)) {
+          id = timerId;
+          next = timer;
+        }
+      });
+      
+      if (!next) return false;
+      
+      if (++ran > limits.maxTimers) {
+        flags.truncated = true;
+        return false;
+      }
+      
+      clock = next.due;
+      if (next.repeat) {
+        next.due = clock + next.repeat;
+        next.sequence = sequence++;
+      } else {
+        timers.delete(id);
+      }
+      
+      apply(next.callback, undefined, next.args);
+      return true;
+    },
+    
+    describe(error) {
+      if (error instanceof Error) {
+        return stringify({ name: String(error.name), message: String(error.message) });
+      }
+      return stringify({ name: null, message: inspectTop(error) });
+    },
+    
+    report() {
+      return stringify({ output, ...flags });
+    }
+  }));
+}
+
+/**
+ * Worker entry point: runs workerData.code once per wrapper and posts the runs
+ * Serialized into the worker, so it may only use Node built-ins.
+ */
+function runInWorker() {
+  const vm = require('vm');
+  const { parentPort, workerData } = require('worker_threads');
+  const { runs, prelude, timeoutMs } = workerData;
+  
+  const runOnce = script => {
+    // A null-prototype sandbox object, so nothing in the context leads back to host constructors
+    const context = vm.createContext(Object.create(null), {
+      codeGeneration: { strings: false, wasm: false },
+      microtaskMode: 'afterEvaluate'
+    });
+    vm.runInContext(prelude, context);
+    
+    const nextTimer = new vm.Script('__sandbox.runNextTimer()');
+    const started = Date.now();
+    const run = compiled => compiled.runInContext(context, { timeout: Math.max(1, started + timeoutMs - Date.now()) });
+    
+    let error = null;
+    let timedOut = false;
+    
+    try {
+      run(script);
+      while (run(nextTimer)) {
+        // Each callback runs, then its microtasks, like a Node timers phase
+      }
+    } catch (thrown) {
+      if (thrown && thrown.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+        timedOut = true;
+      } else {
+        error = JSON.parse(context.__sandbox.describe(thrown));
+      }
+    }
+    
+    const report = JSON.parse(vm.runInContext('__sandbox.report()', context, { timeout: 100 }));
+    return { ...report, error, timedOut, durationMs: Date.now() - started };
+  };
+  
+  let scripts;
+  try {
+    scripts = runs.map(([name, source]) => [name, new vm.Script(source, { filename: 'snippet.js' })]);
+  } catch (error) {
+    parentPort.postMessage({ syntaxError: `${error.name}: ${error.message}` });
+    return;
+  }
+  
+  parentPort.postMessage({ runs: scripts.map(([name, script]) => ({ name, ...runOnce(script) })) });
+}
+
+class CodeRunner {
+  constructor(config) {
+    this.enabled = config.enabled;
+    this.timeoutMs = config.timeoutMs;
+    this.memoryMb = config.memoryMb;
+    this.maxOutputLines = config.maxOutputLines;
+    this.maxTimers = config.maxTimers;
+    
+    this.prelude = `(${installSandbox})(globalThis, ${JSON.stringify({
+      maxOutputLines: this.maxOutputLines,
+      maxTimers: this.maxTimers
+    })});`;
+  }
+  
+  /**
+   * Find the snippet of a question that asks for the output of some JavaScript
+   * @param {string} question - Question text, with code as fences
+   * @returns {string|null} The code of its only JavaScript fence, or null
+   */
+  findSnippet(question) {
+    const fences = [...String(question).matchAll(FENCE)];
+    const snippets = fences.filter(([, language]) => JAVASCRIPT_LANGUAGES.includes(language.toLowerCase()));
+    
+    if (snippets.length !== 1 || !OUTPUT_CUE.test(question.replace(FENCE, ' '))) {
+      return null;
+    }
+    
+    return snippets[0][2];
+  }
+  
+  /**
+   * Run the snippet of an output question and match its output to the options
+   * @param {string} question - Question text
+   * @param {Array<string>} options - Option texts
+   * @returns {Promise<Object|null>} null when the question has no runnable snippet;
+   *   otherwise { conclusive, reason, output, error, timedOut, durationMs, matchedIndex }
+   *   where matchedIndex, the option the output matches, is set only when conclusive
+   */
+  async verify(question, options) {
+    if (!this.enabled) return null;
+    
+    const code = this.findSnippet(question);
+    if (!code) return null;
+    
+    const execution = await this.run(code);
+    if (!execution.conclusive) {
+      return execution;
+    }
+    
+    const matches = this.matchOptions(execution.output, execution.error, options);
+    
+    if (matches.length !== 1) {
+      return {
+        ...execution,
+        conclusive: false,
+        reason: matches.length === 0 ? 'The output matches no option' : 'The output matches several options'
+      };
+    }
+    
+    return { ...execution, matchedIndex: matches[0] };
+  }
+  
+  /**
+   * Run a snippet as a browser script and as a Node module
+   * Never rejects: failures to run are inconclusive results.
+   * @param {string} code - JavaScript source
+   * @returns {Promise<Object>} { conclusive, reason, output, error, timedOut, durationMs }
+   */
+  run(code) {
+    return new Promise(resolve => {
+      const worker = new Worker(`(${runInWorker})()`, {
+        eval: true,
+        env: {},
+        stdout: true,
+        stderr: true,
+        workerData: {
+          runs: Object.entries(WRAPPERS).map(([name, wrap]) => [name, wrap(code)]),
+          prelude: this.prelude,
+          timeoutMs: this.timeoutMs
+        },
+        resourceLimits: {
+          maxOldGenerationSizeMb: this.memoryMb,
+          maxYoungGenerationSizeMb: Math.max(1, Math.floor(this.memoryMb / 4))
+        }
+      });
+      
+      let settled = false;
+      const finish = result => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(deadline);
+        worker.terminate();
+        resolve(result);
+      };
+      
+      const failed = reason => ({ conclusive: false, reason, output: [], error: null, timedOut: false, durationMs: 0 });
+      
+      // Backstop for code the vm timeout cannot interrupt, such as a getter on a thrown object
+      const deadline = setTimeout(() => {
+        finish({ ...failed('The run did not finish'), timedOut: true });
+      }, 2 * this.timeoutMs + 2000);
+      
+      worker.once('message', message => {
+        finish(message.syntaxError
+          ? failed(`The snippet does not compile (${message.syntaxError})`)
+          : this._combineRuns(message.runs));
+      });
+      
+      worker.once('error', error => {
+        const reason = error.code === 'ERR_WORKER_OUT_OF_MEMORY'
+          ? `The run exceeded ${this.memoryMb} MB of memory`
+          : `The run failed: ${error.message}`;
+        logger.warn('Sandbox worker failed', { error });
+        finish(failed(reason));
+      });
+      
+      worker.once('exit', () => finish(failed('The sandbox exited without a result')));
+    });
+  }
+  
+  /**
+   * Reduce the script and module runs to one result
+   * @param {Array<Object>} runs - Per-wrapper reports from the worker
+   * @returns {Object} { conclusive, reason, output, error, timedOut, durationMs }
+   */
+  _combineRuns(runs) {
+    const durationMs = runs.reduce((total, run) => total + run.durationMs, 0);
+    const describe = run => ({
+      output: run.output,
+      error: run.error ? (run.error.name ? `${run.error.name}: ${run.error.message}` : `Uncaught ${run.error.message}`) : null,
+      timedOut: run.timedOut,
+      durationMs: durationMs
+    });
+    
+    const usable = runs.filter(run => !this._unsupportedFeature(run));
+    if (usable.length === 0) {
+      const feature = this._unsupportedFeature(runs[0]);
+      return { ...describe(runs[0]), conclusive: false, reason: `The snippet uses ${feature}, which the sandbox does not provide` };
+    }
+    
+    const [first] = usable;
+    const result = describe(first);
+    const key = run => JSON.stringify([run.output, run.error]);
+    
+    let reason = null;
+    if (usable.some(run => run.nondeterministic)) {
+      reason = 'The output depends on the time or on random numbers';
+    } else if (usable.some(run => run.timedOut)) {
+      reason = `The run did not finish within ${this.timeoutMs} ms`;
+    } else if (usable.some(run => run.truncated)) {
+      reason = 'The run produced too much output or kept scheduling timers';
+    } else if (usable.some(run => key(run) !== key(first))) {
+      reason = 'The output differs between a browser script and a Node module';
+    } else if (first.uninspectable) {
+      reason = 'The output includes values the sandbox cannot print like Node';
+    }
+    
+    return reason ? { ...result, conclusive: false, reason } : { ...result, conclusive: true };
+  }
+  
+  /**
+   * The missing host API or disabled feature a run stopped at, if any
+   * @param {Object} run - Worker run report
+   * @returns {string|null} What the snippet needed
+   */
+  _unsupportedFeature(run) {
+    if (!run.error) return null;
+    
+    if (run.error.name === 'EvalError' && run.error.message.includes('Code generation from strings')) {
+      return 'eval or the Function constructor';
+    }
+    
+    const match = run.error.name === 'ReferenceError' && run.error.message.match(/^(\S+) is not defined$/);
+    return match && UNAVAILABLE_GLOBALS.includes(match[1]) ? match[1] : null;
+  }
+  
+  /**
+   * Find the options that state the output
+   * Whitespace, quote style and spacing around punctuation are ignored, and
+   * lines may be separated by spaces or commas. An uncaught error counts as a
+   * last line, either in full ("TypeError: x is not a function") or by name.
+   * @param {Array<string>} output - Printed lines
+   * @param {string|null} error - Uncaught error, "Name: message"
+   * @param {Array<string>} options - Option texts
+   * @returns {Array<number>} Indexes of the matching options
+   */
+  matchOptions(output, error, options) {
+    const variants = error ? [[...output, error], [...output, error.split(':')[0]]] : [output];
+    
+    const expected = new Set();
+    variants.forEach(lines => {
+      expected.add(this._normalizeOutput(lines.join('\n')));
+      expected.add(this._normalizeOutput(lines.join(',')));
+    });
+    
+    return options
+      .map((option, index) => (expected.has(this._normalizeOutput(option)) ? index : -1))
+      .filter(index => index !== -1);
+  }
+  
+  /**
+   * Normalize printed output or an option for comparison
+   * @param {string} text - Output or option text
+   * @returns {string} Comparable text
+   */
+  _normalizeOutput(text) {
+    return String(text)
+      .trim()
+      .replace(/^```[\w+#-]*\n?([\s\S]*?)\n?```$/, '$1')
+      .replace(/^`([^`]*)`$/, '$1')
+      .replace(/["'`]/g, "'")
+      .replace(/\s*([,[\]{}():;=>])\s*/g, '$1')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+}
+
+module.exports = new CodeRunner(CODE_EXECUTION);
\ No newline at end of file
@@ -0,0 +1,232 @@
+/**
+ * Configuration Validator
+ * Checks the environment variables read by constants.js at boot, so every
+ * problem is reported at once instead of surfacing on the first request
+ */
+
+const Ajv = require('ajv');
+const constants = require('./constants');
+const providerRegistry = require('../services/provider-registry');
+
+const URL_PATTERN = '^https?://\\S+$';
+const LANGUAGES_PATTERN = '^[a-z_]+(\\+[a-z_]+)*$';
+
+// Readable replacements for Ajv's "must match pattern ..."
+const PATTERN_MESSAGES = {
+  [URL_PATTERN]: 'must be an http:// or https:// URL',
+  [LANGUAGES_PATTERN]: 'must be Tesseract language codes joined by +, e.g. eng+spa'
+};
+
+const integer = (minimum, description) => ({ type: 'integer', minimum, description });
+const positiveNumber = (description) => ({ type: 'number', exclusiveMinimum: 0, description });
+const flag = (description) => ({ type: 'string', enum: ['true', 'false'], description });
+const url = (description) => ({ type: 'string', pattern: URL_PATTERN, description });
+const text = (description) => ({ type: 'string', minLength: 1, description });
+
+// One entry per environment variable; an unset (or empty) variable uses its default.
+// Values are checked as constants.js reads them: integers must be whole numbers,
+// because parseInt would turn "30s" into 30 and "abc" into the default.
+const ENV_SCHEMA = {
+  type: 'object',
+  properties: {
+    PORT: integer(1, 'HTTP port'),
+    NODE_ENV: { type: 'string', enum: ['development', 'production', 'test'] },
+    
+    AI_PROVIDER: text('Provider answering questions'),
+    AI_PROVIDERS: text('Comma-separated extra providers'),
+    AI_FAILOVER: text('Comma-separated providers to fall back on, in order'),
+    FAILOVER_FAILURE_THRESHOLD: integer(1),
+    FAILOVER_COOLDOWN_MS: integer(1),
+    OPENAI_API_KEY: text('OpenAI API key'),
+    OPENAI_MODEL: text('OpenAI model'),
+    OPENAI_VISION_MODEL: text('OpenAI model for questions with images'),
+    OLLAMA_URL: url('Ollama server'),
+    OLLAMA_MODEL: text('Ollama model'),
+    OLLAMA_VISION_MODEL: text('Multimodal Ollama model for questions with images'),
+    LLAMACPP_URL: url('llama.cpp server'),
+    LLAMACPP_MODEL: text('llama.cpp model'),
+    LLAMACPP_VISION_MODEL: text('llama.cpp model for questions with images'),
+    LLAMACPP_API_KEY: text('llama.cpp API key'),
+    VLLM_URL: url('vLLM server'),
+    VLLM_MODEL: text('vLLM model'),
+    VLLM_VISION_MODEL: text('vLLM model for questions with images'),
+    VLLM_API_KEY: text('vLLM API key'),
+    LMSTUDIO_URL: url('LM Studio server'),
+    LMSTUDIO_MODEL: text('LM Studio model'),
+    LMSTUDIO_VISION_MODEL: text('LM Studio model for questions with images'),
+    OPENAI_COMPATIBLE_URL: url('OpenAI-compatible server'),
+    OPENAI_COMPATIBLE_MODEL: text('OpenAI-compatible model'),
+    OPENAI_COMPATIBLE_VISION_MODEL: text('OpenAI-compatible model for questions with images'),
+    OPENAI_COMPATIBLE_API_KEY: text('OpenAI-compatible API key'),
+    OPENAI_COMPATIBLE_JSON_MODE: flag('Request JSON mode from the OpenAI-compatible server'),
+    
+    MOCK_BEHAVIOR: text('Mock provider behavior'),
+    MOCK_SCRIPT: text('Mock provider script file'),
+    MOCK_DELAY_MS: integer(1),
+    MOCK_TIMEOUT_MS: integer(1),
+    MOCK_STREAM_CHUNK_MS: integer(1),
+    MOCK_VISION: flag('Mock provider accepts images'),
+    
+    ENSEMBLE_ENABLED: flag('Vote by default'),
+    ENSEMBLE_SAMPLES: { type: 'integer', minimum: 1, maximum: constants.REQUEST_LIMITS.ensembleMaxSamples },
+    ENSEMBLE_TEMPERATURE: { type: 'number', minimum: 0, maximum: 2 },
+    ENSEMBLE_PROVIDERS: text('Comma-separated voting providers'),
+    MAX_REPAIR_ATTEMPTS: integer(0, 'Corrective re-prompts'),
+    
+    CODE_EXECUTION_ENABLED: flag('Run JavaScript snippets from pages in the server process to check output questions (off by default)'),
+    CODE_EXECUTION_TIMEOUT_MS: integer(1),
+    CODE_EXECUTION_MEMORY_MB: integer(8, 'Heap limit of the sandbox worker'),
+    
+    ANSWER_CACHE_ENABLED: flag('Answer cache'),
+    ANSWER_CACHE_MAX_ENTRIES: integer(1),
+    ANSWER_CACHE_TTL_MS: integer(1),
+    ANSWER_CACHE_FILE: text('Answer cache file'),
+    
+    BATCH_CONCURRENCY: integer(1),
+    BATCH_ITEM_TIMEOUT_MS: integer(1),
+    
+    HEALTH_REFRESH_MS: integer(1),
+    HEALTH_TIMEOUT_MS: integer(1),
+    
+    JOBS_FILE: text('Job store file'),
+    JOBS_CONCURRENCY: integer(1),
+    JOBS_RETAIN_MS: integer(1),
+    
+    USAGE_FILE: text('Usage data file'),
+    USAGE_RETAIN_DAYS: integer(1),
+    USAGE_DAILY_BUDGET_USD: positiveNumber('Daily budget'),
+    USAGE_MONTHLY_BUDGET_USD: positiveNumber('Monthly budget'),
+    USAGE_PRICES: text('JSON price table'),
+    
+    OCR_LANGUAGE: { type: 'string', pattern: LANGUAGES_PATTERN, description: 'Tesseract languages' },
+    
+    RATE_LIMIT_WINDOW_MS: integer(1),
+    RATE_LIMIT_MAX_REQUESTS: integer(1),
+    RATE_LIMIT_ANSWER_MAX: integer(1),
+    RATE_LIMIT_OCR_MAX: integer(1),
+    
+    AUTH_ENABLED: flag('API key authentication'),
+    API_KEYS_FILE: text('API key file'),
+    
+    ALLOWED_ORIGINS: text('Comma-separated CORS origins'),
+    LOG_LEVEL: { type: 'string', enum: ['error', 'warn', 'info', 'debug'] },
+    LOG_REDACT: flag('Hide question and answer content in logs')
+  }
+};
+
+// USD per million tokens per model name
+const PRICES_SCHEMA = {
+  type: 'object',
+  additionalProperties: {
+    type: 'object',
+    properties: {
+      prompt: { type: 'number', minimum: 0 },
+      completion: { type: 'number', minimum: 0 }
+    },
+    additionalProperties: false
+  }
+};
+
+// Secret settings (OPENAI_API_KEY, apiKey, ...): values never appear in messages
+const SECRET_NAME = /(API_?KEY|SECRET|PASSWORD|TOKEN)$/i;
+
+// Environment values are text; coercion checks that "30" reads as the integer 30
+const ajv = new Ajv({ allErrors: true, coerceTypes: true });
+const validateEnvSchema = ajv.compile(ENV_SCHEMA);
+const validatePrices = ajv.compile(PRICES_SCHEMA);
+
+/**
+ * Check environment variables against ENV_SCHEMA
+ * @param {Object} env - Environment, normally process.env
+ * @returns {Array<string>} Problems, e.g. 'RATE_LIMIT_MAX_REQUESTS must be integer (got "30s")'
+ */
+function validateEnv(env) {
+  // Only known variables, and empty ones count as unset like they do in constants.js
+  const values = {};
+  for (const name of Object.keys(ENV_SCHEMA.properties)) {
+    if (env[name] !== undefined && env[name] !== '') {
+      values[name] = env[name];
+    }
+  }
+  
+  const problems = [];
+  
+  if (!validateEnvSchema(values)) {
+    for (const error of validateEnvSchema.errors) {
+      const name = error.instancePath.slice(1);
+      let message = `${name} ${error.message}`;
+      
+      if (error.keyword === 'enum') {
+        message = `${name} must be one of: ${error.params.allowedValues.join(', ')}`;
+      } else if (error.keyword === 'pattern') {
+        message = `${name} ${PATTERN_MESSAGES[error.params.pattern]}`;
+      }
+      if (!SECRET_NAME.test(name)) {
+        message += ` (got "${env[name]}")`;
+      }
+      
+      problems.push(message);
+    }
+  }
+  
+  if (values.USAGE_PRICES) {
+    let prices;
+    try {
+      prices = JSON.parse(values.USAGE_PRICES);
+    } catch (error) {
+      problems.push(`USAGE_PRICES is not valid JSON (${error.message})`);
+    }
+    
+    if (prices !== undefined && !validatePrices(prices)) {
+      problems.push(`USAGE_PRICES ${ajv.errorsText(validatePrices.errors, { dataVar: 'prices' })}`);
+    }
+  }
+  
+  return problems;
+}
+
+/**
+ * Build every configured provider adapter, collecting what each constructor rejects
+ * (unknown provider names, a missing OPENAI_API_KEY, an unknown MOCK_BEHAVIOR, ...)
+ * @returns {Array<string>} Problems
+ */
+function validateProviders() {
+  const sources = [
+    ['AI_PROVIDER', [constants.AI_PROVIDER]],
+    ['AI_PROVIDERS', constants.AI_PROVIDERS.filter(name => name !== constants.AI_PROVIDER)],
+    ['AI_FAILOVER', constants.FAILOVER.chain.filter(name => name !== constants.AI_PROVIDER)],
+    ['ENSEMBLE_PROVIDERS', constants.ENSEMBLE.providers]
+  ];
+  
+  const problems = [];
+  const checked = new Set();
+  
+  for (const [variable, names] of sources) {
+    for (const name of names) {
+      if (checked.has(name)) continue;
+      checked.add(name);
+      
+      try {
+        providerRegistry.register(name);
+      } catch (error) {
+        problems.push(`${variable}: ${error.message}`);
+      }
+    }
+  }
+  
+  return problems;
+}
+
+/**
+ * Validate the whole configuration
+ * @returns {Array<string>} Every problem found; empty when the configuration is usable
+ */
+function validateConfig() {
+  return [...validateEnv(process.env), ...validateProviders()];
+}
+
+module.exports = {
+  ENV_SCHEMA,
+  SECRET_NAME,
+  validateConfig
+};
\ No newline at end of file
@@ -0,0 +1,54 @@
+/**
+ * Config Route
+ * Effective configuration with secrets redacted, for troubleshooting
+ */
+
+const express = require('express');
+const router = express.Router();
+const constants = require('../config/constants');
+const { HTTP_STATUS } = constants;
+const { ENV_SCHEMA, SECRET_NAME } = require('../config/config-validator');
+const { requireAdmin } = require('../middleware/auth');
+
+// Fixed application data rather than configuration
+const OMITTED = ['PROMPTS', 'HTTP_STATUS'];
+
+/**
+ * Copy a configuration value, replacing secrets with whether they are set
+ * @param {*} value - Value to copy
+ * @param {string} [name] - Key the value is stored under
+ * @returns {*} Redacted copy
+ */
+function redact(value, name = '') {
+  if (SECRET_NAME.test(name)) {
+    return value ? '[redacted]' : null;
+  }
+  
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item));
+  }
+  
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redact(item, key)]));
+  }
+  
+  return value === undefined ? null : value;
+}
+
+/**
+ * GET /api/config
+ * Values in effect after defaults, and which environment variables are set (admin keys only)
+ */
+router.get('/', requireAdmin, (req, res) => {
+  const config = Object.fromEntries(
+    Object.entries(constants).filter(([name]) => !OMITTED.includes(name))
+  );
+  
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    config: redact(config),
+    environment: Object.keys(ENV_SCHEMA.properties).filter(name => process.env[name])
+  });
+});
+
+module.exports = router;
\ No newline at end of file
@@ -3,23 +3,187 @@
  * Centralized configuration values
  */
 
+const AI_PROVIDER = process.env.AI_PROVIDER || 'openai';
+
+/**
+ * Parse a JSON environment variable without throwing at require time;
+ * config/config-validator.js reports malformed values at boot
+ * @param {string} [value] - Raw value
+ * @param {*} fallback - Value when unset or malformed
+ * @returns {*} Parsed value
+ */
+const parseJsonEnv = (value, fallback) => {
+  try {
+    return value ? JSON.parse(value) : fallback;
+  } catch (error) {
+    return fallback;
+  }
+};
+
+/**
+ * Parse a numeric environment variable where 0 is a valid setting
+ * @param {string} [value] - Raw value
+ * @param {number} fallback - Value when unset or not a number
+ * @returns {number} Parsed value
+ */
+const parseFloatEnv = (value, fallback) => {
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? fallback : number;
+};
+
+// Answers are cached and replayed for the same options in any order, so letters
+// are only valid inside the JSON fields; prose has to name options by their text
+const PROSE_OPTION_RULE = 'In the explanation and rationales, quote the option text instead of its letter.';
+
 module.exports = {
   // Server
   PORT: process.env.PORT || 3000,
   NODE_ENV: process.env.NODE_ENV || 'development',
   
   // AI Provider
-  AI_PROVIDER: process.env.AI_PROVIDER || 'openai',
+  AI_PROVIDER: AI_PROVIDER,
+  
+  // Every provider to register (AI_PROVIDER is always included)
+  AI_PROVIDERS: [...new Set([
+    AI_PROVIDER,
+    ...(process.env.AI_PROVIDERS || '').split(',').map(p => p.trim()).filter(Boolean)
+  ])],
+  
+  // Providers tried in order when a call fails (AI_PROVIDER first, then AI_FAILOVER)
+  FAILOVER: {
+    chain: [...new Set([
+      AI_PROVIDER,
+      ...(process.env.AI_FAILOVER || '').split(',').map(p => p.trim()).filter(Boolean)
+    ])],
+    failureThreshold: parseInt(process.env.FAILOVER_FAILURE_THRESHOLD) || 3, // Consecutive failures that open a circuit
+    cooldownMs: parseInt(process.env.FAILOVER_COOLDOWN_MS) || 30000 // Before a provider with an open circuit is retried
+  },
   
   // OpenAI
   OPENAI_API_KEY: process.env.OPENAI_API_KEY,
   OPENAI_MODEL: process.env.OPENAI_MODEL || 'gpt-4o-mini',
-  OPENAI_MAX_TOKENS: 500,
+  OPENAI_VISION_MODEL: process.env.OPENAI_VISION_MODEL || process.env.OPENAI_MODEL || 'gpt-4o-mini', // For questions with images
+  OPENAI_MAX_TOKENS: 1000, // Room for a rationale per option
   OPENAI_TEMPERATURE: 0.3, // Lower temperature for more deterministic answers
   
   // Ollama (Local LLM)
   OLLAMA_URL: process.env.OLLAMA_URL || 'http://localhost:11434',
   OLLAMA_MODEL: process.env.OLLAMA_MODEL || 'llama2',
+  OLLAMA_VISION_MODEL: process.env.OLLAMA_VISION_MODEL, // Multimodal model (e.g. llava); unset means no images
+  
+  // OpenAI-compatible servers, selectable by key as AI_PROVIDER.
+  // When no model is set, the first model the server lists is used. Questions
+  // with images need a visionModel.
+  OPENAI_COMPATIBLE_SERVERS: {
+    llamacpp: {
+      label: 'llama.cpp server',
+      baseURL: process.env.LLAMACPP_URL || 'http://localhost:8080/v1',
+      model: process.env.LLAMACPP_MODEL,
+      visionModel: process.env.LLAMACPP_VISION_MODEL,
+      apiKey: process.env.LLAMACPP_API_KEY
+    },
+    vllm: {
+      label: 'vLLM',
+      baseURL: process.env.VLLM_URL || 'http://localhost:8000/v1',
+      model: process.env.VLLM_MODEL,
+      visionModel: process.env.VLLM_VISION_MODEL,
+      apiKey: process.env.VLLM_API_KEY
+    },
+    lmstudio: {
+      label: 'LM Studio',
+      baseURL: process.env.LMSTUDIO_URL || 'http://localhost:1234/v1',
+      model: process.env.LMSTUDIO_MODEL,
+      visionModel: process.env.LMSTUDIO_VISION_MODEL,
+      jsonMode: false // LM Studio only accepts json_schema response formats
+    },
+    'openai-compatible': {
+      label: 'OpenAI-compatible server',
+      baseURL: process.env.OPENAI_COMPATIBLE_URL,
+      model: process.env.OPENAI_COMPATIBLE_MODEL,
+      visionModel: process.env.OPENAI_COMPATIBLE_VISION_MODEL,
+      apiKey: process.env.OPENAI_COMPATIBLE_API_KEY,
+      jsonMode: process.env.OPENAI_COMPATIBLE_JSON_MODE !== 'false'
+    }
+  },
+  
+  // Mock provider (AI_PROVIDER=mock) for offline development and tests
+  MOCK_AI: {
+    behavior: process.env.MOCK_BEHAVIOR || 'answer',
+    scriptPath: process.env.MOCK_SCRIPT,
+    delayMs: parseInt(process.env.MOCK_DELAY_MS) || 5000,
+    timeoutMs: parseInt(process.env.MOCK_TIMEOUT_MS) || 60000,
+    streamChunkMs: parseInt(process.env.MOCK_STREAM_CHUNK_MS) || 50,
+    visionModel: process.env.MOCK_VISION === 'false' ? undefined : 'mock-vision'
+  },
+  
+  // Self-consistency ensemble: sample N completions and vote
+  ENSEMBLE: {
+    enabled: process.env.ENSEMBLE_ENABLED === 'true', // Default for requests that don't ask
+    samples: parseInt(process.env.ENSEMBLE_SAMPLES) || 5,
+    temperature: parseFloatEnv(process.env.ENSEMBLE_TEMPERATURE, 0.8), // Diversity between samples (0 = none)
+    providers: (process.env.ENSEMBLE_PROVIDERS || '').split(',').map(p => p.trim()).filter(Boolean)
+  },
+  
+  // Model output validation
+  RESPONSE_VALIDATION: {
+    maxRepairs: parseInt(process.env.MAX_REPAIR_ATTEMPTS || '2', 10) // Corrective re-prompts before giving up (0 disables)
+  },
+  
+  // Running the JavaScript of "what does this output" questions to check the answer
+  CODE_EXECUTION: {
+    enabled: process.env.CODE_EXECUTION_ENABLED === 'true', // Opt-in: vm is not a security boundary
+    timeoutMs: parseInt(process.env.CODE_EXECUTION_TIMEOUT_MS) || 1000, // CPU time per run, timers included
+    memoryMb: parseInt(process.env.CODE_EXECUTION_MEMORY_MB) || 32, // Heap of the worker that runs the snippet
+    maxOutputLines: 200,
+    maxTimers: 1000, // Timer callbacks before the run counts as never finishing
+    confidence: 95 // Confidence of an answer the output matched
+  },
+  
+  // Answer cache (LRU in memory, mirrored to a JSON file that survives restarts)
+  ANSWER_CACHE: {
+    enabled: process.env.ANSWER_CACHE_ENABLED !== 'false',
+    maxEntries: parseInt(process.env.ANSWER_CACHE_MAX_ENTRIES) || 2000, // A few KB each, in memory and on disk
+    ttlMs: parseInt(process.env.ANSWER_CACHE_TTL_MS) || 24 * 60 * 60 * 1000, // 24 hours
+    filePath: process.env.ANSWER_CACHE_FILE || './data/answer-cache.json'
+  },
+  
+  // Batch answering
+  BATCH: {
+    maxQuestions: 20,
+    concurrency: parseInt(process.env.BATCH_CONCURRENCY) || 4,
+    itemTimeoutMs: parseInt(process.env.BATCH_ITEM_TIMEOUT_MS) || 30000
+  },
+  
+  // Token usage and cost accounting
+  USAGE: {
+    filePath: process.env.USAGE_FILE || './data/usage.json',
+    retainDays: parseInt(process.env.USAGE_RETAIN_DAYS) || 90, // Daily buckets kept; monthly ones are kept forever
+    dailyBudgetUsd: parseFloat(process.env.USAGE_DAILY_BUDGET_USD) || null, // null = no cap
+    monthlyBudgetUsd: parseFloat(process.env.USAGE_MONTHLY_BUDGET_USD) || null,
+    // USD per million tokens, matched against the longest model-name prefix.
+    // Models without a price (local ones) are tracked at no cost.
+    prices: {
+      'gpt-4o-mini': { prompt: 0.15, completion: 0.60 },
+      'gpt-4o': { prompt: 2.50, completion: 10.00 },
+      'gpt-4-turbo': { prompt: 10.00, completion: 30.00 },
+      'gpt-4': { prompt: 30.00, completion: 60.00 },
+      'gpt-3.5-turbo': { prompt: 0.50, completion: 1.50 },
+      ...parseJsonEnv(process.env.USAGE_PRICES, {}) // e.g. {"my-model":{"prompt":1,"completion":2}}
+    }
+  },
+  
+  // Provider health: /health/ready serves a status refreshed in the background
+  HEALTH: {
+    refreshMs: parseInt(process.env.HEALTH_REFRESH_MS) || 30000,
+    timeoutMs: parseInt(process.env.HEALTH_TIMEOUT_MS) || 5000 // Per provider check
+  },
+  
+  // Background jobs: ?async=true on OCR and batch requests returns a job to poll
+  JOBS: {
+    filePath: process.env.JOBS_FILE || './data/jobs.json',
+    concurrency: parseInt(process.env.JOBS_CONCURRENCY) || 1, // OCR is CPU-bound
+    retainMs: parseInt(process.env.JOBS_RETAIN_MS) || 24 * 60 * 60 * 1000 // Finished jobs are kept 24 hours
+  },
   
   // OCR
   OCR_LANGUAGE: process.env.OCR_LANGUAGE || 'eng',
@@ -36,10 +200,22 @@ module.exports = {
     pdf: ['application/pdf']
   },
   
-  // Rate Limiting
+  // Rate Limiting: one token bucket per client (API key, else IP) and route.
+  // A bucket holds `max` requests and refills at `max` per window, so short
+  // bursts are allowed while the sustained rate stays at max / windowMs.
   RATE_LIMIT: {
     windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 60000, // 1 minute
-    max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 30
+    max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 30,
+    routes: {
+      answer: { max: parseInt(process.env.RATE_LIMIT_ANSWER_MAX || process.env.RATE_LIMIT_MAX_REQUESTS) || 30 },
+      ocr: { max: parseInt(process.env.RATE_LIMIT_OCR_MAX) || 10 } // Each OCR job ties up a Tesseract worker
+    }
+  },
+  
+  // API key authentication for /api routes (keys managed with `npm run keys`)
+  AUTH: {
+    enabled: process.env.AUTH_ENABLED !== 'false',
+    keysFile: process.env.API_KEYS_FILE || './data/api-keys.json'
   },
   
   // CORS
@@ -48,7 +224,38 @@ module.exports = {
     : ['http://localhost:3000', 'chrome-extension://*'],
   
   // Logging
-  LOG_LEVEL: process.env.LOG_LEVEL || 'info',
+  LOG_LEVEL: process.env.LOG_LEVEL || 'info', // error | warn | info | debug
+  LOG_REDACT: process.env.LOG_REDACT !== 'false', // Hide question and answer content in logs
+  
+  // Question types accepted by /api/answer (default: single)
+  QUESTION_TYPES: ['single', 'multiSelect', 'trueFalse', 'fillBlank', 'numeric', 'matching', 'ordering'],
+  
+  // Size limits for answer requests, shared by the validator and the OpenAPI document
+  REQUEST_LIMITS: {
+    questionMinLength: 10,
+    questionMaxLength: 1000,
+    itemMaxLength: 500, // Per option or premise
+    contextMinLength: 20, // Shared passage or scenario
+    contextMaxLength: 8000,
+    maxImages: 4, // Figures attached to a question
+    imageMaxLength: 2000000, // Per image, as a base64 data URL (about 1.5 MB of image)
+    ensembleMaxSamples: 10
+  },
+  
+  // Request shape per question type: size limits for the option and premise lists.
+  // Optional lists may be omitted or empty; a max of 0 means the list is not accepted.
+  QUESTION_SCHEMAS: {
+    single: { options: { required: true, min: 2, max: 10 } },
+    multiSelect: { options: { required: true, min: 2, max: 10 } },
+    trueFalse: { options: { required: false, min: 2, max: 2 } }, // Defaults to True/False
+    fillBlank: { options: { required: false, min: 1, max: 10 } }, // Optional word bank
+    numeric: { options: { required: false, min: 0, max: 0 } },
+    matching: {
+      premises: { required: true, min: 2, max: 10 }, // Left column
+      options: { required: true, min: 2, max: 10 }   // Right column
+    },
+    ordering: { options: { required: true, min: 2, max: 10 } } // Items to put in order
+  },
   
   // AI Prompts
   PROMPTS: {
@@ -58,14 +265,21 @@ Your task is to:
 2. Select the most accurate answer
 3. Provide a confidence score (0-100)
 4. Give a brief explanation of your reasoning
+5. For EVERY option, give a verdict and a one-sentence rationale
 
 Always respond in valid JSON format with this structure:
 {
-  "answer": "The text of the correct option",
+  "answer": "C",
   "confidence": 85,
-  "explanation": "Brief explanation of why this is correct"
+  "explanation": "Brief explanation of why this is correct",
+  "options": [
+    { "option": "A", "verdict": "incorrect", "rationale": "Why it is wrong" },
+    { "option": "C", "verdict": "correct", "rationale": "Why it is right" }
+  ]
 }
 
+Refer to options ONLY by their letter, never by their text, in the answer and option fields.
+${PROSE_OPTION_RULE}
 Be precise and analytical. If the question is ambiguous or you're uncertain, reflect that in your confidence score.`,
     
     MCQ_USER_TEMPLATE: (question, options) => `
@@ -74,18 +288,207 @@ Question: ${question}
 Options:
 ${options.map((opt, i) => `${String.fromCharCode(65 + i)}. ${opt}`).join('\n')}
 
-Analyze this question and provide your answer in JSON format.`
+Analyze this question and provide your answer in JSON format.`,
+    
+    MULTI_SELECT_SYSTEM: `You are an expert AI assistant specialized in answering "select all that apply" questions.
+Your task is to:
+1. Analyze the given question and judge every option independently
+2. Select EVERY correct option (there may be one or several)
+3. Provide a confidence score (0-100) for each selected option
+4. Give a brief explanation of your reasoning
+5. For EVERY option, give a verdict and a one-sentence rationale
+
+Always respond in valid JSON format with this structure:
+{
+  "answers": [
+    { "answer": "A", "confidence": 90 },
+    { "answer": "D", "confidence": 75 }
+  ],
+  "explanation": "Brief explanation of why these options are correct",
+  "options": [
+    { "option": "A", "verdict": "correct", "rationale": "Why it is right" },
+    { "option": "B", "verdict": "incorrect", "rationale": "Why it is wrong" }
+  ]
+}
+
+Refer to options ONLY by their letter, never by their text, in the answer and option fields.
+${PROSE_OPTION_RULE}
+Only include options you believe are correct. Reflect any uncertainty in the per-option confidence scores.`,
+    
+    MULTI_SELECT_USER_TEMPLATE: (question, options) => `
+Question: ${question}
+
+Options (select all that apply):
+${options.map((opt, i) => `${String.fromCharCode(65 + i)}. ${opt}`).join('\n')}
+
+Analyze this question and provide every correct answer in JSON format.`,
+    
+    TRUE_FALSE_SYSTEM: `You are an expert AI assistant specialized in answering true/false questions.
+Your task is to:
+1. Decide whether the statement is true or false as written
+2. Provide a confidence score (0-100)
+3. Give a brief explanation of your reasoning
+
+Always respond in valid JSON format with this structure:
+{
+  "answer": "A",
+  "confidence": 85,
+  "explanation": "Brief explanation of why the statement is true or false"
+}
+
+The answer must be the letter of one of the two options. ${PROSE_OPTION_RULE}
+Treat statements with any false part as false.`,
+    
+    TRUE_FALSE_USER_TEMPLATE: (question, options) => `
+Question: ${question}
+
+Options:
+${options.map((opt, i) => `${String.fromCharCode(65 + i)}. ${opt}`).join('\n')}
+
+Is this statement true or false? Provide your answer in JSON format.`,
+    
+    FILL_BLANK_SYSTEM: `You are an expert AI assistant specialized in fill-in-the-blank questions.
+Your task is to:
+1. Find every blank in the question (shown as ___)
+2. Give the word or short phrase that belongs in each blank, in order
+3. Provide a confidence score (0-100)
+4. Give a brief explanation of your reasoning
+
+Always respond in valid JSON format with this structure:
+{
+  "blanks": ["First missing word", "Second missing word"],
+  "confidence": 85,
+  "explanation": "Brief explanation of why these words fit"
+}
+
+Keep each entry as short as possible. If a word bank is given, only use words from it.`,
+    
+    FILL_BLANK_USER_TEMPLATE: (question, options) => `
+Question: ${question}
+${options.length > 0 ? `
+Word bank:
+${options.map((opt, i) => `${String.fromCharCode(65 + i)}. ${opt}`).join('\n')}
+` : ''}
+Fill in the blanks and provide your answer in JSON format.`,
+    
+    NUMERIC_SYSTEM: `You are an expert AI assistant specialized in questions with a numeric answer.
+Your task is to:
+1. Work out the problem step by step
+2. Give the final answer as a plain number
+3. Provide a confidence score (0-100)
+4. Give a brief explanation of your reasoning
+
+Always respond in valid JSON format with this structure:
+{
+  "value": 42.5,
+  "unit": "m/s",
+  "confidence": 85,
+  "explanation": "Brief explanation of how the value was obtained"
+}
+
+"value" must be a JSON number. Use null for "unit" when the answer has no unit.`,
+    
+    NUMERIC_USER_TEMPLATE: (question) => `
+Question: ${question}
+
+Solve this problem and provide your answer in JSON format.`,
+    
+    MATCHING_SYSTEM: `You are an expert AI assistant specialized in matching questions.
+Your task is to:
+1. Pair every numbered premise with the lettered option it matches
+2. Provide a confidence score (0-100) for each pair
+3. Give a brief explanation of your reasoning
+
+Always respond in valid JSON format with this structure:
+{
+  "matches": [
+    { "premise": 1, "answer": "C", "confidence": 90 },
+    { "premise": 2, "answer": "A", "confidence": 75 }
+  ],
+  "explanation": "Brief explanation of the pairings"
+}
+
+Refer to premises by their number and options by their letter. ${PROSE_OPTION_RULE}
+Include one entry per premise. Options may be used more than once or not at all unless the question says otherwise.`,
+    
+    MATCHING_USER_TEMPLATE: (question, options, premises) => `
+Question: ${question}
+
+Premises:
+${premises.map((premise, i) => `${i + 1}. ${premise}`).join('\n')}
+
+Options:
+${options.map((opt, i) => `${String.fromCharCode(65 + i)}. ${opt}`).join('\n')}
+
+Match each premise to an option and provide your answer in JSON format.`,
+    
+    ORDERING_SYSTEM: `You are an expert AI assistant specialized in ordering questions.
+Your task is to:
+1. Put every item in the order the question asks for
+2. Provide a confidence score (0-100)
+3. Give a brief explanation of your reasoning
+
+Always respond in valid JSON format with this structure:
+{
+  "order": ["C", "A", "B"],
+  "confidence": 85,
+  "explanation": "Brief explanation of the ordering"
+}
+
+List every item's letter exactly once, first item first. ${PROSE_OPTION_RULE}`,
+    
+    ORDERING_USER_TEMPLATE: (question, options) => `
+Question: ${question}
+
+Items:
+${options.map((opt, i) => `${String.fromCharCode(65 + i)}. ${opt}`).join('\n')}
+
+Put the items in order and provide your answer in JSON format.`,
+    
+    // Passage or scenario the question refers to, placed before the question
+    CONTEXT_TEMPLATE: (context, userPrompt) => `Read this passage. The question below refers to it.
+
+Passage:
+"""
+${context}
+"""
+${userPrompt}`,
+    
+    // Questions with math, which the extension sends as LaTeX
+    MATH_TEMPLATE: (userPrompt) => `Math below is written in LaTeX, between \\( and \\) inline or \\[ and \\] on its own line. Write any math in your explanation the same way.
+
+${userPrompt}`,
+    
+    // Images attached to the question, sent to the model in this order
+    IMAGES_TEMPLATE: (labels, userPrompt) => `The question comes with ${labels.length} image(s), attached in this order:
+${labels.map((label, i) => `${i + 1}. ${label}`).join('\n')}
+
+${userPrompt}`,
+    
+    // Corrective re-prompt after a response failed schema validation
+    REPAIR_USER_TEMPLATE: (originalUser, previousResponse, error) => `${originalUser}
+
+Your previous response:
+${previousResponse.slice(0, 2000)}
+
+It was rejected: ${error}
+
+Respond again with only valid JSON in the required structure.`
   },
   
   // HTTP Status Codes
   HTTP_STATUS: {
     OK: 200,
     CREATED: 201,
+    ACCEPTED: 202,
     BAD_REQUEST: 400,
     UNAUTHORIZED: 401,
+    FORBIDDEN: 403,
     NOT_FOUND: 404,
     UNPROCESSABLE_ENTITY: 422,
+    TOO_MANY_REQUESTS: 429,
     INTERNAL_SERVER_ERROR: 500,
-    SERVICE_UNAVAILABLE: 503
+    SERVICE_UNAVAILABLE: 503,
+    GATEWAY_TIMEOUT: 504
   }
 };
\ No newline at end of file
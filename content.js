@@ -102,7 +102,11 @@
         index: index,
         question: mcq.question,
         options: mcq.options.map(opt => opt.text),
-        type: mcq.type
+        premises: mcq.premises ? mcq.premises.map(premise => premise.text) : undefined,
+        context: mcq.context,
+        imageCount: mcq.images ? mcq.images.length : 0,
+        type: mcq.type,
+        questionType: mcq.questionType
       }));
       
       return {
@@ -151,12 +155,19 @@
         await StealthUtils.sleep(StealthUtils.randomDelay(1000, 3000));
       }
       
+      const images = await MCQExtractor.captureImages(mcq);
+      
       // Send to background for AI analysis
       const response = await chrome.runtime.sendMessage({
         action: 'analyzeQuestion',
         data: {
+          index: index,
+          type: mcq.questionType,
           question: mcq.question,
-          options: mcq.options.map(opt => opt.text)
+          options: mcq.options.map(opt => opt.text),
+          premises: mcq.premises ? mcq.premises.map(premise => premise.text) : undefined,
+          context: mcq.context,
+          images: images.length > 0 ? images : undefined
         }
       });
       
@@ -169,23 +180,23 @@
         throw new Error(response.error);
       }
       
-      const { answer, confidence, explanation } = response.data;
+      const { status, answer, answers, matches, options, confidence, explanation, verification } = response.data;
       
       // Highlight answer if auto-highlight is enabled
       if (settings.autoHighlight) {
-        await Highlighter.highlight(
-          mcq,
-          answer,
-          confidence,
-          settings.stealthMode
-        );
+        await highlightResult(mcq, response.data);
       }
       
       return {
         success: true,
+        status: status,
         answer: answer,
+        answers: answers,
+        matches: matches,
+        options: options,
         confidence: confidence,
-        explanation: explanation
+        explanation: explanation,
+        verification: verification
       };
       
     } catch (error) {
@@ -233,12 +244,19 @@
         }
         
         try {
+          const images = await MCQExtractor.captureImages(mcq);
+          
           // Send to background for AI analysis
           const response = await chrome.runtime.sendMessage({
             action: 'analyzeQuestion',
             data: {
+              index: i,
+              type: mcq.questionType,
               question: mcq.question,
-              options: mcq.options.map(opt => opt.text)
+              options: mcq.options.map(opt => opt.text),
+              premises: mcq.premises ? mcq.premises.map(premise => premise.text) : undefined,
+              context: mcq.context,
+              images: images.length > 0 ? images : undefined
             }
           });
           
@@ -256,24 +274,24 @@
             continue;
           }
           
-          const { answer, confidence, explanation } = response.data;
+          const { status, answer, answers, matches, options, confidence, explanation, verification } = response.data;
           
           // Highlight answer if auto-highlight is enabled
           if (settings.autoHighlight) {
-            await Highlighter.highlight(
-              mcq,
-              answer,
-              confidence,
-              settings.stealthMode
-            );
+            await highlightResult(mcq, response.data);
           }
           
           results.push({
             index: i,
             success: true,
+            status: status,
             answer: answer,
+            answers: answers,
+            matches: matches,
+            options: options,
             confidence: confidence,
-            explanation: explanation
+            explanation: explanation,
+            verification: verification
           });
           
         } catch (error) {
@@ -310,6 +328,37 @@
     }
   }
   
+  /**
+   * Highlight an AI result on the page
+   * Only choice questions have an option to point at; answers to the other
+   * types (blanks, numbers, matches, orderings) are shown in the popup only.
+   * Unresolved questions are marked as having no answer on the page.
+   * @param {Object} mcq - MCQ object
+   * @param {Object} result - Backend answer (answers[] for multi-select)
+   */
+  async function highlightResult(mcq, result) {
+    if (result.status === 'unresolved') {
+      Highlighter.markUnresolved(mcq);
+      return;
+    }
+    
+    if (!['single', 'multiSelect', 'trueFalse'].includes(mcq.questionType)) {
+      return;
+    }
+    
+    if (Array.isArray(result.answers)) {
+      await Highlighter.highlightSelections(mcq, result.answers, settings.stealthMode);
+    } else {
+      await Highlighter.highlight(
+        mcq,
+        result.answer,
+        result.confidence,
+        settings.stealthMode,
+        result.answerIndex
+      );
+    }
+  }
+  
   /**
    * Clear all highlights from the page
    */
@@ -14,13 +14,14 @@ const Highlighter = {
    * @param {string} answer - Answer text
    * @param {number} confidence - Confidence score (0-100)
    * @param {boolean} stealthMode - Use stealth mode
+   * @param {number} [answerIndex] - Position of the answer in mcq.options
    */
-  async highlight(mcq, answer, confidence, stealthMode = true) {
+  async highlight(mcq, answer, confidence, stealthMode = true, answerIndex) {
     // Clear previous highlights
     this.clearHighlights();
     
     // Find matching option
-    const matchingOption = this.findMatchingOption(mcq.options, answer);
+    const matchingOption = this.findOption(mcq.options, answerIndex, answer);
     
     if (!matchingOption) {
       console.warn('Could not find matching option for answer:', answer);
@@ -45,6 +46,62 @@ const Highlighter = {
     this.scrollToElement(matchingOption.element, stealthMode);
   },
   
+  /**
+   * Highlight every selected option of a multi-select question
+   * Each selection gets its own confidence style and badge.
+   * @param {Object} mcq - MCQ object
+   * @param {Array<Object>} answers - Array of {answer, answerIndex, confidence}
+   * @param {boolean} stealthMode - Use stealth mode
+   */
+  async highlightSelections(mcq, answers, stealthMode = true) {
+    // Clear previous highlights
+    this.clearHighlights();
+    
+    let firstElement = null;
+    
+    for (const { answer, answerIndex, confidence } of answers) {
+      const matchingOption = this.findOption(mcq.options, answerIndex, answer);
+      
+      if (!matchingOption) {
+        console.warn('Could not find matching option for answer:', answer);
+        continue;
+      }
+      
+      // Apply stealth delay between selections
+      if (stealthMode && typeof StealthUtils !== 'undefined') {
+        await StealthUtils.sleep(StealthUtils.randomDelay(200, 800));
+      }
+      
+      this.applyHighlight(matchingOption.element, this.getHighlightStyle(confidence, stealthMode));
+      this.addConfidenceBadge(matchingOption.element, confidence);
+      
+      firstElement = firstElement || matchingOption.element;
+    }
+    
+    // Scroll to the first selection
+    if (firstElement) {
+      this.scrollToElement(firstElement, stealthMode);
+    }
+  },
+  
+  /**
+   * Find the option for an answer by its index in the options sent to the backend
+   * Text matching is only a fallback for answers without a usable index
+   * (e.g. cache entries written before the index protocol).
+   * @param {Array<Object>} options - Array of option objects
+   * @param {number|null} answerIndex - Validated index from the backend
+   * @param {string} answer - Answer text
+   * @returns {Object|null} Matching option
+   */
+  findOption(options, answerIndex, answer) {
+    if (Number.isInteger(answerIndex) && answerIndex >= 0 && answerIndex < options.length) {
+      return options[answerIndex];
+    }
+    
+    console.warn('No answer index from backend, falling back to text matching for:', answer);
+    return this.findMatchingOption(options, answer);
+  },
+  
   /**
    * Find matching option from answer text
    * @param {Array<Object>} options - Array of option objects
@@ -248,6 +305,39 @@ const Highlighter = {
     element.appendChild(badge);
   },
   
+  /**
+   * Mark a question the AI could not answer, so no option looks chosen
+   * @param {Object} mcq - MCQ object
+   */
+  markUnresolved(mcq) {
+    this.clearHighlights();
+    
+    const element = mcq.questionElement || (mcq.options[0] && mcq.options[0].element);
+    if (!element) return;
+    
+    const badge = document.createElement('span');
+    badge.className = 'mcq-confidence-badge';
+    badge.textContent = 'No answer';
+    
+    Object.assign(badge.style, {
+      display: 'inline-block',
+      marginLeft: '8px',
+      padding: '2px 8px',
+      fontSize: '11px',
+      fontWeight: 'bold',
+      borderRadius: '12px',
+      backgroundColor: '#6b7280',
+      color: 'white',
+      verticalAlign: 'middle',
+      fontFamily: 'system-ui, -apple-system, sans-serif'
+    });
+    
+    element.appendChild(badge);
+    
+    // Tracked so clearHighlights removes the badge
+    this.highlightedElements.push({ element, originalStyles: {} });
+  },
+  
   /**
    * Get badge color based on confidence
    * @param {number} confidence - Confidence score
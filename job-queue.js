@@ -0,0 +1,339 @@
+/**
+ * Job Queue
+ * Background jobs for OCR and batch requests that can outlast an HTTP request.
+ * Jobs are kept in a JSON file, so results can be fetched after a restart and
+ * jobs that were interrupted run again. Job inputs (which can carry images) are
+ * written once to their own file instead, since the jobs file is rewritten on
+ * every progress update, and deleted when the job finishes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { JOBS } = require('../config/constants');
+const logger = require('../utils/logger').child({ component: 'jobs' });
+
+const FINISHED = ['completed', 'failed', 'cancelled'];
+
+class JobQueue {
+  constructor(config) {
+    this.filePath = config.filePath;
+    this.inputDir = path.join(path.dirname(config.filePath), 'job-inputs');
+    this.concurrency = config.concurrency;
+    this.retainMs = config.retainMs;
+    
+    this.handlers = new Map(); // type -> { run, discard }
+    this.jobs = new Map();     // id -> job
+    this.running = new Map();  // id -> AbortController
+    this.inputWrites = new Map(); // id -> pending write of the job's input file
+    this.saveTimer = null;
+    
+    this._load();
+  }
+  
+  /**
+   * Register the work behind a job type
+   * Queued jobs of this type (including ones restored from disk) start once it is defined.
+   * @param {string} type - Job type
+   * @param {Object} handler - Job handler
+   * @param {Function} handler.run - async (payload, { signal, reportProgress }) => result
+   * @param {Function} [handler.discard] - (payload) => void, frees a payload that will never run
+   */
+  define(type, handler) {
+    this.handlers.set(type, handler);
+    this._drain();
+  }
+  
+  /**
+   * Queue a job
+   * @param {string} type - Defined job type
+   * @param {Object} payload - Input for the handler; must survive JSON serialization
+   * @param {Object} [options] - { owner } API key ID allowed to read and cancel the job
+   * @returns {Object} Public view of the job
+   */
+  create(type, payload, { owner = null } = {}) {
+    if (!this.handlers.has(type)) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
+    
+    const context = logger.getContext() || {};
+    const job = {
+      id: crypto.randomUUID(),
+      type: type,
+      status: 'queued',
+      progress: 0,
+      stage: null,
+      owner: owner,
+      requestId: context.requestId || null,
+      payload: payload,
+      result: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null
+    };
+    
+    this.jobs.set(job.id, job);
+    logger.info('Job queued', { jobId: job.id, type: type, queued: this._countQueued() });
+    
+    this._saveInput(job);
+    this._scheduleSave();
+    this._drain();
+    
+    return this.view(job);
+  }
+  
+  /**
+   * Find a job visible to a client
+   * @param {string} id - Job ID
+   * @param {string|null} owner - API key ID of the caller
+   * @returns {Object|null} Job, or null when it does not exist or belongs to another key
+   */
+  get(id, owner) {
+    const job = this.jobs.get(id);
+    
+    if (!job || (job.owner && job.owner !== owner)) {
+      return null;
+    }
+    
+    return job;
+  }
+  
+  /**
+   * Cancel a queued or running job; finished jobs are left as they are
+   * @param {Object} job - Job from get()
+   * @returns {Object} Public view of the job
+   */
+  cancel(job) {
+    if (FINISHED.includes(job.status)) {
+      return this.view(job);
+    }
+    
+    const controller = this.running.get(job.id);
+    if (controller) {
+      controller.abort();
+    } else {
+      this._discard(job);
+    }
+    
+    job.status = 'cancelled';
+    job.finishedAt = new Date().toISOString();
+    logger.info('Job cancelled', { jobId: job.id, type: job.type });
+    
+    this._scheduleSave();
+    return this.view(job);
+  }
+  
+  /**
+   * Client-facing fields of a job (the payload and owner stay private)
+   * @param {Object} job - Job
+   * @returns {Object} Job view
+   */
+  view(job) {
+    return {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      progress: job.progress,
+      stage: job.stage,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      result: job.status === 'completed' ? job.result : undefined,
+      error: job.status === 'failed' ? job.error : undefined
+    };
+  }
+  
+  /**
+   * Start queued jobs, oldest first, while there is capacity
+   */
+  _drain() {
+    for (const job of this.jobs.values()) {
+      if (this.running.size >= this.concurrency) return;
+      
+      if (job.status === 'queued' && this.handlers.has(job.type)) {
+        this._run(job);
+      }
+    }
+  }
+  
+  async _run(job) {
+    const handler = this.handlers.get(job.type);
+    const controller = new AbortController();
+    
+    this.running.set(job.id, controller);
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    this._scheduleSave();
+    
+    // Handlers report 0-100; 100 is only reached when the result is stored
+    const reportProgress = (percent, stage) => {
+      job.progress = Math.max(job.progress, Math.min(99, Math.round(percent)));
+      job.stage = stage || job.stage;
+      this._scheduleSave();
+    };
+    
+    const context = { requestId: job.requestId, jobId: job.id };
+    
+    try {
+      const result = await logger.runWithContext(context, () => {
+        logger.info('Job started', { type: job.type });
+        return handler.run(job.payload, { signal: controller.signal, reportProgress });
+      });
+      
+      if (job.status === 'running') {
+        job.status = 'completed';
+        job.progress = 100;
+        job.result = result;
+        logger.info('Job completed', { jobId: job.id, type: job.type, durationMs: Date.now() - Date.parse(job.startedAt) });
+      }
+    } catch (error) {
+      if (job.status === 'running') {
+        job.status = 'failed';
+        job.error = error.message;
+        logger.error('Job failed', { jobId: job.id, type: job.type, error });
+      }
+    } finally {
+      this.running.delete(job.id);
+      job.finishedAt = job.finishedAt || new Date().toISOString();
+      job.payload = null; // Inputs are not needed once the job has run
+      this._removeInput(job.id);
+      this._scheduleSave();
+      this._drain();
+    }
+  }
+  
+  _discard(job) {
+    const handler = this.handlers.get(job.type);
+    
+    if (handler && handler.discard && job.payload) {
+      Promise.resolve()
+        .then(() => handler.discard(job.payload))
+        .catch(error => logger.warn('Failed to discard job input', { jobId: job.id, error }));
+    }
+    job.payload = null;
+    this._removeInput(job.id);
+  }
+  
+  _inputPath(id) {
+    return path.join(this.inputDir, `${id}.json`);
+  }
+  
+  /**
+   * Write a job's payload to its input file, read back if the job has to resume
+   */
+  _saveInput(job) {
+    const write = fs.promises.mkdir(this.inputDir, { recursive: true })
+      .then(() => fs.promises.writeFile(this._inputPath(job.id), JSON.stringify(job.payload)))
+      .catch(error => logger.warn('Failed to persist job input; the job cannot resume after a restart', { jobId: job.id, error }))
+      .finally(() => this.inputWrites.delete(job.id));
+    
+    this.inputWrites.set(job.id, write);
+  }
+  
+  /**
+   * Delete a job's input file once any pending write of it has finished
+   */
+  _removeInput(id) {
+    Promise.resolve(this.inputWrites.get(id))
+      .then(() => fs.promises.unlink(this._inputPath(id)))
+      .catch(error => {
+        if (error.code !== 'ENOENT') {
+          logger.warn('Failed to delete job input', { jobId: id, error });
+        }
+      });
+  }
+  
+  _countQueued() {
+    return [...this.jobs.values()].filter(job => job.status === 'queued').length;
+  }
+  
+  _load() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      let resumed = 0;
+      
+      for (const job of data.jobs || []) {
+        // Jobs cut off by the restart start over
+        if (job.status === 'running') {
+          job.status = 'queued';
+          job.progress = 0;
+          job.stage = null;
+          job.startedAt = null;
+        }
+        if (job.status === 'queued' && this._loadInput(job)) resumed++;
+        
+        this.jobs.set(job.id, job);
+      }
+      
+      this._prune();
+      
+      if (resumed > 0) {
+        logger.info('Resuming jobs from before the restart', { jobs: resumed });
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Failed to load jobs, starting empty', { error });
+      }
+    }
+  }
+  
+  /**
+   * Read back the payload of a job that has not run yet; the job fails when
+   * its input file is gone
+   * @returns {boolean} Whether the job can run
+   */
+  _loadInput(job) {
+    if (job.payload) return true; // Saved inline by an older version
+    
+    try {
+      job.payload = JSON.parse(fs.readFileSync(this._inputPath(job.id), 'utf8'));
+      return true;
+    } catch (error) {
+      logger.warn('Job input missing; marking the job failed', { jobId: job.id, error });
+      job.status = 'failed';
+      job.error = 'Job input was lost in a restart; submit the request again';
+      job.finishedAt = new Date().toISOString();
+      return false;
+    }
+  }
+  
+  /**
+   * Drop finished jobs past the retention window
+   */
+  _prune() {
+    const cutoff = Date.now() - this.retainMs;
+    
+    for (const [id, job] of this.jobs) {
+      if (FINISHED.includes(job.status) && Date.parse(job.finishedAt) < cutoff) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+  
+  /**
+   * Debounce disk writes; progress updates arrive many times a second
+   */
+  _scheduleSave() {
+    if (this.saveTimer) return;
+    
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this._save().catch(error => logger.warn('Failed to persist jobs', { error }));
+    }, 1000);
+    this.saveTimer.unref();
+  }
+  
+  async _save() {
+    this._prune();
+    
+    const tmpPath = `${this.filePath}.tmp`;
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    // Payloads live in their input files
+    const jobs = [...this.jobs.values()].map(job => ({ ...job, payload: undefined }));
+    await fs.promises.writeFile(tmpPath, JSON.stringify({ jobs: jobs }));
+    await fs.promises.rename(tmpPath, this.filePath);
+  }
+}
+
+module.exports = new JobQueue(JOBS);
\ No newline at end of file
@@ -0,0 +1,51 @@
+/**
+ * Jobs Route
+ * Progress, results and cancellation of background OCR and batch jobs
+ */
+
+const express = require('express');
+const router = express.Router();
+const jobQueue = require('../services/job-queue');
+const { HTTP_STATUS } = require('../config/constants');
+
+/**
+ * Look up the job in the URL, answering 404 when it is unknown to this client
+ * Jobs created with one API key are not visible to another.
+ */
+const findJob = (req, res, next) => {
+  const job = jobQueue.get(req.params.id, req.apiKey ? req.apiKey.id : null);
+  
+  if (!job) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+  
+  req.job = job;
+  next();
+};
+
+/**
+ * GET /api/jobs/:id
+ * Status and progress; the result once completed, the error once failed
+ */
+router.get('/:id', findJob, (req, res) => {
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    job: jobQueue.view(req.job)
+  });
+});
+
+/**
+ * DELETE /api/jobs/:id
+ * Cancel a queued or running job (finished jobs are returned unchanged)
+ */
+router.delete('/:id', findJob, (req, res) => {
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    job: jobQueue.cancel(req.job)
+  });
+});
+
+module.exports = router;
\ No newline at end of file
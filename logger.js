@@ -0,0 +1,116 @@
+/**
+ * Logger
+ * Structured JSON logs, one line per entry, tagged with the current request ID
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { LOG_LEVEL, LOG_REDACT } = require('../config/constants');
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+// Fields that carry question, answer or model content; redacted unless LOG_REDACT=false
+const CONTENT_FIELDS = ['question', 'options', 'premises', 'answer', 'modelAnswer', 'explanation', 'response', 'text', 'filename'];
+
+const MAX_CONTENT_LENGTH = 1000;
+
+// Per-request context ({ requestId }) that follows async calls made while handling it
+const requestContext = new AsyncLocalStorage();
+
+class Logger {
+  /**
+   * @param {Object} [bindings] - Fields added to every entry, e.g. { component: 'ocr' }
+   */
+  constructor(bindings = {}) {
+    this.bindings = bindings;
+    this.threshold = LEVELS[LOG_LEVEL] !== undefined ? LEVELS[LOG_LEVEL] : LEVELS.info;
+  }
+  
+  /**
+   * Logger that adds fields to every entry
+   * @param {Object} bindings - Extra fields
+   * @returns {Logger} Child logger
+   */
+  child(bindings) {
+    return new Logger({ ...this.bindings, ...bindings });
+  }
+  
+  error(message, fields) {
+    this._write('error', message, fields);
+  }
+  
+  warn(message, fields) {
+    this._write('warn', message, fields);
+  }
+  
+  info(message, fields) {
+    this._write('info', message, fields);
+  }
+  
+  debug(message, fields) {
+    this._write('debug', message, fields);
+  }
+  
+  /**
+   * Run a function with a request context that every log entry inside it picks up
+   * @param {Object} context - { requestId }
+   * @param {Function} fn - Function to run
+   * @returns {*} Return value of fn
+   */
+  runWithContext(context, fn) {
+    return requestContext.run(context, fn);
+  }
+  
+  /**
+   * @returns {Object|undefined} Context of the request being handled
+   */
+  getContext() {
+    return requestContext.getStore();
+  }
+  
+  _write(level, message, fields = {}) {
+    if (LEVELS[level] > this.threshold) return;
+    
+    const entry = {
+      time: new Date().toISOString(),
+      level: level,
+      ...this.bindings,
+      ...requestContext.getStore(),
+      msg: message
+    };
+    
+    for (const [key, value] of Object.entries(fields)) {
+      entry[key] = this._serialize(key, value);
+    }
+    
+    const stream = LEVELS[level] <= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(JSON.stringify(entry) + '\n');
+  }
+  
+  /**
+   * Make a field value safe to log: errors become plain objects, content is
+   * redacted or truncated
+   * @param {string} key - Field name
+   * @param {*} value - Field value
+   * @returns {*} Loggable value
+   */
+  _serialize(key, value) {
+    if (value instanceof Error) {
+      return { name: value.name, message: value.message, stack: value.stack };
+    }
+    
+    if (!CONTENT_FIELDS.includes(key) || value === undefined || value === null) {
+      return value;
+    }
+    
+    if (LOG_REDACT) {
+      return Array.isArray(value)
+        ? `[redacted: ${value.length} items]`
+        : `[redacted: ${String(value).length} chars]`;
+    }
+    
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return text.length > MAX_CONTENT_LENGTH ? `${text.slice(0, MAX_CONTENT_LENGTH)}…` : value;
+  }
+}
+
+module.exports = new Logger();
\ No newline at end of file
@@ -0,0 +1,69 @@
+/**
+ * API Key Admin CLI
+ * Creates, lists and revokes the keys accepted by the backend
+ *
+ * Usage:
+ *   npm run keys -- create <name> [--admin]
+ *   npm run keys -- list
+ *   npm run keys -- revoke <id>
+ */
+
+require('dotenv').config();
+
+const apiKeyStore = require('../services/api-key-store');
+const { AUTH } = require('../config/constants');
+
+const USAGE = 'Usage: npm run keys -- create <name> [--admin] | list | revoke <id>';
+
+const [command, ...args] = process.argv.slice(2);
+const argument = args.find(arg => !arg.startsWith('--'));
+const admin = args.includes('--admin'); // May clear the answer cache and read /api/config
+
+switch (command) {
+  case 'create': {
+    if (!argument) {
+      console.error('A name is required, e.g. npm run keys -- create "laptop extension"');
+      process.exit(1);
+    }
+    
+    const { id, name, key } = apiKeyStore.create(argument, { admin });
+    console.log(`Created ${admin ? 'admin ' : ''}key ${id} (${name})`);
+    console.log(`\n  ${key}\n`);
+    console.log('Paste it into the extension settings. It is not stored and cannot be shown again.');
+    break;
+  }
+  
+  case 'list': {
+    const keys = apiKeyStore.list();
+    
+    if (keys.length === 0) {
+      console.log(`No API keys in ${AUTH.keysFile}`);
+      break;
+    }
+    
+    for (const key of keys) {
+      const status = key.revokedAt ? `revoked ${key.revokedAt}` : 'active';
+      const role = key.admin ? 'admin' : 'client';
+      console.log(`${key.id}  ${key.name.padEnd(24)}  ${role.padEnd(6)}  created ${key.createdAt}  ${status}`);
+    }
+    break;
+  }
+  
+  case 'revoke':
+    if (!argument) {
+      console.error('A key ID is required; see npm run keys -- list');
+      process.exit(1);
+    }
+    
+    if (!apiKeyStore.revoke(argument)) {
+      console.error(`No active key with ID ${argument}`);
+      process.exit(1);
+    }
+    
+    console.log(`Revoked key ${argument}`);
+    break;
+  
+  default:
+    console.error(USAGE);
+    process.exit(1);
+}
\ No newline at end of file
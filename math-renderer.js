@@ -0,0 +1,349 @@
+/**
+ * Math Renderer
+ * Renders the LaTeX in questions and explanations as MathML for the popup
+ * Covers the TeX that quiz questions use: fractions, roots, scripts, Greek
+ * letters, relations, \text, \left...\right and matrix environments. Anything
+ * else is shown as its source.
+ */
+
+const MathRenderer = {
+  
+  // \( inline \), \[ display \] and $$ display $$
+  DELIMITED: /\\\(([\s\S]+?)\\\)|\\\[([\s\S]+?)\\\]|\$\$([\s\S]+?)\$\$/g,
+  
+  // Commands, escaped characters, numbers, whitespace runs, single characters
+  TOKEN: /\\[a-zA-Z]+|\\[^a-zA-Z]|\d+(?:\.\d+)?|\s+|[\s\S]/gu,
+  
+  NAMESPACE: 'http://www.w3.org/1998/Math/MathML',
+  
+  // Identifiers (mi) by command name
+  IDENTIFIERS: {
+    alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ϵ', varepsilon: 'ε', zeta: 'ζ',
+    eta: 'η', theta: 'θ', vartheta: 'ϑ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ',
+    nu: 'ν', xi: 'ξ', pi: 'π', rho: 'ρ', sigma: 'σ', tau: 'τ', upsilon: 'υ', phi: 'ϕ',
+    varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω', Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ',
+    Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ', Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω',
+    infty: '∞', emptyset: '∅', varnothing: '∅', partial: '∂', nabla: '∇', hbar: 'ℏ',
+    ell: 'ℓ', aleph: 'ℵ', Re: 'ℜ', Im: 'ℑ', angle: '∠', triangle: '△', degree: '°'
+  },
+  
+  // Operators and relations (mo) by command name
+  OPERATORS: {
+    le: '≤', leq: '≤', ge: '≥', geq: '≥', ne: '≠', neq: '≠', lt: '<', gt: '>',
+    times: '×', cdot: '⋅', cdotp: '·', div: '÷', pm: '±', mp: '∓', ast: '∗', star: '⋆',
+    circ: '∘', bullet: '•', oplus: '⊕', otimes: '⊗', to: '→', rightarrow: '→',
+    leftarrow: '←', Rightarrow: '⇒', Leftarrow: '⇐', Leftrightarrow: '⇔', iff: '⟺',
+    implies: '⟹', mapsto: '↦', approx: '≈', equiv: '≡', sim: '∼', simeq: '≃', cong: '≅',
+    propto: '∝', in: '∈', notin: '∉', ni: '∋', subset: '⊂', subseteq: '⊆', supset: '⊃',
+    supseteq: '⊇', cup: '∪', cap: '∩', setminus: '∖', forall: '∀', exists: '∃', neg: '¬',
+    land: '∧', wedge: '∧', lor: '∨', vee: '∨', perp: '⊥', parallel: '∥', mid: '∣',
+    sum: '∑', prod: '∏', int: '∫', iint: '∬', oint: '∮', ldots: '…', dots: '…',
+    cdots: '⋯', vdots: '⋮', ddots: '⋱', prime: '′', langle: '⟨', rangle: '⟩',
+    lfloor: '⌊', rfloor: '⌋', lceil: '⌈', rceil: '⌉', vert: '|', Vert: '‖'
+  },
+  
+  // Upright function names
+  FUNCTIONS: ['sin', 'cos', 'tan', 'cot', 'sec', 'csc', 'arcsin', 'arccos', 'arctan', 'sinh',
+    'cosh', 'tanh', 'log', 'ln', 'lg', 'exp', 'lim', 'max', 'min', 'sup', 'inf', 'det', 'gcd', 'mod'],
+  
+  // Accents: command -> character placed over (or under) the argument
+  ACCENTS: { overline: '¯', bar: '¯', hat: '^', widehat: '^', vec: '→', dot: '˙', ddot: '¨', tilde: '~', widetilde: '~' },
+  
+  SPACES: { ',': '0.17em', ':': '0.22em', ';': '0.28em', ' ': '0.25em', quad: '1em', qquad: '2em', '!': '0' },
+  
+  // Blackboard bold for \mathbb
+  DOUBLE_STRUCK: { R: 'ℝ', N: 'ℕ', Z: 'ℤ', Q: 'ℚ', C: 'ℂ', P: 'ℙ' },
+  
+  // Delimiters around matrix environments
+  ENVIRONMENTS: {
+    matrix: ['', ''], pmatrix: ['(', ')'], bmatrix: ['[', ']'], Bmatrix: ['{', '}'],
+    vmatrix: ['|', '|'], Vmatrix: ['‖', '‖'], cases: ['{', ''], array: ['', ''], aligned: ['', '']
+  },
+  
+  /**
+   * Replace an element's content with text in which LaTeX is rendered
+   * Math that cannot be parsed is shown as its source.
+   * @param {HTMLElement} element - Target element
+   * @param {string} text - Text that may contain delimited LaTeX
+   */
+  render(element, text) {
+    element.textContent = '';
+    this.append(element, text);
+  },
+  
+  /**
+   * Append text in which LaTeX is rendered to an element
+   * @param {HTMLElement} element - Target element
+   * @param {string} text - Text that may contain delimited LaTeX
+   */
+  append(element, text) {
+    const source = String(text == null ? '' : text);
+    let last = 0;
+    
+    for (const match of source.matchAll(this.DELIMITED)) {
+      element.appendChild(document.createTextNode(source.slice(last, match.index)));
+      
+      const tex = match[1] !== undefined ? match[1] : (match[2] !== undefined ? match[2] : match[3]);
+      
+      try {
+        element.appendChild(this.toMathML(tex, match[1] === undefined));
+      } catch (error) {
+        const code = document.createElement('code');
+        code.className = 'math-source';
+        code.textContent = match[0];
+        element.appendChild(code);
+      }
+      
+      last = match.index + match[0].length;
+    }
+    
+    element.appendChild(document.createTextNode(source.slice(last)));
+  },
+  
+  /**
+   * Convert TeX to a MathML element
+   * @param {string} tex - TeX source, without delimiters
+   * @param {boolean} display - Block (true) or inline math
+   * @returns {Element} <math> element
+   * @throws {Error} On TeX this renderer does not understand
+   */
+  toMathML(tex, display) {
+    const tokens = tex.match(this.TOKEN) || [];
+    let pos = 0;
+    
+    const node = (name, children = [], attributes = {}) => {
+      const element = document.createElementNS(this.NAMESPACE, name);
+      for (const [key, value] of Object.entries(attributes)) {
+        element.setAttribute(key, value);
+      }
+      if (typeof children === 'string') {
+        element.textContent = children;
+      } else {
+        children.forEach(child => element.appendChild(child));
+      }
+      return element;
+    };
+    const row = items => (items.length === 1 ? items[0] : node('mrow', items));
+    
+    const skipSpace = () => {
+      while (pos < tokens.length && /^\s+$/.test(tokens[pos])) pos++;
+    };
+    const peek = () => {
+      skipSpace();
+      return tokens[pos];
+    };
+    const expect = token => {
+      if (peek() !== token) {
+        throw new Error(`Expected ${token}`);
+      }
+      pos++;
+    };
+    
+    // Raw text up to the closing brace of a group that was just opened
+    const readRaw = () => {
+      let depth = 1;
+      let text = '';
+      
+      while (pos < tokens.length) {
+        const token = tokens[pos++];
+        if (token === '{') depth++;
+        if (token === '}' && --depth === 0) return text;
+        text += token;
+      }
+      
+      throw new Error('Unclosed group');
+    };
+    const readRawGroup = () => {
+      expect('{');
+      return readRaw();
+    };
+    
+    const parseRow = stops => {
+      const items = [];
+      while (peek() !== undefined && !stops.includes(peek())) {
+        items.push(parseScripted());
+      }
+      return row(items);
+    };
+    
+    const parseScripted = () => {
+      const base = parseAtom();
+      let sub = null;
+      let sup = null;
+      
+      for (;;) {
+        const token = peek();
+        if (token === '_' && !sub) {
+          pos++;
+          sub = parseAtom();
+        } else if (token === '^' && !sup) {
+          pos++;
+          sup = parseAtom();
+        } else if (token === "'") {
+          pos++;
+          sup = node('mo', '′');
+        } else {
+          break;
+        }
+      }
+      
+      if (sub && sup) return node('msubsup', [base, sub, sup]);
+      if (sub) return node('msub', [base, sub]);
+      if (sup) return node('msup', [base, sup]);
+      return base;
+    };
+    
+    const parseFence = () => {
+      skipSpace();
+      const token = tokens[pos++];
+      const name = token && token.startsWith('\\') ? token.slice(1) : token;
+      
+      if (name === '.') return node('mrow');
+      return node('mo', this.OPERATORS[name] || name, { fence: 'true', stretchy: 'true' });
+    };
+    
+    const parseEnvironment = () => {
+      const name = readRawGroup();
+      const fences = this.ENVIRONMENTS[name];
+      if (!fences) {
+        throw new Error(`Unsupported environment ${name}`);
+      }
+      
+      // Column spec of array, e.g. {cc}
+      if (name === 'array' && peek() === '{') {
+        pos++;
+        readRaw();
+      }
+      
+      const rows = [[]];
+      for (;;) {
+        rows[rows.length - 1].push(node('mtd', [parseRow(['&', '\\\\', '\\end'])]));
+        
+        const token = tokens[pos++];
+        if (token === '&') continue;
+        if (token === '\\\\') {
+          rows.push([]);
+          continue;
+        }
+        if (token === '\\end') {
+          readRawGroup();
+          break;
+        }
+        throw new Error(`Unclosed environment ${name}`);
+      }
+      
+      const table = node('mtable', rows.map(cells => node('mtr', cells)));
+      const parts = [fences[0] && node('mo', fences[0]), table, fences[1] && node('mo', fences[1])];
+      return node('mrow', parts.filter(Boolean));
+    };
+    
+    const parseCommand = name => {
+      if (this.IDENTIFIERS[name]) return node('mi', this.IDENTIFIERS[name]);
+      if (this.OPERATORS[name]) return node('mo', this.OPERATORS[name]);
+      if (this.FUNCTIONS.includes(name)) return node('mi', name, { mathvariant: 'normal' });
+      if (this.SPACES[name]) return node('mspace', [], { width: this.SPACES[name] });
+      if (this.ACCENTS[name]) return node('mover', [parseAtom(), node('mo', this.ACCENTS[name])], { accent: 'true' });
+      
+      switch (name) {
+        case 'frac':
+        case 'dfrac':
+        case 'tfrac':
+          return node('mfrac', [parseAtom(), parseAtom()]);
+        case 'sqrt':
+          if (peek() === '[') {
+            pos++;
+            const index = parseRow([']']);
+            expect(']');
+            return node('mroot', [parseAtom(), index]);
+          }
+          return node('msqrt', [parseAtom()]);
+        case 'text':
+        case 'textrm':
+        case 'textit':
+        case 'textbf':
+        case 'mbox':
+          return node('mtext', readRawGroup());
+        case 'mathrm':
+        case 'mathbf':
+        case 'operatorname':
+          return node('mi', readRawGroup().trim(), { mathvariant: 'normal' });
+        case 'mathbb':
+          return node('mi', [...readRawGroup().trim()].map(c => this.DOUBLE_STRUCK[c] || c).join(''));
+        case 'underline':
+          return node('munder', [parseAtom(), node('mo', '_')], { accentunder: 'true' });
+        case 'overset':
+        case 'stackrel': {
+          const over = parseAtom();
+          return node('mover', [parseAtom(), over]);
+        }
+        case 'underset': {
+          const under = parseAtom();
+          return node('munder', [parseAtom(), under]);
+        }
+        case 'left':
+        case 'right':
+        case 'big':
+        case 'Big':
+        case 'bigl':
+        case 'bigr':
+          return parseFence();
+        case 'begin':
+          return parseEnvironment();
+        case 'displaystyle':
+        case 'limits':
+        case 'nolimits':
+          return node('mrow');
+        default:
+          throw new Error(`Unsupported command \\${name}`);
+      }
+    };
+    
+    const parseAtom = () => {
+      skipSpace();
+      const token = tokens[pos++];
+      
+      if (token === undefined) {
+        throw new Error('Unexpected end of math');
+      }
+      if (token === '{') {
+        const group = parseRow(['}']);
+        expect('}');
+        return group;
+      }
+      if (token === '\\\\') {
+        return node('mrow'); // Line break outside an environment
+      }
+      if (token === '}' || token === '^' || token === '_' || token === '&') {
+        throw new Error(`Unexpected ${token}`);
+      }
+      if (/^\d/.test(token)) {
+        return node('mn', token);
+      }
+      if (/^\p{L}$/u.test(token)) {
+        return node('mi', token);
+      }
+      if (/^\\[a-zA-Z]+$/.test(token)) {
+        return parseCommand(token.slice(1));
+      }
+      if (token.startsWith('\\')) {
+        // Escaped character: \{ \} \% \$ \& \# \_ or a spacing command
+        const char = token.slice(1);
+        return this.SPACES[char] ? node('mspace', [], { width: this.SPACES[char] }) : node('mo', char);
+      }
+      
+      return node('mo', token);
+    };
+    
+    const content = parseRow([]);
+    if (pos < tokens.length) {
+      throw new Error(`Unexpected ${tokens[pos]}`);
+    }
+    
+    return node('math', [content], { display: display ? 'block' : 'inline' });
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MathRenderer;
+}
\ No newline at end of file
@@ -6,6 +6,45 @@
 
 const MCQExtractor = {
   
+  // Containers that mark a shared passage or scenario on exam platforms
+  PASSAGE_SELECTORS: '.passage, .reading-passage, .stimulus, .case-study, .scenario, [data-passage], [data-stimulus]',
+  
+  // Wording that introduces a passage ("Read the passage below", "Case Study 2")
+  PASSAGE_CUE: /\b(read the (following|passage|text|excerpt)|passage\b|case study|scenario|refer to the|questions? \d+\s*[-–]\s*\d+)/i,
+  
+  // Same limits as REQUEST_LIMITS.contextMinLength / contextMaxLength on the backend
+  PASSAGE_MIN_LENGTH: 200, // With a cue or passage markup; shorter blocks are instructions
+  PASSAGE_PLAIN_MIN_LENGTH: 600, // Without either
+  PASSAGE_MAX_LENGTH: 8000,
+  
+  // Figures sent with a question; same limits as REQUEST_LIMITS.maxImages / imageMaxLength
+  FIGURE_SELECTORS: 'img, canvas, svg',
+  FIGURE_MIN_SIDE: 32, // Smaller images are icons and spacers
+  FIGURE_MAX_SIDE: 1024, // Larger figures are scaled down before sending
+  MAX_IMAGES: 4,
+  IMAGE_MAX_LENGTH: 2000000,
+  
+  // What MathJax 2 renders next to its math/tex source scripts
+  MATHJAX_RENDERED: '.MathJax_Preview, .MathJax, .MathJax_Display, .MathJax_SVG, .MathJax_SVG_Display, .MathJax_CHTML, .mjx-chtml',
+  
+  // Guesses for code blocks without a language class. A guess is only used when
+  // exactly one language matches: a wrong hint is worse than none, since
+  // JavaScript snippets are run to check output questions.
+  CODE_LANGUAGE_HINTS: [
+    ['html', /^\s*<(!doctype|html|div|p|span|body|head|ul|table)\b/i],
+    ['sql', /^\s*(SELECT|INSERT|UPDATE|DELETE|CREATE TABLE)\b/i],
+    ['python', /^\s*def\s+\w+\s*\(.*\)\s*(->.*)?:\s*$|^\s*class\s+\w+\s*(\(.*\))?\s*:\s*$|^\s*(elif\s.*|else|try|finally|except\b.*)\s*:\s*$|^\s*for\s+\w+(\s*,\s*\w+)*\s+in\s.*:\s*$|^\s*from\s+[\w.]+\s+import\s|^\s*import\s+[\w.]+(\s+as\s+\w+)?\s*$|^\s*print\(.*\)\s*$/m],
+    ['java', /\b(public|private)\s+(static\s+)?(class|void|int|String)\b|System\.out\.print/],
+    ['csharp', /\bConsole\.Write(Line)?\s*\(|^\s*using\s+System\b/m],
+    ['rust', /^\s*(pub\s+)?fn\s+\w+\s*[(<]|\bprintln!\s*\(|\blet\s+mut\s/m],
+    ['cpp', /#include\s*<\w+>|\bstd::(cout|cin|endl|vector|string|map)\b|\bcout\s*<</],
+    ['c', /#include\s*<[\w/]+\.h>|(^|[^.\w])printf\s*\(/m],
+    ['javascript', /\bconsole\.log\s*\(|^\s*(async\s+)?function\b\s*\*?\s*[\w$]*\s*\(|^\s*import\s.*\bfrom\s+['"]|\brequire\(\s*['"]|^\s*(const|let)\s+[\w$]+\s*=.*;\s*$/m]
+  ],
+  
+  // MathML identifiers written as TeX commands, so "sin" "x" reads \sin x
+  TEX_FUNCTIONS: ['sin', 'cos', 'tan', 'cot', 'sec', 'csc', 'log', 'ln', 'exp', 'lim', 'max', 'min', 'det'],
+  
   /**
    * Extract all MCQs from the current page
    * @returns {Array<Object>} Array of MCQ objects
@@ -16,6 +55,10 @@ const MCQExtractor = {
     // Try multiple extraction strategies
     const strategies = [
       this.extractFromRadioButtons.bind(this),
+      this.extractFromCheckboxes.bind(this),
+      this.extractFromSelectGroups.bind(this),
+      this.extractFromSortableLists.bind(this),
+      this.extractFromTextInputs.bind(this),
       this.extractFromLists.bind(this),
       this.extractFromDivStructure.bind(this),
       this.extractFromTableFormat.bind(this),
@@ -34,7 +77,273 @@ const MCQExtractor = {
     }
     
     // Deduplicate based on question text
-    return this.deduplicate(mcqs);
+    const unique = this.deduplicate(mcqs);
+    
+    // Single answer unless the strategy, the options or the wording say otherwise
+    unique.forEach(mcq => {
+      mcq.questionType = mcq.questionType || this.detectQuestionType(mcq.question, mcq.options);
+    });
+    
+    this.attachPassages(unique);
+    unique.forEach(mcq => {
+      mcq.images = this.findImages(mcq);
+    });
+    
+    return unique;
+  },
+  
+  /**
+   * Attach the shared passage above each question as its `context`
+   * Questions in the same group find the same passage element, so they all
+   * carry the same text.
+   * @param {Array<Object>} mcqs - MCQ objects
+   */
+  attachPassages(mcqs) {
+    const texts = new Map(); // passage element -> text
+    
+    mcqs.forEach(mcq => {
+      const anchor = mcq.questionElement || (mcq.options[0] && mcq.options[0].element);
+      const passage = anchor ? this.findPassage(anchor) : null;
+      if (!passage) return;
+      
+      if (!texts.has(passage)) {
+        texts.set(passage, this.extractTextContent(passage).slice(0, this.PASSAGE_MAX_LENGTH));
+      }
+      
+      mcq.context = texts.get(passage);
+      mcq.passageElement = passage;
+    });
+  },
+  
+  /**
+   * Find the passage a question belongs to
+   * Walks up from the question, checking the earlier siblings at each level: a
+   * passage sits above the first question of its group, so the other questions
+   * of the group are skipped on the way.
+   * @param {HTMLElement} element - Question element
+   * @returns {HTMLElement|null} Passage element
+   */
+  findPassage(element) {
+    const marked = element.closest(this.PASSAGE_SELECTORS);
+    if (marked && !marked.querySelector('input, select, textarea')) {
+      return marked;
+    }
+    
+    let node = element;
+    
+    for (let depth = 0; node && node !== document.body && depth < 6; depth++) {
+      let sibling = node.previousElementSibling;
+      
+      for (let seen = 0; sibling && seen < 15; seen++) {
+        if (this.isPassage(sibling)) {
+          return sibling;
+        }
+        sibling = sibling.previousElementSibling;
+      }
+      
+      node = node.parentElement;
+    }
+    
+    return null;
+  },
+  
+  /**
+   * Check whether an element is a passage: marked up as one, or a long block
+   * of text without form fields, introduced by a cue unless it is very long
+   * @param {HTMLElement} element - Candidate element
+   * @returns {boolean} True for a passage
+   */
+  isPassage(element) {
+    if (element.querySelector('input, select, textarea') || element.matches('input, select, textarea, script, style')) {
+      return false;
+    }
+    
+    if (element.matches(this.PASSAGE_SELECTORS)) {
+      return true;
+    }
+    
+    const text = this.extractTextContent(element);
+    if (text.length < this.PASSAGE_MIN_LENGTH) {
+      return false;
+    }
+    
+    const heading = element.previousElementSibling;
+    const cued = this.PASSAGE_CUE.test(text.slice(0, 120)) ||
+      Boolean(heading && this.PASSAGE_CUE.test(this.extractTextContent(heading).slice(0, 120)));
+    
+    return cued || text.length >= this.PASSAGE_PLAIN_MIN_LENGTH;
+  },
+  
+  /**
+   * Find the figures of a question: images inside the question element or
+   * between it and the first option, then images inside each option
+   * The images are only read when the question is solved (captureImages).
+   * @param {Object} mcq - MCQ object
+   * @returns {Array<Object>} [{ element, label }] in the order they are sent
+   */
+  findImages(mcq) {
+    const figures = [];
+    const add = (element, label) => {
+      if (figures.length < this.MAX_IMAGES && this.isFigure(element) && !figures.some(f => f.element === element)) {
+        figures.push({ element, label });
+      }
+    };
+    
+    const containers = mcq.options.map(opt => this.findOptionContainer(opt.element)).filter(Boolean);
+    const question = mcq.questionElement;
+    const first = containers[0];
+    
+    if (question && !first) {
+      question.querySelectorAll(this.FIGURE_SELECTORS).forEach(element => add(element, 'Figure'));
+    } else if (question) {
+      let scope = question;
+      while (scope && !scope.contains(first)) {
+        scope = scope.parentElement;
+      }
+      
+      (scope || question).querySelectorAll(this.FIGURE_SELECTORS).forEach(element => {
+        const afterQuestion = question.compareDocumentPosition(element) & Node.DOCUMENT_POSITION_FOLLOWING;
+        const beforeOptions = element.compareDocumentPosition(first) & Node.DOCUMENT_POSITION_FOLLOWING;
+        
+        if (afterQuestion && beforeOptions && !containers.some(c => c.contains(element))) {
+          add(element, 'Figure');
+        }
+      });
+    }
+    
+    containers.forEach((container, i) => {
+      const label = `Option ${String.fromCharCode(65 + i)}`;
+      
+      if (container.matches(this.FIGURE_SELECTORS)) {
+        add(container, label);
+      }
+      container.querySelectorAll(this.FIGURE_SELECTORS).forEach(element => add(element, label));
+    });
+    
+    return figures;
+  },
+  
+  /**
+   * Element holding the visible content of an option
+   * @param {HTMLElement} element - Option element (input or list item)
+   * @returns {HTMLElement|null} Label of an input, or the element itself
+   */
+  findOptionContainer(element) {
+    if (!element || !element.matches('input, select, option')) {
+      return element || null;
+    }
+    
+    // The next-sibling fallback of findLabelElementForInput can be the next option
+    const label = this.findLabelElementForInput(element);
+    return label && !label.matches('input') && !label.querySelector('input') ? label : null;
+  },
+  
+  /**
+   * Check whether an element is a figure worth sending: a visible image,
+   * canvas or outermost svg that is not icon-sized
+   * @param {HTMLElement} element - Candidate element
+   * @returns {boolean} True for a figure
+   */
+  isFigure(element) {
+    if (element.matches('svg') && element.parentElement && element.parentElement.closest('svg')) {
+      return false;
+    }
+    
+    const rect = element.getBoundingClientRect();
+    return rect.width >= this.FIGURE_MIN_SIDE && rect.height >= this.FIGURE_MIN_SIDE;
+  },
+  
+  /**
+   * Read the figures of a question as data URLs for the backend
+   * Figures that cannot be read (cross-origin images the page does not allow
+   * scripts to read) are left out.
+   * @param {Object} mcq - MCQ object with images from findImages
+   * @returns {Promise<Array<Object>>} [{ data, label }]
+   */
+  async captureImages(mcq) {
+    const images = [];
+    
+    for (const { element, label } of mcq.images || []) {
+      try {
+        const data = await this.captureImage(element);
+        if (data) {
+          images.push({ data, label });
+        }
+      } catch (error) {
+        console.warn(`Could not read ${label}:`, error);
+      }
+    }
+    
+    return images;
+  },
+  
+  /**
+   * Read one figure as a PNG (or JPEG, when the PNG is too large) data URL
+   * @param {HTMLElement} element - img, canvas or svg element
+   * @returns {Promise<string|null>} Data URL
+   */
+  async captureImage(element) {
+    if (element.matches('canvas')) {
+      return this.rasterize(element, element.width, element.height);
+    }
+    
+    if (element.matches('svg')) {
+      const clone = element.cloneNode(true);
+      const rect = element.getBoundingClientRect();
+      clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+      clone.setAttribute('width', rect.width);
+      clone.setAttribute('height', rect.height);
+      
+      const image = new Image();
+      image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(new XMLSerializer().serializeToString(clone))}`;
+      await image.decode();
+      
+      return this.rasterize(image, rect.width, rect.height);
+    }
+    
+    if (!element.complete) {
+      await element.decode();
+    }
+    if (!element.naturalWidth) {
+      return null;
+    }
+    
+    try {
+      return this.rasterize(element, element.naturalWidth, element.naturalHeight);
+    } catch (error) {
+      // A cross-origin image taints the canvas; fetching it works when CORS allows
+      const response = await fetch(element.currentSrc || element.src);
+      const bitmap = await createImageBitmap(await response.blob());
+      return this.rasterize(bitmap, bitmap.width, bitmap.height);
+    }
+  },
+  
+  /**
+   * Draw an image source onto a white canvas, scaled to FIGURE_MAX_SIDE
+   * @param {CanvasImageSource} source - Image, canvas or bitmap
+   * @param {number} width - Source width
+   * @param {number} height - Source height
+   * @returns {string|null} Data URL, or null when even the JPEG is too large
+   */
+  rasterize(source, width, height) {
+    const scale = Math.min(1, this.FIGURE_MAX_SIDE / Math.max(width, height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(width * scale));
+    canvas.height = Math.max(1, Math.round(height * scale));
+    
+    // JPEG has no transparency; transparent diagrams would turn black
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#fff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(source, 0, 0, canvas.width, canvas.height);
+    
+    const png = canvas.toDataURL('image/png');
+    if (png.length <= this.IMAGE_MAX_LENGTH) {
+      return png;
+    }
+    
+    const jpeg = canvas.toDataURL('image/jpeg', 0.85);
+    return jpeg.length <= this.IMAGE_MAX_LENGTH ? jpeg : null;
   },
   
   /**
@@ -75,6 +384,7 @@ const MCQExtractor = {
           questionElement: question.element,
           options: options,
           type: 'radio',
+          questionType: this.isTrueFalse(options) ? 'trueFalse' : 'single',
           groupName: groupName
         });
       }
@@ -83,6 +393,227 @@ const MCQExtractor = {
     return mcqs;
   },
   
+  /**
+   * Extract "select all that apply" questions from checkbox groups
+   * @returns {Array<Object>} MCQ objects
+   */
+  extractFromCheckboxes() {
+    const mcqs = [];
+    const groups = [];
+    const byName = {};
+    const ungrouped = [];
+    
+    // Group checkboxes sharing a name attribute (e.g. name="q1[]")
+    document.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+      if (!checkbox.name) {
+        ungrouped.push(checkbox);
+        return;
+      }
+      
+      if (!byName[checkbox.name]) {
+        byName[checkbox.name] = [];
+      }
+      
+      byName[checkbox.name].push(checkbox);
+    });
+    
+    for (const checkboxes of Object.values(byName)) {
+      if (checkboxes.length > 1) {
+        groups.push(checkboxes);
+      } else {
+        ungrouped.push(...checkboxes);
+      }
+    }
+    
+    // Checkboxes with individual names (q1_a, q1_b, ...) are grouped by their container
+    const byContainer = new Map();
+    ungrouped.forEach(checkbox => {
+      const container = checkbox.closest('fieldset, .question, .quiz-item, [role="group"]');
+      if (!container) return;
+      
+      if (!byContainer.has(container)) {
+        byContainer.set(container, []);
+      }
+      
+      byContainer.get(container).push(checkbox);
+    });
+    
+    groups.push(...[...byContainer.values()].filter(checkboxes => checkboxes.length > 1));
+    
+    for (const checkboxes of groups) {
+      const question = this.findQuestionForRadioGroup(checkboxes[0]);
+      const options = checkboxes.map(checkbox => {
+        const label = this.findLabelElementForInput(checkbox);
+        return {
+          text: label ? this.extractTextContent(label) : checkbox.value,
+          // Highlight the label so each selection can carry its own badge
+          element: label || checkbox,
+          input: checkbox,
+          value: checkbox.value
+        };
+      });
+      
+      if (question) {
+        mcqs.push({
+          question: question.text,
+          questionElement: question.element,
+          options: options,
+          type: 'checkbox',
+          questionType: 'multiSelect',
+          groupName: checkboxes[0].name || undefined
+        });
+      }
+    }
+    
+    return mcqs;
+  },
+  
+  /**
+   * Extract matching and ordering questions from groups of <select> dropdowns
+   * Selects whose choices are the numbers 1..n (one per select) are an ordering
+   * task; otherwise each select's label is a premise and its choices the options.
+   * @returns {Array<Object>} MCQ objects
+   */
+  extractFromSelectGroups() {
+    const mcqs = [];
+    const byContainer = new Map();
+    
+    document.querySelectorAll('select').forEach(select => {
+      const container = select.closest('fieldset, table, .question, .quiz-item, [role="group"]');
+      if (!container) return;
+      
+      if (!byContainer.has(container)) {
+        byContainer.set(container, []);
+      }
+      
+      byContainer.get(container).push(select);
+    });
+    
+    for (const [container, selects] of byContainer) {
+      if (selects.length < 2) continue;
+      
+      // Placeholder entries ("Choose...") have an empty value
+      const choices = Array.from(selects[0].options)
+        .filter(opt => opt.value !== '')
+        .map(opt => opt.textContent.trim());
+      
+      // Every select must offer the same choices
+      const sameChoices = selects.every(select =>
+        Array.from(select.options).filter(opt => opt.value !== '').map(opt => opt.textContent.trim()).join('\n') === choices.join('\n'));
+      
+      const question = this.findQuestionForRadioGroup(selects[0]);
+      if (!sameChoices || choices.length < 2 || !question) continue;
+      
+      const premises = selects.map(select => {
+        const label = this.findSelectLabel(select);
+        return {
+          text: label ? this.extractTextContent(label) : select.name,
+          element: label || select,
+          input: select
+        };
+      });
+      
+      const isRanking = choices.length === selects.length &&
+        choices.every((choice, i) => choice === String(i + 1));
+      
+      mcqs.push(isRanking ? {
+        question: question.text,
+        questionElement: question.element,
+        options: premises, // The labelled rows are the items to put in order
+        type: 'select',
+        questionType: 'ordering'
+      } : {
+        question: question.text,
+        questionElement: question.element,
+        premises: premises,
+        options: choices.map(choice => ({
+          text: choice,
+          element: container,
+          value: choice
+        })),
+        type: 'select',
+        questionType: 'matching'
+      });
+    }
+    
+    return mcqs;
+  },
+  
+  /**
+   * Extract ordering questions from drag-and-drop sortable lists
+   * @returns {Array<Object>} MCQ objects
+   */
+  extractFromSortableLists() {
+    const mcqs = [];
+    const lists = document.querySelectorAll('ol, ul, [class*="sortable"], [data-sortable]');
+    
+    lists.forEach(list => {
+      const items = Array.from(list.children).filter(item => item.matches('li, [draggable="true"]'));
+      const sortable = list.matches('[class*="sortable"], [data-sortable]') ||
+        (items.length > 0 && items.every(item => item.getAttribute('draggable') === 'true'));
+      
+      if (!sortable || items.length < 2) return;
+      
+      const question = this.findQuestionBeforeElement(list) || this.findQuestionForRadioGroup(list);
+      if (!question) return;
+      
+      mcqs.push({
+        question: question.text,
+        questionElement: question.element,
+        options: items.map(item => ({
+          text: this.cleanOptionText(this.extractTextContent(item)),
+          element: item,
+          value: this.extractTextContent(item)
+        })),
+        type: 'sortable',
+        questionType: 'ordering'
+      });
+    });
+    
+    return mcqs;
+  },
+  
+  /**
+   * Extract fill-in-the-blank and numeric questions from text inputs inside
+   * question containers. Each input appears in the question text as _____.
+   * @returns {Array<Object>} MCQ objects
+   */
+  extractFromTextInputs() {
+    const mcqs = [];
+    const byContainer = new Map();
+    
+    document.querySelectorAll('input[type="text"], input[type="number"], input:not([type])').forEach(input => {
+      const container = input.closest('fieldset, .question, .quiz-item, [role="group"]');
+      if (!container) return;
+      
+      if (!byContainer.has(container)) {
+        byContainer.set(container, []);
+      }
+      
+      byContainer.get(container).push(input);
+    });
+    
+    for (const [container, inputs] of byContainer) {
+      // "Other: ___" fields belong to a choice question, not a blank
+      if (container.querySelector('input[type="radio"], input[type="checkbox"]')) continue;
+      
+      const isNumeric = inputs.every(input =>
+        input.type === 'number' || ['numeric', 'decimal'].includes(input.getAttribute('inputmode')));
+      const questionText = this.extractTextWithBlanks(container);
+      
+      mcqs.push({
+        question: questionText,
+        questionElement: container,
+        options: [],
+        inputs: inputs,
+        type: 'input',
+        questionType: isNumeric && inputs.length === 1 ? 'numeric' : 'fillBlank'
+      });
+    }
+    
+    return mcqs;
+  },
+  
   /**
    * Extract MCQs from list structures (ol, ul)
    * @returns {Array<Object>} MCQ objects
@@ -261,7 +792,7 @@ const MCQExtractor = {
     
     questions.forEach(q => {
       const questionText = q.querySelector('[role="heading"]')?.textContent;
-      const options = q.querySelectorAll('[role="radio"]');
+      const options = q.querySelectorAll('[role="radio"], [role="checkbox"]');
       
       if (questionText && options.length > 1) {
         mcqs.push({
@@ -272,7 +803,8 @@ const MCQExtractor = {
             element: opt,
             value: opt.textContent
           })),
-          type: 'google-forms'
+          type: 'google-forms',
+          questionType: options[0].getAttribute('role') === 'checkbox' ? 'multiSelect' : undefined
         });
       }
     });
@@ -418,25 +950,52 @@ const MCQExtractor = {
    * @returns {string|null} Label text
    */
   findLabelForInput(input) {
+    const label = this.findLabelElementForInput(input);
+    return label ? this.extractTextContent(label) : null;
+  },
+  
+  /**
+   * Find the element labelling an input
+   * @param {HTMLElement} input - Input element
+   * @returns {HTMLElement|null} Label element
+   */
+  findLabelElementForInput(input) {
     // Try label element
     if (input.id) {
       const label = document.querySelector(`label[for="${input.id}"]`);
-      if (label) return this.extractTextContent(label);
+      if (label) return label;
     }
     
     // Try parent label
     const parentLabel = input.closest('label');
     if (parentLabel) {
-      return this.extractTextContent(parentLabel);
+      return parentLabel;
     }
     
     // Try next sibling
-    const nextSibling = input.nextElementSibling;
-    if (nextSibling) {
-      return this.extractTextContent(nextSibling);
+    return input.nextElementSibling || null;
+  },
+  
+  /**
+   * Find the element labelling a select: a <label>, or the first cell of its table row
+   * @param {HTMLElement} select - Select element
+   * @returns {HTMLElement|null} Label element
+   */
+  findSelectLabel(select) {
+    if (select.id) {
+      const label = document.querySelector(`label[for="${select.id}"]`);
+      if (label) return label;
     }
     
-    return null;
+    const parentLabel = select.closest('label');
+    if (parentLabel) return parentLabel;
+    
+    const row = select.closest('tr');
+    if (row && row.cells.length > 1 && !row.cells[0].contains(select)) {
+      return row.cells[0];
+    }
+    
+    return select.previousElementSibling || null;
   },
   
   /**
@@ -460,6 +1019,51 @@ const MCQExtractor = {
   },
   
   /**
+   * Detect the question type from its options and wording
+   * @param {string} text - Question text
+   * @param {Array<Object>} [options] - Option objects
+   * @returns {string} 'trueFalse', 'multiSelect', 'ordering' or 'single'
+   */
+  detectQuestionType(text, options = []) {
+    if (this.isTrueFalse(options)) {
+      return 'trueFalse';
+    }
+    
+    const multiSelectIndicators = [
+      /select all/i,
+      /choose all/i,
+      /all that apply/i,
+      /more than one (answer|option)/i,
+      /(select|choose|mark|pick) (two|three|four|\d+)\b/i
+    ];
+    
+    if (multiSelectIndicators.some(pattern => pattern.test(text))) {
+      return 'multiSelect';
+    }
+    
+    const orderingIndicators = [
+      /\barrange\b/i,
+      /\brank\b/i,
+      /put .+ in (the )?(correct )?order/i,
+      /in (the correct|chronological|ascending|descending) order/i
+    ];
+    
+    return orderingIndicators.some(pattern => pattern.test(text)) ? 'ordering' : 'single';
+  },
+  
+  /**
+   * Check whether the options are exactly True and False
+   * @param {Array<Object>} options - Option objects
+   * @returns {boolean} True for a true/false question
+   */
+  isTrueFalse(options) {
+    if (options.length !== 2) return false;
+    
+    const texts = options.map(opt => String(opt.text).trim().toLowerCase());
+    return texts.includes('true') && texts.includes('false');
+  },
+  
+    /**
    * Extract clean text content from element
    * @param {HTMLElement} element - Element to extract from
    * @returns {string} Cleaned text
@@ -467,12 +1071,205 @@ const MCQExtractor = {
   extractTextContent(element) {
     if (!element) return '';
     
-    // Clone to avoid modifying original
-    const clone = element.cloneNode(true);
+    // Clone to avoid modifying original; the wrapper lets the element itself be replaced
+    const clone = document.createElement('div');
+    clone.appendChild(element.cloneNode(true));
+    
+    // Rendered equations read as glyph soup; use their TeX source instead
+    this.replaceMath(clone);
+    
+    // Code keeps its line breaks and indentation, so it is set aside before
+    // whitespace is collapsed
+    const blocks = this.replaceCode(clone);
     
     // Remove script and style tags
     clone.querySelectorAll('script, style').forEach(el => el.remove());
     
+    return clone.textContent
+      .trim()
+      .replace(/\s+/g, ' ')
+      .replace(/ ?\u0000(\d+)\u0000 ?/g, (match, index) => `\n${blocks[index]}\n`)
+      .trim();
+  },
+  
+  /**
+   * Replace code in a detached clone: blocks (pre, or multi-line code) with
+   * numbered placeholders, inline code with `backticks`
+   * @param {HTMLElement} root - Cloned element, modified in place
+   * @returns {Array<string>} Fenced blocks by placeholder number
+   */
+  replaceCode(root) {
+    const blocks = [];
+    
+    root.querySelectorAll('pre, code').forEach(element => {
+      // Already replaced along with its pre
+      if (!root.contains(element)) return;
+      
+      element.querySelectorAll('br').forEach(br => br.replaceWith('\n'));
+      const code = element.textContent.replace(/\r\n?/g, '\n').replace(/^\n+|\s+$/g, '');
+      
+      if (element.matches('pre') || code.includes('\n')) {
+        const language = this.detectCodeLanguage(element, code);
+        blocks.push(`\`\`\`${language}\n${code}\n\`\`\``);
+        element.replaceWith(`\u0000${blocks.length - 1}\u0000`);
+      } else if (code) {
+        element.replaceWith(`\`${code}\``);
+      }
+    });
+    
+    return blocks;
+  },
+  
+  /**
+   * Language hint for a code block: from its class or data attributes
+   * (highlight.js, Prism, Markdown renderers), else guessed from the code when
+   * the guess is unambiguous
+   * @param {HTMLElement} element - pre or code element
+   * @param {string} code - Code text
+   * @returns {string} Language name, or '' when unknown
+   */
+  detectCodeLanguage(element, code) {
+    for (const el of [element, ...element.querySelectorAll('code')]) {
+      const hinted = el.getAttribute('data-lang') || el.getAttribute('data-language');
+      if (hinted) return hinted.toLowerCase();
+      
+      const match = el.className && String(el.className).match(/\b(?:language|lang)-([\w+#-]+)/);
+      if (match) return match[1].toLowerCase();
+    }
+    
+    const guesses = this.CODE_LANGUAGE_HINTS.filter(([, pattern]) => pattern.test(code));
+    return guesses.length === 1 ? guesses[0][0] : '';
+  },
+  
+  /**
+   * Replace rendered math in a detached clone with its TeX source, written
+   * as \( inline \) or \[ display \] LaTeX
+   * Reads MathJax 2 source scripts, KaTeX annotations, the assistive MathML of
+   * MathJax 3, and plain MathML, which is converted to TeX.
+   * @param {HTMLElement} root - Cloned element, modified in place
+   */
+  replaceMath(root) {
+    const replace = (element, tex, display) => {
+      element.replaceWith(display ? ` \\[${tex.trim()}\\] ` : ` \\(${tex.trim()}\\) `);
+    };
+    
+    // MathJax 2: source in script[type="math/tex"], rendering in sibling spans
+    const sources = root.querySelectorAll('script[type^="math/tex"]');
+    if (sources.length > 0) {
+      root.querySelectorAll(this.MATHJAX_RENDERED).forEach(el => el.remove());
+      sources.forEach(script => replace(script, script.textContent, /mode=display/.test(script.type)));
+    }
+    
+    // KaTeX: source in the annotation of the hidden MathML copy
+    root.querySelectorAll('.katex').forEach(katex => {
+      const annotation = katex.querySelector('annotation[encoding="application/x-tex"]');
+      const math = katex.querySelector('math');
+      const tex = annotation ? annotation.textContent : (math ? this.mathMLToTex(math) : null);
+      
+      if (tex !== null) {
+        replace(katex, tex, Boolean(katex.closest('.katex-display')));
+      }
+    });
+    
+    // MathJax 3 draws glyphs with CSS; the text is in its assistive MathML
+    root.querySelectorAll('mjx-container').forEach(container => {
+      const math = container.querySelector('mjx-assistive-mml math');
+      const label = container.getAttribute('aria-label');
+      
+      if (math || label) {
+        replace(container, math ? this.mathMLToTex(math) : label, container.getAttribute('display') === 'true');
+      }
+    });
+    
+    root.querySelectorAll('math').forEach(math => {
+      replace(math, this.mathMLToTex(math), math.getAttribute('display') === 'block');
+    });
+  },
+  
+  /**
+   * Convert a MathML element to TeX
+   * A TeX annotation is used as is. Otherwise the common presentation elements are
+   * converted; operators and identifiers keep their Unicode (≤, π, ...).
+   * @param {Element} node - MathML element
+   * @returns {string} TeX source
+   */
+  mathMLToTex(node) {
+    const children = Array.from(node.children);
+    const tex = child => (child ? this.mathMLToTex(child) : '');
+    const group = child => {
+      const text = tex(child).trim();
+      return text.length === 1 ? text : `{${text}}`;
+    };
+    const all = () => children.map(tex).join('');
+    
+    switch (node.localName) {
+      case 'semantics': {
+        const annotation = node.querySelector('annotation[encoding="application/x-tex"]');
+        return annotation ? annotation.textContent.trim() : tex(children[0]);
+      }
+      case 'annotation':
+      case 'annotation-xml':
+        return '';
+      case 'mi': {
+        const name = node.textContent.trim();
+        return this.TEX_FUNCTIONS.includes(name) ? `\\${name} ` : name;
+      }
+      case 'mn':
+        return node.textContent.trim();
+      case 'mo':
+        return node.textContent.trim().replace(/\u2212/g, '-');
+      case 'mtext':
+        return `\\text{${node.textContent}}`;
+      case 'mspace':
+        return ' ';
+      case 'msup':
+        return `${group(children[0])}^${group(children[1])}`;
+      case 'msub':
+        return `${group(children[0])}_${group(children[1])}`;
+      case 'msubsup':
+      case 'munderover':
+        return `${group(children[0])}_${group(children[1])}^${group(children[2])}`;
+      case 'munder':
+        return `${group(children[0])}_${group(children[1])}`;
+      case 'mover': {
+        const accent = { '\u00AF': '\\overline', '^': '\\hat', '\u2192': '\\vec', '~': '\\tilde', '\u02D9': '\\dot' }[tex(children[1]).trim()];
+        return accent ? `${accent}{${tex(children[0])}}` : `\\overset{${tex(children[1])}}{${tex(children[0])}}`;
+      }
+      case 'mfrac':
+        return `\\frac{${tex(children[0])}}{${tex(children[1])}}`;
+      case 'msqrt':
+        return `\\sqrt{${all()}}`;
+      case 'mroot':
+        return `\\sqrt[${tex(children[1])}]{${tex(children[0])}}`;
+      case 'mfenced': {
+        const separator = node.getAttribute('separators') || ',';
+        return `${node.getAttribute('open') || '('}${children.map(tex).join(separator)}${node.getAttribute('close') || ')'}`;
+      }
+      case 'mtable':
+        return `\\begin{matrix}${children.map(tex).join(' \\\\ ')}\\end{matrix}`;
+      case 'mtr':
+      case 'mlabeledtr':
+        return children.map(tex).join(' & ');
+      case 'mphantom':
+        return '';
+      default:
+        return all();
+    }
+  },
+  
+  /**
+   * Extract text content with form fields replaced by a blank (_____)
+   * @param {HTMLElement} element - Element to extract from
+   * @returns {string} Cleaned text
+   */
+  extractTextWithBlanks(element) {
+    const clone = element.cloneNode(true);
+    
+    clone.querySelectorAll('script, style').forEach(el => el.remove());
+    clone.querySelectorAll('input, select, textarea').forEach(field => {
+      field.replaceWith(document.createTextNode(' _____ '));
+    });
+    
     return clone.textContent.trim().replace(/\s+/g, ' ');
   },
   
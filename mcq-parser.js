@@ -3,6 +3,9 @@
  * Parses extracted OCR text into structured MCQ format
  */
 
+const { QUESTION_SCHEMAS } = require('../config/constants');
+const logger = require('../utils/logger').child({ component: 'mcq-parser' });
+
 class MCQParser {
   
   /**
@@ -31,7 +34,7 @@ class MCQParser {
           mcqs.push(...parsed);
         }
       } catch (error) {
-        console.warn('Parsing strategy failed:', error);
+        logger.warn('Parsing strategy failed', { error });
       }
     }
     
@@ -116,59 +119,160 @@ class MCQParser {
   /**
    * Parse a single question block
    * @param {string} block - Question block text
-   * @returns {Object|null} Parsed MCQ
+   * @returns {Object|null} Parsed question ({ type, question, options[, premises] })
    */
   parseQuestionBlock(block) {
     // Extract question and options
     const lines = block.split('\n').map(l => l.trim()).filter(l => l.length > 0);
     
-    if (lines.length < 3) { // Need at least question + 2 options
+    // First line(s) are the question, options start at the first option-like line
+    const optionsStartIndex = lines.findIndex(line => this.looksLikeOption(line));
+    
+    if (optionsStartIndex === 0) {
       return null;
     }
     
-    // First line(s) are the question
-    let questionText = '';
-    let optionsStartIndex = 0;
+    const questionLines = optionsStartIndex === -1 ? lines : lines.slice(0, optionsStartIndex);
+    const optionLines = optionsStartIndex === -1
+      ? []
+      : lines.slice(optionsStartIndex).filter(line => this.looksLikeOption(line));
+    
+    const questionText = questionLines.join(' ').trim();
+    if (!questionText) {
+      return null;
+    }
+    
+    const type = this.detectQuestionType(questionText, optionLines);
+    
+    switch (type) {
+      case 'matching':
+        return this.buildMatchingQuestion(questionText, optionLines);
+      case 'trueFalse':
+        return {
+          type: type,
+          question: questionText,
+          options: optionLines.length === 2 ? optionLines.map(line => this.cleanOption(line)) : ['True', 'False']
+        };
+      case 'fillBlank':
+      case 'numeric':
+        return { type: type, question: questionText, options: [] };
+      case null:
+        return null;
+    }
+    
+    // Option-based types: single, multiSelect, ordering
+    const options = optionLines.map(line => this.cleanOption(line)).filter(Boolean);
+    
+    if (options.length < 2 || options.length > 6) {
+      return null;
+    }
     
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i];
+    return {
+      type: type,
+      question: questionText,
+      options: options
+    };
+  }
+  
+  /**
+   * Detect the question type from the question wording and option lines
+   * @param {string} questionText - Question text
+   * @param {Array<string>} optionLines - Option-like lines (with prefixes)
+   * @returns {string|null} Question type, or null if the block is not a question
+   */
+  detectQuestionType(questionText, optionLines) {
+    const cleaned = optionLines.map(line => this.cleanOption(line).toLowerCase());
+    
+    if (/\b(true or false|true\s*\/\s*false|T\s*\/\s*F)\b/i.test(questionText) ||
+        (cleaned.length === 2 && cleaned.includes('true') && cleaned.includes('false'))) {
+      return 'trueFalse';
+    }
+    
+    if (optionLines.length === 0) {
+      // No options: a blank to fill, a number to compute, or not a question at all
+      if (/_{3,}|\(\s+\)|\[\s+\]/.test(questionText)) {
+        return 'fillBlank';
+      }
       
-      // Check if this line starts options
-      if (this.looksLikeOption(line)) {
-        optionsStartIndex = i;
-        break;
+      if (/\b(how (many|much)|calculate|compute|evaluate|solve for|value of)\b/i.test(questionText) ||
+          /\d\s*[-+*\/×÷^]\s*\d/.test(questionText)) {
+        return 'numeric';
       }
       
-      questionText += (questionText ? ' ' : '') + line;
+      return null;
     }
     
-    if (!questionText || optionsStartIndex === 0 || optionsStartIndex >= lines.length - 1) {
-      return null;
+    if (/\bmatch\b/i.test(questionText) &&
+        (optionLines.some(line => this.isNumberedLine(line)) || optionLines.some(line => this.splitMatchingRow(line)))) {
+      return 'matching';
+    }
+    
+    if (/\b(arrange|rank|sequence|put .+ in (the )?(correct )?order|in (the correct|chronological|ascending|descending) order)\b/i.test(questionText)) {
+      return 'ordering';
     }
     
-    // Parse options
+    if (/\b(select|choose|mark) all\b|all that apply|more than one (answer|option)/i.test(questionText)) {
+      return 'multiSelect';
+    }
+    
+    return 'single';
+  }
+  
+  /**
+   * Build a matching question: numbered lines are premises, lettered lines are options.
+   * Two-column rows such as "1. Paris     A. France" are split into both.
+   * @param {string} questionText - Question text
+   * @param {Array<string>} optionLines - Option-like lines
+   * @returns {Object|null} Matching question
+   */
+  buildMatchingQuestion(questionText, optionLines) {
+    const premises = [];
     const options = [];
-    for (let i = optionsStartIndex; i < lines.length; i++) {
-      const line = lines[i];
+    
+    for (const line of optionLines) {
+      const row = this.splitMatchingRow(line);
       
-      if (this.looksLikeOption(line)) {
-        const option = this.cleanOption(line);
-        if (option) {
-          options.push(option);
-        }
+      if (row) {
+        premises.push(row.premise);
+        options.push(row.option);
+      } else if (this.isNumberedLine(line)) {
+        premises.push(this.cleanOption(line));
+      } else {
+        options.push(this.cleanOption(line));
       }
     }
     
-    if (options.length < 2 || options.length > 6) {
+    if (premises.length < 2 || options.length < 2) {
       return null;
     }
     
     return {
-      question: questionText.trim(),
-      options: options
+      type: 'matching',
+      question: questionText,
+      premises: premises.filter(Boolean),
+      options: options.filter(Boolean)
     };
   }
   
+  /**
+   * Split a two-column matching row ("1. Paris     A. France")
+   * @param {string} line - Line to split
+   * @returns {Object|null} { premise, option }
+   */
+  splitMatchingRow(line) {
+    const match = line.match(/^\(?\d+[.\):]\s*(.+?)\s{2,}\(?[A-Z][.\):]\s*(.+)$/i);
+    return match ? { premise: match[1].trim(), option: match[2].trim() } : null;
+  }
+  
+  /**
+   * Check if an option line is numbered (1., 2), (3)) rather than lettered
+   * @param {string} line - Option line
+   * @returns {boolean} True if numbered
+   */
+  isNumberedLine(line) {
+    return /^\(?\d+[.\):]/.test(line);
+  }
+  
   /**
    * Check if text looks like a question
    * @param {string} text - Text to check
@@ -241,12 +345,13 @@ class MCQParser {
    */
   validate(mcq) {
     const issues = [];
+    const rules = (QUESTION_SCHEMAS[mcq.type] || QUESTION_SCHEMAS.single).options;
     
     if (!mcq.question || mcq.question.length < 10) {
       issues.push('Question too short or missing');
     }
     
-    if (!mcq.options || mcq.options.length < 2) {
+    if (rules.required && (!mcq.options || mcq.options.length < 2)) {
       issues.push('Not enough options (need at least 2)');
     }
     
@@ -254,6 +359,10 @@ class MCQParser {
       issues.push('Too many options (maximum 6)');
     }
     
+    if (mcq.type === 'matching' && (!mcq.premises || mcq.premises.length < 2)) {
+      issues.push('Not enough premises (need at least 2)');
+    }
+    
     if (mcq.options) {
       const tooShort = mcq.options.filter(opt => opt.length < 1);
       if (tooShort.length > 0) {
@@ -275,11 +384,17 @@ class MCQParser {
   format(mcqs) {
     return mcqs.map((mcq, index) => {
       const num = mcq.number || (index + 1);
+      const type = mcq.type && mcq.type !== 'single' ? ` (${mcq.type})` : '';
       const options = mcq.options
         .map((opt, i) => `  ${String.fromCharCode(65 + i)}. ${opt}`)
         .join('\n');
+      const premises = (mcq.premises || [])
+        .map((premise, i) => `  ${i + 1}. ${premise}`)
+        .join('\n');
       
-      return `Question ${num}:\n${mcq.question}\n\nOptions:\n${options}`;
+      return `Question ${num}${type}:\n${mcq.question}` +
+        (premises ? `\n\nPremises:\n${premises}` : '') +
+        (options ? `\n\nOptions:\n${options}` : '');
     }).join('\n\n---\n\n');
   }
 }
@@ -0,0 +1,342 @@
+/**
+ * Mock Provider
+ * Deterministic offline provider for development and tests (AI_PROVIDER=mock)
+ *
+ * Behaviour is chosen per request, first match wins:
+ *   1. A directive in the question text, e.g. "[mock:rate-limit] What is ...?"
+ *   2. The first matching rule in the MOCK_SCRIPT JSON file
+ *   3. MOCK_BEHAVIOR (default: "answer")
+ *
+ * Images are accepted unless MOCK_VISION=false; answers to questions with images
+ * name the images they received in the explanation.
+ */
+
+const fs = require('fs');
+const BaseProvider = require('./base-provider');
+
+const BEHAVIORS = [
+  'answer',       // Rule-based valid JSON answer
+  'malformed',    // Prose naming an option letter; fails validation on every attempt
+  'unparseable',  // Prose matching no option; fails validation on every attempt
+  'repairable',   // Prose at first, a valid answer once re-prompted with the validation error
+  'slow',         // Valid answer after MOCK_DELAY_MS
+  'rate-limit',   // Provider 429
+  'auth',         // Provider 401
+  'unavailable',  // Provider not running
+  'timeout'       // Hangs for MOCK_TIMEOUT_MS, then fails
+];
+
+class MockProvider extends BaseProvider {
+  constructor(name, config = {}) {
+    super(name, { model: 'mock-deterministic', ...config });
+    this.behavior = config.behavior || 'answer';
+    this.delayMs = config.delayMs;
+    this.timeoutMs = config.timeoutMs;
+    this.streamChunkMs = config.streamChunkMs;
+    this.rules = config.scriptPath ? this._loadScript(config.scriptPath) : [];
+    
+    if (!BEHAVIORS.includes(this.behavior)) {
+      throw new Error(`Unknown MOCK_BEHAVIOR "${this.behavior}". Use one of: ${BEHAVIORS.join(', ')}`);
+    }
+  }
+  
+  async complete(request) {
+    const images = request.images || [];
+    const text = await this._respond(request);
+    
+    // Roughly four characters per token (and 85 per image, OpenAI's low-detail
+    // rate), so usage and budgets work offline
+    this._recordUsage(
+      images.length > 0 ? this.visionModel : this.model,
+      Math.ceil(`${request.system || ''}${request.user}`.length / 4) + images.length * 85,
+      Math.ceil(text.length / 4)
+    );
+    
+    return text;
+  }
+  
+  async _respond(request) {
+    const { question, options, premises } = this._parsePrompt(request.user);
+    const rule = this._selectRule(question);
+    const images = request.images || [];
+    
+    if (images.length > 0) {
+      if (!this.supportsImages()) {
+        throw new Error('Mock provider was sent images with MOCK_VISION=false');
+      }
+      images.forEach(image => this._parseDataUrl(image.data));
+    }
+    
+    switch (rule.behavior) {
+      case 'slow':
+        await this._sleep(rule.delayMs || this.delayMs, request.signal);
+        break;
+      case 'rate-limit':
+        throw new Error('Mock rate limit exceeded. Please try again later.');
+      case 'auth':
+        throw new Error('Invalid mock API key');
+      case 'unavailable':
+        throw new Error('Mock provider is not running');
+      case 'timeout':
+        await this._sleep(rule.delayMs || this.timeoutMs, request.signal);
+        throw new Error('Mock provider request timed out');
+      case 'malformed': {
+        const index = this._pickIndex(question, options);
+        return `I think the answer is ${this._letter(index)}) because it fits best.`;
+      }
+      case 'unparseable':
+        return 'Sorry, I cannot determine an answer to this question.';
+      case 'repairable':
+        if (!/^It was rejected: /m.test(request.user)) {
+          return 'The answer is probably the first one.';
+        }
+        break;
+    }
+    
+    if (rule.raw !== undefined) {
+      return rule.raw;
+    }
+    
+    if (rule.response !== undefined) {
+      return JSON.stringify(rule.response);
+    }
+    
+    const response = this._ruleBasedResponse(request.system, question, options, premises);
+    if (images.length > 0) {
+      response.explanation += ` Read ${images.length} image(s): ${images.map(image => image.label || 'Figure').join(', ')}.`;
+    }
+    
+    return JSON.stringify(response);
+  }
+  
+  /**
+   * Stream the same output as complete() in small chunks
+   */
+  async *stream(request) {
+    const text = await this.complete(request);
+    
+    for (let i = 0; i < text.length; i += 12) {
+      await this._sleep(this.streamChunkMs, request.signal);
+      yield text.slice(i, i + 12);
+    }
+  }
+  
+  async listModels() {
+    return [this.model];
+  }
+  
+  /**
+   * Pick the behaviour for a question
+   * @param {string} question - Question text
+   * @returns {Object} Rule with at least a behavior field
+   */
+  _selectRule(question) {
+    const directive = question.match(/\[mock:([a-z-]+)\]/i);
+    if (directive) {
+      return { behavior: directive[1].toLowerCase() };
+    }
+    
+    const lowerQuestion = question.toLowerCase();
+    const rule = this.rules.find(r => !r.match || lowerQuestion.includes(r.match.toLowerCase()));
+    if (rule) {
+      return { behavior: 'answer', ...rule };
+    }
+    
+    return { behavior: this.behavior };
+  }
+  
+  /**
+   * Deterministic response in the JSON shape the system prompt asks for
+   * @param {string} system - System prompt (identifies the question type)
+   * @param {string} question - Question text
+   * @param {Array<string>} options - Option texts
+   * @param {Array<string>} premises - Matching premises
+   * @returns {Object} Response object
+   */
+  _ruleBasedResponse(system, question, options, premises) {
+    if (system.includes('"answers"')) return this._ruleBasedSelection(question, options);
+    if (system.includes('"blanks"')) return this._ruleBasedBlanks(question, options);
+    if (system.includes('"value"')) return this._ruleBasedNumber(question);
+    if (system.includes('"matches"')) return this._ruleBasedMatches(question, options, premises);
+    if (system.includes('"order"')) return this._ruleBasedOrder(question, options);
+    
+    return this._ruleBasedAnswer(question, options);
+  }
+  
+  /**
+   * Deterministic answer: option picked from a hash of the question
+   * @param {string} question - Question text
+   * @param {Array<string>} options - Option texts
+   * @returns {Object} Answer in the MCQ_SYSTEM JSON shape
+   */
+  _ruleBasedAnswer(question, options) {
+    const index = this._pickIndex(question, options);
+    
+    return {
+      answer: this._letter(index),
+      confidence: 60 + (this._hash(question) % 40),
+      explanation: `Mock answer: "${options[index]}" chosen deterministically from the question text.`,
+      options: this._rationales(options, [options[index]])
+    };
+  }
+  
+  /**
+   * Deterministic multi-select answer: options picked from per-option hashes
+   * @param {string} question - Question text
+   * @param {Array<string>} options - Option texts
+   * @returns {Object} Answer in the MULTI_SELECT_SYSTEM JSON shape
+   */
+  _ruleBasedSelection(question, options) {
+    let selected = options.filter(option => this._hash(question + option) % 2 === 0);
+    if (selected.length === 0) {
+      selected = [options[this._pickIndex(question, options)]];
+    }
+    
+    return {
+      answers: selected.map(option => ({
+        answer: this._letter(options.indexOf(option)),
+        confidence: 60 + (this._hash(option) % 40)
+      })),
+      explanation: `Mock answer: ${selected.length} option(s) chosen deterministically from the question text.`,
+      options: this._rationales(options, selected)
+    };
+  }
+  
+  /**
+   * Verdict and rationale for every option
+   * @param {Array<string>} options - Option texts
+   * @param {Array<string>} correct - Options marked correct
+   * @returns {Array<Object>} [{ option, verdict, rationale }]
+   */
+  _rationales(options, correct) {
+    return options.map((option, i) => correct.includes(option)
+      ? { option: this._letter(i), verdict: 'correct', rationale: 'Mock rationale: this option was chosen.' }
+      : { option: this._letter(i), verdict: 'incorrect', rationale: 'Mock rationale: this option was not chosen.' });
+  }
+  
+  /**
+   * Option letter used by the prompts (0 -> "A")
+   */
+  _letter(index) {
+    return String.fromCharCode(65 + index);
+  }
+  
+  /**
+   * Deterministic fill-in-the-blank answer: one entry per ___ in the question
+   */
+  _ruleBasedBlanks(question, options) {
+    const count = Math.max(1, (question.match(/_{3,}/g) || []).length);
+    const blanks = Array.from({ length: count }, (_, i) =>
+      options.length > 0
+        ? options[this._hash(question + i) % options.length]
+        : `mock answer ${i + 1}`);
+    
+    return {
+      blanks: blanks,
+      confidence: 60 + (this._hash(question) % 40),
+      explanation: `Mock answer: ${count} blank(s) filled deterministically from the question text.`
+    };
+  }
+  
+  /**
+   * Deterministic numeric answer derived from the question hash
+   */
+  _ruleBasedNumber(question) {
+    return {
+      value: this._hash(question) % 1000,
+      unit: null,
+      confidence: 60 + (this._hash(question) % 40),
+      explanation: 'Mock answer: value derived deterministically from the question text.'
+    };
+  }
+  
+  /**
+   * Deterministic matching answer: each premise paired by hash
+   */
+  _ruleBasedMatches(question, options, premises) {
+    return {
+      matches: premises.map((premise, i) => ({
+        premise: i + 1,
+        answer: this._letter(this._hash(question + premise) % Math.max(options.length, 1)),
+        confidence: 60 + (this._hash(premise) % 40)
+      })),
+      explanation: `Mock answer: ${premises.length} premise(s) paired deterministically.`
+    };
+  }
+  
+  /**
+   * Deterministic ordering answer: items sorted by hash
+   */
+  _ruleBasedOrder(question, options) {
+    return {
+      order: [...options]
+        .sort((a, b) => this._hash(question + a) - this._hash(question + b))
+        .map(option => this._letter(options.indexOf(option))),
+      confidence: 60 + (this._hash(question) % 40),
+      explanation: `Mock answer: ${options.length} item(s) ordered deterministically.`
+    };
+  }
+  
+  _pickIndex(question, options) {
+    return options.length > 0 ? this._hash(question) % options.length : 0;
+  }
+  
+  /**
+   * Recover question, options and premises from the PROMPTS user templates
+   * @param {string} prompt - User prompt
+   * @returns {Object} { question, options, premises }
+   */
+  _parsePrompt(prompt) {
+    const questionMatch = prompt.match(/Question:\s*(.+)/);
+    const options = [...prompt.matchAll(/^[A-Z]\.\s+(.+)$/gm)].map(m => m[1].trim());
+    const premises = [...prompt.matchAll(/^\d+\.\s+(.+)$/gm)].map(m => m[1].trim());
+    
+    return {
+      question: questionMatch ? questionMatch[1].trim() : prompt,
+      options: options,
+      premises: premises
+    };
+  }
+  
+  _loadScript(scriptPath) {
+    try {
+      const rules = JSON.parse(fs.readFileSync(scriptPath, 'utf8'));
+      if (!Array.isArray(rules)) {
+        throw new Error('script must be a JSON array of rules');
+      }
+      return rules;
+    } catch (error) {
+      throw new Error(`Failed to load MOCK_SCRIPT ${scriptPath}: ${error.message}`);
+    }
+  }
+  
+  _hash(text) {
+    let hash = 0;
+    for (let i = 0; i < text.length; i++) {
+      hash = ((hash << 5) - hash + text.charCodeAt(i)) | 0;
+    }
+    return Math.abs(hash);
+  }
+  
+  _sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timeoutId);
+        reject(new Error('Mock request aborted'));
+      };
+      
+      const timeoutId = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+  }
+}
+
+MockProvider.BEHAVIORS = BEHAVIORS;
+
+module.exports = MockProvider;
\ No newline at end of file
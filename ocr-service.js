@@ -7,6 +7,7 @@ const Tesseract = require('tesseract.js');
 const pdfParse = require('pdf-parse');
 const fs = require('fs').promises;
 const { OCR_LANGUAGE } = require('../config/constants');
+const logger = require('../utils/logger').child({ component: 'ocr-service' });
 
 class OCRService {
   constructor() {
@@ -16,28 +17,39 @@ class OCRService {
   /**
    * Extract text from image
    * @param {string} imagePath - Path to image file
+   * @param {Object} [options] - Extraction options
+   * @param {AbortSignal} [options.signal] - Stops recognition and frees the worker
+   * @param {Function} [options.onProgress] - (percent) => void while recognizing text
    * @returns {Promise<Object>} Extracted text and metadata
    */
-  async extractFromImage(imagePath) {
+  async extractFromImage(imagePath, { signal, onProgress } = {}) {
+    let worker;
+    
     try {
-      console.log(`Starting OCR on image: ${imagePath}`);
+      logger.info('Starting image OCR', { path: imagePath, language: this.language });
+      
+      // Progress arrives from the Tesseract worker, outside the request's log context
+      const progressLog = logger.child({ ...logger.getContext() });
       
-      const result = await Tesseract.recognize(
-        imagePath,
-        this.language,
-        {
-          logger: m => {
-            if (m.status === 'recognizing text') {
-              console.log(`OCR Progress: ${Math.round(m.progress * 100)}%`);
-            }
+      worker = await Tesseract.createWorker(this.language, 1, {
+        logger: m => {
+          if (m.status === 'recognizing text') {
+            const percent = Math.round(m.progress * 100);
+            progressLog.debug('OCR progress', { percent });
+            if (onProgress) onProgress(percent);
           }
         }
-      );
+      });
+      
+      const result = await Promise.race([
+        worker.recognize(imagePath),
+        this.whenAborted(signal)
+      ]);
       
       const text = result.data.text;
       const confidence = result.data.confidence;
       
-      console.log(`OCR completed. Confidence: ${confidence}%`);
+      logger.info('Image OCR completed', { confidence: Math.round(confidence) });
       
       return {
         success: true,
@@ -51,11 +63,32 @@ class OCRService {
       };
       
     } catch (error) {
-      console.error('Image OCR error:', error);
+      if (signal && signal.aborted) throw error;
+      
+      logger.error('Image OCR failed', { error });
       throw new Error(`Failed to extract text from image: ${error.message}`);
+    } finally {
+      if (worker) {
+        await worker.terminate().catch(error => logger.warn('Failed to stop OCR worker', { error }));
+      }
     }
   }
   
+  /**
+   * Promise that rejects once a signal aborts (never settles without one)
+   * @param {AbortSignal} [signal] - Abort signal
+   * @returns {Promise<never>} Rejection on abort
+   */
+  whenAborted(signal) {
+    return new Promise((resolve, reject) => {
+      if (!signal) return;
+      
+      const abort = () => reject(new Error('OCR cancelled'));
+      if (signal.aborted) return abort();
+      signal.addEventListener('abort', abort, { once: true });
+    });
+  }
+  
   /**
    * Extract text from PDF
    * @param {string} pdfPath - Path to PDF file
@@ -63,7 +96,7 @@ class OCRService {
    */
   async extractFromPDF(pdfPath) {
     try {
-      console.log(`Starting PDF text extraction: ${pdfPath}`);
+      logger.info('Starting PDF text extraction', { path: pdfPath });
       
       const dataBuffer = await fs.readFile(pdfPath);
       const data = await pdfParse(dataBuffer);
@@ -71,7 +104,7 @@ class OCRService {
       const text = data.text;
       const pageCount = data.numpages;
       
-      console.log(`PDF extraction completed. Pages: ${pageCount}`);
+      logger.info('PDF extraction completed', { pages: pageCount });
       
       return {
         success: true,
@@ -85,10 +118,8 @@ class OCRService {
       };
       
     } catch (error) {
-      console.error('PDF extraction error:', error);
-      
       // If direct PDF text extraction fails, try OCR on each page
-      console.log('Attempting OCR fallback for PDF...');
+      logger.warn('PDF text extraction failed; attempting OCR fallback', { error });
       return await this.extractFromPDFWithOCR(pdfPath);
     }
   }
@@ -113,31 +144,40 @@ class OCRService {
   
   /**
    * Detect if file is image or PDF and extract accordingly
+   * The uploaded file is deleted afterwards, whether or not extraction succeeds.
    * @param {Object} file - Multer file object
+   * @param {Object} [options] - { signal, onProgress }, see extractFromImage
    * @returns {Promise<Object>} Extracted text
    */
-  async extractText(file) {
+  async extractText(file, options = {}) {
     const mimeType = file.mimetype;
     const filePath = file.path;
     
-    let result;
-    
-    if (mimeType.startsWith('image/')) {
-      result = await this.extractFromImage(filePath);
-    } else if (mimeType === 'application/pdf') {
-      result = await this.extractFromPDF(filePath);
-    } else {
+    try {
+      if (mimeType.startsWith('image/')) {
+        return await this.extractFromImage(filePath, options);
+      } else if (mimeType === 'application/pdf') {
+        return await this.extractFromPDF(filePath);
+      }
+      
       throw new Error(`Unsupported file type: ${mimeType}`);
+    } finally {
+      await this.discardUpload(file);
     }
-    
-    // Clean up uploaded file
+  }
+  
+  /**
+   * Delete an uploaded file
+   * @param {Object} file - Multer file object
+   */
+  async discardUpload(file) {
     try {
-      await fs.unlink(filePath);
+      await fs.unlink(file.path);
     } catch (error) {
-      console.warn('Failed to delete temporary file:', error);
+      if (error.code !== 'ENOENT') {
+        logger.warn('Failed to delete temporary file', { path: file.path, error });
+      }
     }
-    
-    return result;
   }
   
   /**
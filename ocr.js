@@ -9,8 +9,12 @@ const multer = require('multer');
 const path = require('path');
 const ocrService = require('../services/ocr-service');
 const mcqParser = require('../services/mcq-parser');
+const jobQueue = require('../services/job-queue');
 const { validateOCRRequest } = require('../middleware/validator');
+const { restoreContext } = require('../middleware/request-context');
+const { rateLimit } = require('../middleware/rate-limit');
 const { HTTP_STATUS, UPLOAD_LIMITS, ALLOWED_FILE_TYPES } = require('../config/constants');
+const logger = require('../utils/logger').child({ component: 'ocr' });
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -37,46 +41,143 @@ const upload = multer({
   }
 });
 
+// Applied before multer so rejected clients never upload the file
+const ocrLimit = rateLimit('ocr');
+
+/**
+ * Extract and clean the text of an upload
+ * @param {Object} file - Multer file object (deleted afterwards)
+ * @param {Object} [options] - { signal, onProgress }, see ocrService.extractText
+ * @returns {Promise<Object>} Body of a successful /api/ocr response
+ */
+async function extractTextResult(file, options = {}) {
+  // Extract text using OCR service
+  const startTime = Date.now();
+  const result = await ocrService.extractText(file, options);
+  const duration = Date.now() - startTime;
+  
+  logger.info('OCR complete', { words: result.wordCount, confidence: result.confidence, durationMs: duration });
+  
+  // Clean the text
+  const cleanedText = ocrService.cleanText(result.text);
+  
+  // Validate result quality
+  const validation = ocrService.validateResult(result);
+  
+  return {
+    success: true,
+    text: cleanedText,
+    rawText: result.text,
+    confidence: result.confidence,
+    wordCount: result.wordCount,
+    metadata: {
+      ...result.metadata,
+      processingTime: duration,
+      timestamp: new Date().toISOString()
+    },
+    validation: validation
+  };
+}
+
+/**
+ * Extract the text of an upload and parse the MCQs in it
+ * @param {Object} file - Multer file object (deleted afterwards)
+ * @param {Object} [options] - { signal, onProgress }, see ocrService.extractText
+ * @returns {Promise<Object>} Body of a successful /api/ocr/parse response
+ */
+async function parseQuestionsResult(file, options = {}) {
+  // Extract text
+  const startTime = Date.now();
+  const ocrResult = await ocrService.extractText(file, options);
+  
+  // Clean text
+  const cleanedText = ocrService.cleanText(ocrResult.text);
+  
+  // Parse MCQs
+  const mcqs = mcqParser.parse(cleanedText);
+  const duration = Date.now() - startTime;
+  
+  logger.info('OCR parse complete', { mcqs: mcqs.length, durationMs: duration });
+  
+  // Validate MCQs
+  const validatedMCQs = mcqs.map(mcq => ({
+    ...mcq,
+    validation: mcqParser.validate(mcq)
+  }));
+  
+  const validCount = validatedMCQs.filter(m => m.validation.isValid).length;
+  
+  return {
+    success: true,
+    mcqCount: mcqs.length,
+    validCount: validCount,
+    mcqs: validatedMCQs,
+    rawText: cleanedText,
+    ocrConfidence: ocrResult.confidence,
+    metadata: {
+      processingTime: duration,
+      timestamp: new Date().toISOString()
+    }
+  };
+}
+
+// Jobs keep only what is needed to find the upload again after a restart
+const jobFile = (file) => ({
+  path: file.path,
+  mimetype: file.mimetype,
+  originalname: file.originalname,
+  size: file.size
+});
+
+const ocrJob = (extract) => ({
+  run: ({ file }, { signal, reportProgress }) => extract(file, {
+    signal,
+    onProgress: (percent) => reportProgress(percent, 'recognizing text')
+  }),
+  discard: ({ file }) => ocrService.discardUpload(file)
+});
+
+jobQueue.define('ocr', ocrJob(extractTextResult));
+jobQueue.define('ocr-parse', ocrJob(parseQuestionsResult));
+
+/**
+ * Queue an upload for processing instead of answering inline (?async=true)
+ * @param {Object} req - Express request with the upload
+ * @param {Object} res - Express response
+ * @param {string} type - Job type
+ * @returns {boolean} Whether the request was answered with a job
+ */
+function queueIfAsync(req, res, type) {
+  if (req.query.async !== 'true') {
+    return false;
+  }
+  
+  const job = jobQueue.create(type, { file: jobFile(req.file) }, { owner: req.apiKey ? req.apiKey.id : null });
+  
+  res.status(HTTP_STATUS.ACCEPTED).location(`/api/jobs/${job.id}`).json({
+    success: true,
+    job: job
+  });
+  return true;
+}
+
 /**
  * POST /api/ocr
  * Extract text from image or PDF
+ * With ?async=true, responds 202 with a job to poll at /api/jobs/:id
  */
-router.post('/', upload.single('file'), validateOCRRequest, async (req, res) => {
+router.post('/', ocrLimit, upload.single('file'), restoreContext, validateOCRRequest, async (req, res) => {
   try {
     const file = req.file;
     
-    console.log(`[OCR Request] File: ${file.originalname} (${file.mimetype})`);
+    logger.info('OCR request', { filename: file.originalname, mimetype: file.mimetype, size: file.size });
     
-    // Extract text using OCR service
-    const startTime = Date.now();
-    const result = await ocrService.extractText(file);
-    const duration = Date.now() - startTime;
+    if (queueIfAsync(req, res, 'ocr')) return;
     
-    console.log(`[OCR Complete] Words: ${result.wordCount}, Confidence: ${result.confidence}%`);
-    console.log(`[OCR Duration] ${duration}ms`);
-    
-    // Clean the text
-    const cleanedText = ocrService.cleanText(result.text);
-    
-    // Validate result quality
-    const validation = ocrService.validateResult(result);
-    
-    res.status(HTTP_STATUS.OK).json({
-      success: true,
-      text: cleanedText,
-      rawText: result.text,
-      confidence: result.confidence,
-      wordCount: result.wordCount,
-      metadata: {
-        ...result.metadata,
-        processingTime: duration,
-        timestamp: new Date().toISOString()
-      },
-      validation: validation
-    });
+    res.status(HTTP_STATUS.OK).json(await extractTextResult(file));
     
   } catch (error) {
-    console.error('[OCR Error]', error);
+    logger.error('OCR failed', { error });
     
     res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
       success: false,
@@ -89,49 +190,20 @@ router.post('/', upload.single('file'), validateOCRRequest, async (req, res) =>
 /**
  * POST /api/ocr/parse
  * Extract text and parse MCQs in one request
+ * With ?async=true, responds 202 with a job to poll at /api/jobs/:id
  */
-router.post('/parse', upload.single('file'), validateOCRRequest, async (req, res) => {
+router.post('/parse', ocrLimit, upload.single('file'), restoreContext, validateOCRRequest, async (req, res) => {
   try {
     const file = req.file;
     
-    console.log(`[OCR Parse Request] File: ${file.originalname}`);
-    
-    // Extract text
-    const startTime = Date.now();
-    const ocrResult = await ocrService.extractText(file);
+    logger.info('OCR parse request', { filename: file.originalname, mimetype: file.mimetype, size: file.size });
     
-    // Clean text
-    const cleanedText = ocrService.cleanText(ocrResult.text);
+    if (queueIfAsync(req, res, 'ocr-parse')) return;
     
-    // Parse MCQs
-    const mcqs = mcqParser.parse(cleanedText);
-    const duration = Date.now() - startTime;
-    
-    console.log(`[OCR Parse Complete] Found ${mcqs.length} MCQs in ${duration}ms`);
-    
-    // Validate MCQs
-    const validatedMCQs = mcqs.map(mcq => ({
-      ...mcq,
-      validation: mcqParser.validate(mcq)
-    }));
-    
-    const validCount = validatedMCQs.filter(m => m.validation.isValid).length;
-    
-    res.status(HTTP_STATUS.OK).json({
-      success: true,
-      mcqCount: mcqs.length,
-      validCount: validCount,
-      mcqs: validatedMCQs,
-      rawText: cleanedText,
-      ocrConfidence: ocrResult.confidence,
-      metadata: {
-        processingTime: duration,
-        timestamp: new Date().toISOString()
-      }
-    });
+    res.status(HTTP_STATUS.OK).json(await parseQuestionsResult(file));
     
   } catch (error) {
-    console.error('[OCR Parse Error]', error);
+    logger.error('OCR parse failed', { error });
     
     res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
       success: false,
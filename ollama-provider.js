@@ -0,0 +1,160 @@
+/**
+ * Ollama Provider
+ * Adapter for a local Ollama server
+ */
+
+const axios = require('axios');
+const BaseProvider = require('./base-provider');
+const { HEALTH } = require('../config/constants');
+const logger = require('../utils/logger').child({ component: 'provider' });
+
+const REQUEST_TIMEOUT_MS = 60000; // Local LLMs are slow; also caps a whole streamed answer
+
+class OllamaProvider extends BaseProvider {
+  constructor(name, config = {}) {
+    super(name, config);
+    this.url = config.url;
+  }
+  
+  async complete(request) {
+    try {
+      const response = await axios.post(
+        `${this.url}/api/generate`,
+        this._buildBody(request, false),
+        {
+          timeout: REQUEST_TIMEOUT_MS,
+          signal: request.signal
+        }
+      );
+      
+      this._recordUsage(response.data.model, response.data.prompt_eval_count, response.data.eval_count);
+      
+      return response.data.response;
+    } catch (error) {
+      logger.error('Provider API error', { provider: this.name, error });
+      throw this._translateError(error);
+    }
+  }
+  
+  /**
+   * Stream a completion
+   * A hung server is cut off after REQUEST_TIMEOUT_MS; connection, parse and
+   * server errors reach the caller translated like those of complete().
+   */
+  async *stream(request) {
+    const timeout = AbortSignal.timeout(REQUEST_TIMEOUT_MS);
+    const signal = request.signal ? AbortSignal.any([request.signal, timeout]) : timeout;
+    
+    try {
+      const response = await axios.post(
+        `${this.url}/api/generate`,
+        this._buildBody(request, true),
+        {
+          responseType: 'stream',
+          signal: signal
+        }
+      );
+      
+      // Ollama streams newline-delimited JSON objects
+      let buffer = '';
+      for await (const chunk of response.data) {
+        buffer += chunk.toString('utf8');
+        
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        
+        for (const line of lines) {
+          if (!line.trim()) continue;
+          
+          const message = JSON.parse(line);
+          if (message.error) {
+            throw new Error(message.error);
+          }
+          if (message.response) {
+            yield message.response;
+          }
+          if (message.done) {
+            this._recordUsage(message.model, message.prompt_eval_count, message.eval_count);
+          }
+        }
+      }
+    } catch (error) {
+      // Client cancellations stay as they are, so the chain does not count them
+      if (request.signal && request.signal.aborted) {
+        throw error;
+      }
+      
+      logger.error('Provider API error', { provider: this.name, error });
+      throw this._translateError(timeout.aborted ? { code: 'ECONNABORTED' } : error);
+    }
+  }
+  
+  /**
+   * Build a /api/generate body
+   * Questions with images go to the vision model, which takes them as bare base64.
+   */
+  _buildBody(request, stream) {
+    const { system, user, images, temperature, maxTokens } = this._withDefaults(request);
+    
+    return {
+      model: images.length > 0 ? this.visionModel : this.model,
+      prompt: `${system}\n\n${user}`,
+      ...(images.length > 0 ? { images: images.map(image => this._parseDataUrl(image.data).base64) } : {}),
+      stream: stream,
+      format: 'json',
+      options: {
+        temperature: temperature,
+        num_predict: maxTokens
+      }
+    };
+  }
+  
+  _translateError(error) {
+    if (error.code === 'ECONNREFUSED') {
+      return new Error('Ollama is not running. Please start Ollama server.');
+    } else if (error.code === 'ECONNABORTED') {
+      return new Error('Ollama request timed out');
+    }
+    
+    return new Error(`Ollama error: ${error.message}`);
+  }
+  
+  async listModels() {
+    const response = await axios.get(`${this.url}/api/tags`, { timeout: HEALTH.timeoutMs });
+    return (response.data.models || []).map(model => model.name);
+  }
+  
+  /**
+   * Health check that also requires the configured model to be pulled
+   * Ollama lists "llama2" as "llama2:latest", so an untagged name matches that tag.
+   * A missing vision model is reported but leaves the provider healthy, since
+   * questions without images still work.
+   * @returns {Promise<Object>} Health status with modelInstalled (and visionModelInstalled)
+   */
+  async health() {
+    const status = await super.health();
+    if (status.status !== 'healthy') {
+      return status;
+    }
+    
+    const installed = model => status.available.some(name => name === model || name === `${model}:latest`);
+    
+    if (this.visionModel) {
+      status.visionModelInstalled = installed(this.visionModel);
+    }
+    
+    const modelInstalled = installed(this.model);
+    if (!modelInstalled) {
+      return {
+        ...status,
+        status: 'unhealthy',
+        modelInstalled: false,
+        error: `Model "${this.model}" is not pulled on the Ollama server. Run: ollama pull ${this.model}`
+      };
+    }
+    
+    return { ...status, modelInstalled: true };
+  }
+}
+
+module.exports = OllamaProvider;
\ No newline at end of file
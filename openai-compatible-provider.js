@@ -0,0 +1,62 @@
+/**
+ * OpenAI-Compatible Provider
+ * Adapter for local servers exposing the OpenAI API (llama.cpp, vLLM, LM Studio, ...)
+ */
+
+const OpenAI = require('openai');
+const OpenAIProvider = require('./openai-provider');
+
+class OpenAICompatibleProvider extends OpenAIProvider {
+  constructor(name, config = {}) {
+    if (!config.baseURL) {
+      throw new Error(`No base URL configured for provider "${name}"`);
+    }
+    
+    // Local servers usually ignore the key, but the SDK requires one, and not
+    // every server accepts stream_options
+    super(name, {
+      ...config,
+      apiKey: config.apiKey || 'not-needed',
+      streamUsage: config.streamUsage === true
+    });
+    this.baseURL = config.baseURL;
+  }
+  
+  async health() {
+    const status = await super.health();
+    return { ...status, baseURL: this.baseURL };
+  }
+  
+  /**
+   * Use the configured model, or the first one the server reports
+   * @returns {Promise<string>} Model identifier
+   */
+  async _resolveModel() {
+    if (!this.model) {
+      const models = await this.listModels();
+      if (models.length === 0) {
+        throw new Error(`${this.label} reports no loaded models`);
+      }
+      this.model = models[0];
+    }
+    
+    return this.model;
+  }
+  
+  _translateError(error) {
+    // A timeout is also an APIConnectionError, so it has to be checked first
+    if (error instanceof OpenAI.APIConnectionTimeoutError) {
+      return new Error(`${this.label} request timed out`);
+    } else if (error instanceof OpenAI.APIConnectionError) {
+      return new Error(`${this.label} is not running at ${this.baseURL}`);
+    } else if (error.status === 401) {
+      return new Error(`Invalid API key for ${this.label}`);
+    } else if (error.status === 429) {
+      return new Error(`${this.label} rate limit exceeded. Please try again later.`);
+    }
+    
+    return new Error(`${this.label} error: ${error.message}`);
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
\ No newline at end of file
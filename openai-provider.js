@@ -0,0 +1,145 @@
+/**
+ * OpenAI Provider
+ * Adapter for the hosted OpenAI chat completions API
+ */
+
+const OpenAI = require('openai');
+const BaseProvider = require('./base-provider');
+const { HEALTH } = require('../config/constants');
+const logger = require('../utils/logger').child({ component: 'provider' });
+
+class OpenAIProvider extends BaseProvider {
+  constructor(name, config = {}) {
+    super(name, config);
+    
+    if (!config.apiKey) {
+      throw new Error('OpenAI API key not configured. Set OPENAI_API_KEY in .env file.');
+    }
+    
+    this.client = new OpenAI({
+      apiKey: config.apiKey,
+      baseURL: config.baseURL
+    });
+    this.jsonMode = config.jsonMode !== false;
+    this.streamUsage = config.streamUsage !== false;
+  }
+  
+  async complete(request) {
+    try {
+      const completion = await this.client.chat.completions.create(
+        await this._buildParams(request),
+        { signal: request.signal }
+      );
+      
+      if (completion.usage) {
+        this._recordUsage(completion.model, completion.usage.prompt_tokens, completion.usage.completion_tokens);
+      }
+      
+      return completion.choices[0].message.content;
+    } catch (error) {
+      logger.error('Provider API error', { provider: this.name, error });
+      throw this._translateError(error);
+    }
+  }
+  
+  async *stream(request) {
+    try {
+      const stream = await this.client.chat.completions.create(
+        {
+          ...(await this._buildParams(request)),
+          stream: true,
+          // Usage arrives in a final chunk with no choices
+          ...(this.streamUsage ? { stream_options: { include_usage: true } } : {})
+        },
+        { signal: request.signal }
+      );
+      
+      for await (const chunk of stream) {
+        if (chunk.usage) {
+          this._recordUsage(chunk.model, chunk.usage.prompt_tokens, chunk.usage.completion_tokens);
+        }
+        
+        const delta = chunk.choices[0]?.delta?.content;
+        if (delta) {
+          yield delta;
+        }
+      }
+    } catch (error) {
+      logger.error('Provider API error', { provider: this.name, error });
+      throw this._translateError(error);
+    }
+  }
+  
+  async listModels() {
+    // Health checks should fail fast rather than wait out the SDK's retries
+    const page = await this.client.models.list({ timeout: HEALTH.timeoutMs, maxRetries: 0 });
+    return page.data.map(model => model.id);
+  }
+  
+  /**
+   * Build chat completion parameters
+   * @param {Object} request - Completion request
+   * @returns {Promise<Object>} SDK parameters
+   */
+  async _buildParams(request) {
+    const { system, user, images, temperature, maxTokens } = this._withDefaults(request);
+    
+    return {
+      model: images.length > 0 ? this.visionModel : await this._resolveModel(),
+      messages: [
+        {
+          role: 'system',
+          content: system
+        },
+        {
+          role: 'user',
+          content: images.length > 0 ? this._visionContent(user, images) : user
+        }
+      ],
+      max_tokens: maxTokens,
+      temperature: temperature,
+      // Ensure JSON response where the server supports it
+      ...(this.jsonMode ? { response_format: { type: 'json_object' } } : {})
+    };
+  }
+  
+  /**
+   * User message content with the images after the prompt text
+   * @param {string} user - User prompt
+   * @param {Array<Object>} images - { data, label } images
+   * @returns {Array<Object>} Content parts
+   */
+  _visionContent(user, images) {
+    return [
+      { type: 'text', text: user },
+      ...images.map(image => ({ type: 'image_url', image_url: { url: image.data } }))
+    ];
+  }
+  
+  /**
+   * Model to request; subclasses may discover it from the server
+   * @returns {Promise<string>} Model identifier
+   */
+  async _resolveModel() {
+    return this.model;
+  }
+  
+  /**
+   * Map SDK errors to the messages the answer route understands
+   * @param {Error} error - SDK error
+   * @returns {Error} Translated error
+   */
+  _translateError(error) {
+    if (error.status === 401) {
+      return new Error('Invalid OpenAI API key');
+    } else if (error.status === 429) {
+      return new Error('OpenAI rate limit exceeded. Please try again later.');
+    } else if (error.status === 503) {
+      return new Error('OpenAI service temporarily unavailable');
+    }
+    
+    return new Error(`OpenAI API error: ${error.message}`);
+  }
+}
+
+module.exports = OpenAIProvider;
\ No newline at end of file
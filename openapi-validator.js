@@ -0,0 +1,212 @@
+/**
+ * OpenAPI Validator Middleware
+ * Checks requests and responses on /api against the OpenAPI document
+ */
+
+const Ajv = require('ajv');
+const openapi = require('../config/openapi');
+const { HTTP_STATUS } = require('../config/constants');
+const logger = require('../utils/logger').child({ component: 'openapi' });
+
+const SPEC_ID = 'openapi.json';
+
+// The document is registered whole so its #/components refs resolve. strict is
+// off because OpenAPI adds annotation keywords (format: binary, operationId)
+// that are not JSON Schema assertions.
+const createAjv = (options = {}) => {
+  const ajv = new Ajv({ allErrors: true, strict: false, validateFormats: false, ...options });
+  ajv.addSchema(openapi, SPEC_ID);
+  return ajv;
+};
+
+const bodyAjv = createAjv();
+// Query strings arrive as text, so ?days=7 must be read as the integer 7
+const queryAjv = createAjv({ coerceTypes: true });
+
+/**
+ * Compile the schema at a JSON pointer into the document
+ * @param {Object} ajv - Ajv instance holding the document
+ * @param {Array<string>} pointer - Path segments from the document root
+ * @returns {Function} Ajv validate function
+ */
+const compileAt = (ajv, pointer) => ajv.compile({
+  $ref: `${SPEC_ID}#/${pointer.map(segment => String(segment).replace(/~/g, '~0').replace(/\//g, '~1')).join('/')}`
+});
+
+/**
+ * Validator for the parameters an operation reads from one location
+ * @param {Array<Object>} params - Parameters of that location
+ * @returns {Function|null} Ajv validate function, or null when there are none
+ */
+const compileParams = (params) => {
+  if (params.length === 0) {
+    return null;
+  }
+  
+  return queryAjv.compile({
+    type: 'object',
+    properties: Object.fromEntries(params.map(param => [param.name, param.schema])),
+    required: params.filter(param => param.required).map(param => param.name)
+  });
+};
+
+/**
+ * Regular expression for a templated path, capturing each {name} segment
+ * @param {string} path - e.g. '/api/jobs/{id}'
+ * @returns {RegExp} e.g. /^\/api\/jobs\/(?<id>[^/]+)$/
+ */
+const templatePattern = (path) => new RegExp(
+  '^' + path
+    .split(/(\{[^}]+\})/)
+    .map(part => (part.startsWith('{')
+      ? `(?<${part.slice(1, -1)}>[^/]+)`
+      : part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')))
+    .join('') + '$'
+);
+
+/**
+ * Build the validators for every operation: 'POST /api/answer' -> { body, query, params, responses }
+ * Templated paths ('/api/jobs/{id}') also get a pattern to match request paths against.
+ * @returns {Map<string, Object>} Operation validators
+ */
+const compileOperations = () => {
+  const operations = new Map();
+  
+  for (const [path, methods] of Object.entries(openapi.paths)) {
+    for (const [method, operation] of Object.entries(methods)) {
+      const base = ['paths', path, method];
+      const parameters = operation.parameters || [];
+      const validators = {
+        operationId: operation.operationId,
+        method: method.toUpperCase(),
+        pattern: path.includes('{') ? templatePattern(path) : null,
+        body: null,
+        query: compileParams(parameters.filter(param => param.in === 'query')),
+        params: compileParams(parameters.filter(param => param.in === 'path')),
+        responses: {}
+      };
+      
+      // Multipart bodies are checked after multer has read them (validateOCRRequest)
+      if (operation.requestBody && operation.requestBody.content['application/json']) {
+        validators.body = compileAt(bodyAjv, [...base, 'requestBody', 'content', 'application/json', 'schema']);
+      }
+      
+      for (const [status, response] of Object.entries(operation.responses)) {
+        if (response.content && response.content['application/json']) {
+          validators.responses[status] = compileAt(
+            bodyAjv,
+            [...base, 'responses', status, 'content', 'application/json', 'schema']
+          );
+        }
+      }
+      
+      operations.set(`${method.toUpperCase()} ${path}`, validators);
+    }
+  }
+  
+  return operations;
+};
+
+const operations = compileOperations();
+const templated = [...operations.values()].filter(operation => operation.pattern);
+
+/**
+ * Find the operation for a request
+ * @param {string} method - HTTP method
+ * @param {string} path - Full request path without a trailing slash
+ * @returns {Object|null} { operation, pathParams }
+ */
+const findOperation = (method, path) => {
+  const exact = operations.get(`${method} ${path}`);
+  if (exact) {
+    return { operation: exact, pathParams: {} };
+  }
+  
+  for (const operation of templated) {
+    const match = operation.method === method && operation.pattern.exec(path);
+    if (match) {
+      return { operation, pathParams: { ...match.groups } };
+    }
+  }
+  
+  return null;
+};
+
+/**
+ * Turn Ajv errors into readable messages, e.g. "options[2] must NOT have more than 500 characters"
+ * @param {Array<Object>} errors - Ajv errors
+ * @param {string} subject - Name for the document root, e.g. 'Request body'
+ * @returns {Array<string>} Messages
+ */
+const describeErrors = (errors, subject) => errors.map(error => {
+  const field = error.instancePath
+    .slice(1)
+    .replace(/\/(\d+)(?=\/|$)/g, '[$1]')
+    .replace(/\//g, '.');
+  
+  let message = error.message;
+  if (error.keyword === 'enum') {
+    message += `: ${error.params.allowedValues.join(', ')}`;
+  }
+  
+  return `${field || subject} ${message}`;
+});
+
+/**
+ * Reject requests that do not match their operation, and log responses that do not
+ * Paths without an operation pass through untouched (they end in the 404 handler).
+ */
+const validateAgainstSpec = (req, res, next) => {
+  const path = (req.baseUrl + req.path).replace(/\/+$/, '');
+  const found = findOperation(req.method, path);
+  
+  if (!found) {
+    return next();
+  }
+  
+  const { operation, pathParams } = found;
+  const errors = [];
+  
+  if (operation.body && !operation.body(req.body)) {
+    errors.push(...describeErrors(operation.body.errors, 'Request body'));
+  }
+  
+  if (operation.query && !operation.query({ ...req.query })) {
+    errors.push(...describeErrors(operation.query.errors, 'Query'));
+  }
+  
+  if (operation.params && !operation.params(pathParams)) {
+    errors.push(...describeErrors(operation.params.errors, 'Path'));
+  }
+  
+  if (errors.length > 0) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      errors: errors
+    });
+  }
+  
+  // A response that breaks the contract is a server bug: it is logged, not withheld
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const validate = operation.responses[res.statusCode] || operation.responses.default;
+    
+    if (!validate) {
+      logger.error('Response status is not in the API spec', { operation: operation.operationId, status: res.statusCode });
+    } else if (!validate(JSON.parse(JSON.stringify(body)))) {
+      logger.error('Response does not match the API spec', {
+        operation: operation.operationId,
+        status: res.statusCode,
+        errors: describeErrors(validate.errors, 'Response')
+      });
+    }
+    
+    return json(body);
+  };
+  
+  next();
+};
+
+module.exports = {
+  validateAgainstSpec
+};
\ No newline at end of file
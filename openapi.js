@@ -0,0 +1,674 @@
+/**
+ * OpenAPI Document
+ * Contract for the /api routes, served at /api/docs and enforced at runtime by
+ * middleware/openapi-validator.js. Limits come from constants.js so the
+ * document and the server cannot drift apart.
+ */
+
+const {
+  QUESTION_TYPES,
+  QUESTION_SCHEMAS,
+  REQUEST_LIMITS,
+  AI_PROVIDERS,
+  FAILOVER,
+  ENSEMBLE,
+  BATCH,
+  UPLOAD_LIMITS,
+  ALLOWED_FILE_TYPES
+} = require('./constants');
+
+/**
+ * Largest list size any question type accepts for a field
+ * @param {string} field - 'options' or 'premises'
+ * @returns {number} Maximum item count
+ */
+const maxItemsFor = (field) => Math.max(
+  ...Object.values(QUESTION_SCHEMAS).map(schema => (schema[field] ? schema[field].max : 0))
+);
+
+// Providers the AI service registers; ensemble requests can only name these
+const REGISTERED_PROVIDERS = [...new Set([...AI_PROVIDERS, ...FAILOVER.chain, ...ENSEMBLE.providers])];
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const jsonContent = (schema) => ({ content: { 'application/json': { schema } } });
+
+const textList = (description, maxItems) => ({
+  type: 'array',
+  description: description,
+  maxItems: maxItems,
+  items: { type: 'string', minLength: 1, maxLength: REQUEST_LIMITS.itemMaxLength }
+});
+
+const contextText = (description) => ({
+  type: 'string',
+  description: description,
+  minLength: REQUEST_LIMITS.contextMinLength,
+  maxLength: REQUEST_LIMITS.contextMaxLength
+});
+
+const confidence = { type: 'integer', minimum: 0, maximum: 100 };
+
+// Responses every operation can return
+const errorResponses = {
+  400: { description: 'Invalid request', ...jsonContent(ref('Error')) },
+  401: { description: 'Missing, unknown or revoked API key', ...jsonContent(ref('Error')) },
+  429: {
+    description: 'Rate limit or usage budget exceeded; see the Retry-After header',
+    headers: { 'Retry-After': { schema: { type: 'integer' }, description: 'Seconds to wait' } },
+    ...jsonContent(ref('Error'))
+  },
+  500: { description: 'Server error', ...jsonContent(ref('Error')) }
+};
+
+// Routes that change shared state or expose the server's configuration
+const adminResponses = {
+  ...errorResponses,
+  403: { description: 'The API key is not an admin key', ...jsonContent(ref('Error')) }
+};
+
+const rateLimited = (responses) => ({ ...errorResponses, ...responses });
+
+// Long-running operations can be queued instead (see /api/jobs/{id})
+const asyncParam = {
+  name: 'async',
+  in: 'query',
+  schema: { type: 'boolean', default: false },
+  description: 'Queue the work and respond 202 with a job to poll at /api/jobs/{id}'
+};
+
+const queued = {
+  202: {
+    description: 'Queued (async=true); the Location header points at the job',
+    headers: { Location: { schema: { type: 'string' }, description: 'URL of the job' } },
+    ...jsonContent(ref('JobResponse'))
+  }
+};
+
+const jobId = { name: 'id', in: 'path', required: true, schema: { type: 'string' }, description: 'Job ID from the 202 response' };
+
+const multipartFile = {
+  required: true,
+  content: {
+    'multipart/form-data': {
+      schema: {
+        type: 'object',
+        required: ['file'],
+        properties: {
+          file: {
+            type: 'string',
+            format: 'binary',
+            description: `${[...ALLOWED_FILE_TYPES.image, ...ALLOWED_FILE_TYPES.pdf].join(', ')}; ` +
+              `at most ${UPLOAD_LIMITS.fileSize / (1024 * 1024)} MB`
+          }
+        }
+      }
+    }
+  }
+};
+
+const schemas = {
+  AnswerRequest: {
+    type: 'object',
+    required: ['question'],
+    properties: {
+      question: {
+        type: 'string',
+        minLength: REQUEST_LIMITS.questionMinLength,
+        maxLength: REQUEST_LIMITS.questionMaxLength
+      },
+      type: { type: 'string', enum: QUESTION_TYPES, default: 'single' },
+      options: textList('Options, or the right column for matching; limits depend on the type', maxItemsFor('options')),
+      premises: textList('Left column, matching questions only', maxItemsFor('premises')),
+      context: contextText('Reading passage or case-study scenario the question refers to'),
+      images: {
+        type: 'array',
+        description: 'Figures the question or its options show; the question then goes to a vision-capable provider',
+        maxItems: REQUEST_LIMITS.maxImages,
+        items: ref('Image')
+      },
+      ensemble: {
+        description: 'true to vote with the server defaults, or settings that override them',
+        type: ['boolean', 'object'],
+        properties: {
+          samples: { type: 'integer', minimum: 1, maximum: REQUEST_LIMITS.ensembleMaxSamples },
+          providers: {
+            type: 'array',
+            minItems: 1,
+            maxItems: REGISTERED_PROVIDERS.length,
+            uniqueItems: true,
+            items: { type: 'string', enum: REGISTERED_PROVIDERS }
+          }
+        }
+      }
+    }
+  },
+  
+  Image: {
+    type: 'object',
+    required: ['data'],
+    properties: {
+      data: {
+        type: 'string',
+        description: 'PNG, JPEG, GIF or WebP image as a base64 data URL',
+        pattern: '^data:image/(png|jpeg|gif|webp);base64,[A-Za-z0-9+/]+=*$',
+        maxLength: REQUEST_LIMITS.imageMaxLength
+      },
+      label: {
+        type: 'string',
+        description: 'What the image belongs to, e.g. "Figure" or "Option B"',
+        minLength: 1,
+        maxLength: 100,
+        default: 'Figure'
+      }
+    }
+  },
+  
+  BatchRequest: {
+    type: 'object',
+    required: ['questions'],
+    properties: {
+      questions: { type: 'array', minItems: 1, maxItems: BATCH.maxQuestions, items: ref('AnswerRequest') },
+      context: contextText('Passage shared by every question that has no context of its own; sent once instead of per question')
+    }
+  },
+  
+  // Fields shared by answers from /api/answer, the stream and batch items
+  AnswerFields: {
+    type: 'object',
+    properties: {
+      status: { type: 'string', enum: ['answered', 'unresolved'] },
+      answer: { type: ['string', 'null'] },
+      answerIndex: { type: ['integer', 'null'], description: 'Position of the answer in the request options' },
+      answers: {
+        type: 'array',
+        description: 'multiSelect',
+        items: {
+          type: 'object',
+          properties: { answer: { type: 'string' }, answerIndex: { type: 'integer' }, confidence: confidence }
+        }
+      },
+      blanks: { type: 'array', description: 'fillBlank', items: { type: 'string' } },
+      value: { type: 'number', description: 'numeric' },
+      unit: { type: ['string', 'null'], description: 'numeric' },
+      matches: {
+        type: 'array',
+        description: 'matching',
+        items: {
+          type: 'object',
+          properties: {
+            premise: { type: 'string' },
+            answer: { type: 'string' },
+            answerIndex: { type: 'integer' },
+            confidence: confidence
+          }
+        }
+      },
+      order: { type: 'array', description: 'ordering', items: { type: 'string' } },
+      options: {
+        type: 'array',
+        description: 'Verdict and rationale per option',
+        items: {
+          type: 'object',
+          properties: {
+            option: { type: 'string' },
+            index: { type: 'integer' },
+            verdict: { type: 'string', enum: ['correct', 'incorrect'] },
+            rationale: { type: 'string' }
+          }
+        }
+      },
+      confidence: confidence,
+      explanation: { type: 'string' },
+      ensemble: ref('EnsembleBreakdown'),
+      verification: ref('ExecutionVerification')
+    }
+  },
+  
+  AnswerResponse: {
+    allOf: [
+      ref('AnswerFields'),
+      {
+        type: 'object',
+        required: ['success', 'type', 'status', 'confidence', 'explanation'],
+        properties: {
+          success: { const: true },
+          type: { type: 'string', enum: QUESTION_TYPES },
+          metadata: {
+            type: 'object',
+            properties: {
+              processingTime: { type: 'integer' },
+              cached: { type: 'boolean' },
+              provider: { type: 'string', description: 'Provider that answered; differs from AI_PROVIDER after a failover. For ensemble votes, the provider of the winning sample whose explanation is returned' },
+              timestamp: { type: 'string' }
+            }
+          }
+        }
+      }
+    ]
+  },
+  
+  EnsembleBreakdown: {
+    type: 'object',
+    properties: {
+      samples: { type: 'integer' },
+      abstained: { type: 'integer' },
+      providers: { type: 'array', items: { type: 'string' } },
+      votes: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            option: { type: 'string' },
+            votes: { type: 'integer' },
+            share: { type: 'integer' },
+            providers: { type: 'object', additionalProperties: { type: 'integer' } }
+          }
+        }
+      }
+    }
+  },
+  
+  ExecutionVerification: {
+    type: 'object',
+    description: 'Single-answer questions asking for the output of a ```javascript snippet: the snippet run in a sandbox and its output matched to the options',
+    required: ['method', 'outcome', 'output'],
+    properties: {
+      method: { const: 'execution' },
+      outcome: {
+        type: 'string',
+        enum: ['confirmed', 'overridden', 'inconclusive'],
+        description: 'overridden: the answer was replaced by the option matching the output'
+      },
+      reason: { type: 'string', description: 'Why the run decided nothing; present when inconclusive' },
+      output: { type: 'array', items: { type: 'string' }, description: 'Lines written to the console' },
+      error: { type: ['string', 'null'], description: 'Uncaught error, "Name: message"' },
+      timedOut: { type: 'boolean' },
+      durationMs: { type: 'integer' },
+      modelAnswer: { type: ['string', 'null'], description: 'The answer the run replaced; present when overridden' }
+    }
+  },
+  
+  BatchResponse: {
+    type: 'object',
+    required: ['success', 'total', 'successful', 'failed', 'results'],
+    properties: {
+      success: { const: true },
+      total: { type: 'integer' },
+      successful: { type: 'integer' },
+      failed: { type: 'integer' },
+      results: {
+        type: 'array',
+        items: {
+          allOf: [
+            ref('AnswerFields'),
+            {
+              type: 'object',
+              required: ['index', 'success'],
+              properties: {
+                index: { type: 'integer' },
+                success: { type: 'boolean' },
+                error: { type: 'string', description: 'Present when success is false' },
+                metadata: { type: 'object', properties: { cached: { type: 'boolean' }, provider: { type: 'string' } } }
+              }
+            }
+          ]
+        }
+      },
+      metadata: ref('Timing')
+    }
+  },
+  
+  OCRResponse: {
+    type: 'object',
+    required: ['success', 'text', 'confidence', 'wordCount'],
+    properties: {
+      success: { const: true },
+      text: { type: 'string', description: 'Cleaned text' },
+      rawText: { type: 'string' },
+      confidence: confidence,
+      wordCount: { type: 'integer' },
+      metadata: {
+        type: 'object',
+        properties: {
+          language: { type: 'string' },
+          pageCount: { type: 'integer' },
+          processingTime: { type: 'integer' },
+          timestamp: { type: 'string' }
+        }
+      },
+      validation: {
+        type: 'object',
+        properties: {
+          isValid: { type: 'boolean' },
+          issues: { type: 'array', items: { type: 'string' } },
+          warnings: { type: 'array', items: { type: 'string' } }
+        }
+      }
+    }
+  },
+  
+  OCRParseResponse: {
+    type: 'object',
+    required: ['success', 'mcqCount', 'validCount', 'mcqs'],
+    properties: {
+      success: { const: true },
+      mcqCount: { type: 'integer' },
+      validCount: { type: 'integer' },
+      mcqs: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['type', 'question', 'options'],
+          properties: {
+            type: { type: 'string', enum: QUESTION_TYPES },
+            question: { type: 'string' },
+            options: { type: 'array', items: { type: 'string' } },
+            premises: { type: 'array', items: { type: 'string' } },
+            validation: {
+              type: 'object',
+              properties: {
+                isValid: { type: 'boolean' },
+                issues: { type: 'array', items: { type: 'string' } }
+              }
+            }
+          }
+        }
+      },
+      rawText: { type: 'string' },
+      ocrConfidence: confidence,
+      metadata: ref('Timing')
+    }
+  },
+  
+  LanguagesResponse: {
+    type: 'object',
+    required: ['success', 'languages', 'current'],
+    properties: {
+      success: { const: true },
+      count: { type: 'integer' },
+      languages: { type: 'array', items: { type: 'string' }, description: 'Tesseract language codes' },
+      current: { type: 'string', description: 'Configured language, e.g. eng or eng+spa' }
+    }
+  },
+  
+  CacheStatsResponse: {
+    type: 'object',
+    required: ['success', 'cache'],
+    properties: {
+      success: { const: true },
+      cache: {
+        type: 'object',
+        properties: {
+          enabled: { type: 'boolean' },
+          entries: { type: 'integer' },
+          maxEntries: { type: 'integer' },
+          ttlMs: { type: 'integer' },
+          hits: { type: 'integer' },
+          misses: { type: 'integer' }
+        }
+      }
+    }
+  },
+  
+  CacheRemovalResponse: {
+    type: 'object',
+    required: ['success', 'removed'],
+    properties: {
+      success: { type: 'boolean' },
+      removed: { type: 'integer' }
+    }
+  },
+  
+  UsageResponse: {
+    type: 'object',
+    required: ['success', 'usage'],
+    properties: {
+      success: { const: true },
+      usage: {
+        type: 'object',
+        required: ['currency', 'today', 'thisMonth', 'budgets', 'daily', 'monthly'],
+        properties: {
+          currency: { const: 'USD' },
+          today: ref('UsageTotals'),
+          thisMonth: ref('UsageTotals'),
+          budgets: {
+            type: 'object',
+            properties: { daily: ref('Budget'), monthly: ref('Budget') }
+          },
+          daily: { type: 'array', items: ref('UsageTotals') },
+          monthly: { type: 'array', items: ref('UsageTotals') }
+        }
+      }
+    }
+  },
+  
+  UsageTotals: {
+    type: 'object',
+    properties: {
+      requests: { type: 'integer' },
+      promptTokens: { type: 'integer' },
+      completionTokens: { type: 'integer' },
+      totalTokens: { type: 'integer' },
+      cost: { type: 'number', description: 'Estimated USD' }
+    }
+  },
+  
+  ConfigResponse: {
+    type: 'object',
+    required: ['success', 'config', 'environment'],
+    properties: {
+      success: { const: true },
+      config: { type: 'object', description: 'Settings after defaults; secrets are "[redacted]" when set, null otherwise' },
+      environment: { type: 'array', items: { type: 'string' }, description: 'Environment variables that are set' }
+    }
+  },
+  
+  Job: {
+    type: 'object',
+    required: ['id', 'type', 'status', 'progress', 'createdAt'],
+    properties: {
+      id: { type: 'string' },
+      type: { type: 'string', enum: ['ocr', 'ocr-parse', 'batch'] },
+      status: { type: 'string', enum: ['queued', 'running', 'completed', 'failed', 'cancelled'] },
+      progress: { type: 'integer', minimum: 0, maximum: 100, description: 'Percent done; 100 once completed' },
+      stage: { type: ['string', 'null'], description: 'What the job is doing, e.g. "recognizing text"' },
+      createdAt: { type: 'string' },
+      startedAt: { type: ['string', 'null'] },
+      finishedAt: { type: ['string', 'null'] },
+      result: {
+        type: 'object',
+        description: 'Completed jobs: the body the synchronous request would have returned ' +
+          '(OCRResponse, OCRParseResponse or BatchResponse)'
+      },
+      error: { type: 'string', description: 'Failed jobs: what went wrong' }
+    }
+  },
+  
+  JobResponse: {
+    type: 'object',
+    required: ['success', 'job'],
+    properties: {
+      success: { const: true },
+      job: ref('Job')
+    }
+  },
+  
+  Budget: {
+    type: ['object', 'null'],
+    description: 'null when no budget is configured',
+    properties: {
+      limitUsd: { type: 'number' },
+      spentUsd: { type: 'number' },
+      remainingUsd: { type: 'number' }
+    }
+  },
+  
+  Timing: {
+    type: 'object',
+    properties: {
+      processingTime: { type: 'integer', description: 'Milliseconds' },
+      timestamp: { type: 'string' }
+    }
+  },
+  
+  Error: {
+    type: 'object',
+    required: ['success'],
+    properties: {
+      success: { const: false },
+      error: { type: 'string' },
+      errors: { type: 'array', items: { type: 'string' }, description: 'One message per invalid field' },
+      details: { type: 'string', description: 'Internal error message, development only' },
+      retryAfter: { type: 'integer', description: 'Rate limit rejections: seconds to wait' },
+      budget: { type: 'object', description: 'Budget rejections: the exhausted budget' }
+    }
+  }
+};
+
+const openapi = {
+  openapi: '3.1.0',
+  info: {
+    title: 'MCQ Solver API',
+    version: '1.0.0',
+    description: 'Answers multiple-choice and related question types with an AI model, and extracts questions from images and PDFs.'
+  },
+  security: [{ apiKey: [] }, { bearer: [] }],
+  paths: {
+    '/api/answer': {
+      post: {
+        operationId: 'answerQuestion',
+        summary: 'Answer one question',
+        requestBody: { required: true, ...jsonContent(ref('AnswerRequest')) },
+        responses: rateLimited({
+          200: { description: 'Answer, or status "unresolved" when the model gave no valid answer', ...jsonContent(ref('AnswerResponse')) },
+          422: { description: 'The question has images and no provider accepts them', ...jsonContent(ref('Error')) },
+          503: { description: 'AI provider unavailable or rate limited', ...jsonContent(ref('Error')) },
+          504: { description: 'AI provider timed out', ...jsonContent(ref('Error')) }
+        })
+      }
+    },
+    '/api/answer/stream': {
+      post: {
+        operationId: 'streamAnswer',
+        summary: 'Answer one question as Server-Sent Events',
+        description: 'Events: token { text }, explanation { text }, result (same shape as POST /api/answer), error { error, status }.',
+        requestBody: { required: true, ...jsonContent(ref('AnswerRequest')) },
+        responses: rateLimited({
+          200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } }
+        })
+      }
+    },
+    '/api/answer/batch': {
+      post: {
+        operationId: 'answerBatch',
+        summary: 'Answer several questions',
+        description: 'Each question uses one token of the answer rate limit.',
+        parameters: [asyncParam],
+        requestBody: { required: true, ...jsonContent(ref('BatchRequest')) },
+        responses: rateLimited({
+          200: { description: 'One result per question, in request order', ...jsonContent(ref('BatchResponse')) },
+          ...queued
+        })
+      }
+    },
+    '/api/answer/cache': {
+      get: {
+        operationId: 'getAnswerCacheStats',
+        summary: 'Answer cache statistics',
+        responses: { ...errorResponses, 200: { description: 'Statistics', ...jsonContent(ref('CacheStatsResponse')) } }
+      },
+      delete: {
+        operationId: 'clearAnswerCache',
+        summary: 'Clear the answer cache (admin keys only)',
+        responses: { ...adminResponses, 200: { description: 'Entries removed', ...jsonContent(ref('CacheRemovalResponse')) } }
+      }
+    },
+    '/api/answer/cache/invalidate': {
+      post: {
+        operationId: 'invalidateCachedAnswer',
+        summary: 'Remove one question from the answer cache',
+        requestBody: { required: true, ...jsonContent(ref('AnswerRequest')) },
+        responses: {
+          ...errorResponses,
+          200: { description: 'Removed', ...jsonContent(ref('CacheRemovalResponse')) },
+          404: { description: 'Not cached', ...jsonContent(ref('CacheRemovalResponse')) }
+        }
+      }
+    },
+    '/api/ocr': {
+      post: {
+        operationId: 'extractText',
+        summary: 'Extract text from an image or PDF',
+        parameters: [asyncParam],
+        requestBody: multipartFile,
+        responses: rateLimited({ 200: { description: 'Extracted text', ...jsonContent(ref('OCRResponse')) }, ...queued })
+      }
+    },
+    '/api/ocr/parse': {
+      post: {
+        operationId: 'extractQuestions',
+        summary: 'Extract text from an image or PDF and parse it into questions',
+        parameters: [asyncParam],
+        requestBody: multipartFile,
+        responses: rateLimited({ 200: { description: 'Parsed questions', ...jsonContent(ref('OCRParseResponse')) }, ...queued })
+      }
+    },
+    '/api/ocr/languages': {
+      get: {
+        operationId: 'listOCRLanguages',
+        summary: 'Supported OCR languages',
+        responses: { ...errorResponses, 200: { description: 'Language codes', ...jsonContent(ref('LanguagesResponse')) } }
+      }
+    },
+    '/api/usage': {
+      get: {
+        operationId: 'getUsage',
+        summary: 'Token usage, estimated cost and budgets',
+        parameters: [
+          { name: 'days', in: 'query', schema: { type: 'integer', minimum: 1, default: 30 }, description: 'Daily buckets to include' },
+          { name: 'months', in: 'query', schema: { type: 'integer', minimum: 1, default: 12 }, description: 'Monthly buckets to include' }
+        ],
+        responses: { ...errorResponses, 200: { description: 'Usage report', ...jsonContent(ref('UsageResponse')) } }
+      }
+    },
+    '/api/config': {
+      get: {
+        operationId: 'getConfig',
+        summary: 'Effective configuration, secrets redacted (admin keys only)',
+        responses: { ...adminResponses, 200: { description: 'Configuration', ...jsonContent(ref('ConfigResponse')) } }
+      }
+    },
+    '/api/jobs/{id}': {
+      get: {
+        operationId: 'getJob',
+        parameters: [jobId],
+        summary: 'Status and progress of a queued job, with its result once completed',
+        responses: {
+          ...errorResponses,
+          200: { description: 'Job', ...jsonContent(ref('JobResponse')) },
+          404: { description: 'Unknown job, or created with another API key', ...jsonContent(ref('Error')) }
+        }
+      },
+      delete: {
+        operationId: 'cancelJob',
+        parameters: [jobId],
+        summary: 'Cancel a queued or running job',
+        responses: {
+          ...errorResponses,
+          200: { description: 'Job after cancellation; finished jobs are returned unchanged', ...jsonContent(ref('JobResponse')) },
+          404: { description: 'Unknown job, or created with another API key', ...jsonContent(ref('Error')) }
+        }
+      }
+    }
+  },
+  components: {
+    schemas: schemas,
+    securitySchemes: {
+      apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key', description: 'Created with `npm run keys -- create <name>`' },
+      bearer: { type: 'http', scheme: 'bearer', description: 'The same API key as a bearer token' }
+    }
+  }
+};
+
+module.exports = openapi;
\ No newline at end of file
@@ -25,9 +25,25 @@
     stealthModeToggle: document.getElementById('stealthModeToggle'),
     autoHighlightToggle: document.getElementById('autoHighlightToggle'),
     backendUrl: document.getElementById('backendUrl'),
+    apiKey: document.getElementById('apiKey'),
+    backendStatus: document.getElementById('backendStatus'),
+    backendLabel: document.getElementById('backendLabel'),
     saveSettingsBtn: document.getElementById('saveSettingsBtn')
   };
   
+  // Short labels for question types other than single-answer
+  const QUESTION_TYPE_LABELS = {
+    multiSelect: 'select all',
+    trueFalse: 'true/false',
+    fillBlank: 'fill in the blank',
+    numeric: 'numeric',
+    matching: 'matching',
+    ordering: 'ordering'
+  };
+  
+  // Fenced code (```lang ... ```) and inline code (`code`) as the extension sends them
+  const CODE_SEGMENT = /```([\w+#-]*)\n?([\s\S]*?)\n?```|`([^`\n]+)`/g;
+  
   // State
   let detectedMCQs = [];
   let currentSettings = {};
@@ -44,6 +60,32 @@
     
     // Update UI
     updateStatus('Ready', 'success');
+    refreshBackendStatus();
+  }
+  
+  /**
+   * Show whether the backend can answer questions (green ready, amber provider
+   * down, red unreachable); details are in the tooltip
+   */
+  async function refreshBackendStatus() {
+    const labels = {
+      ready: 'Online',
+      not_ready: 'Provider down',
+      offline: 'Offline'
+    };
+    
+    let status;
+    try {
+      status = await chrome.runtime.sendMessage({ action: 'checkBackend' });
+    } catch (error) {
+      status = { state: 'offline', error: error.message };
+    }
+    
+    const details = [status.provider, status.model].filter(Boolean).join(' / ');
+    
+    elements.backendStatus.className = `backend-status ${status.state}`;
+    elements.backendLabel.textContent = labels[status.state] || 'Backend';
+    elements.backendStatus.title = [details, status.error].filter(Boolean).join('\n') || labels[status.state];
   }
   
   /**
@@ -56,6 +98,13 @@
     elements.settingsBtn.addEventListener('click', showSettings);
     elements.closeSettingsBtn.addEventListener('click', hideSettings);
     elements.saveSettingsBtn.addEventListener('click', saveSettings);
+    
+    // Streaming explanations forwarded by the background worker
+    chrome.runtime.onMessage.addListener((request) => {
+      if (request.action === 'answerProgress') {
+        renderStreamingExplanation(request.data.index, request.data.explanation);
+      }
+    });
   }
   
   /**
@@ -74,6 +123,7 @@
       elements.stealthModeToggle.checked = currentSettings.stealthMode;
       elements.autoHighlightToggle.checked = currentSettings.autoHighlight;
       elements.backendUrl.value = currentSettings.backendUrl;
+      elements.apiKey.value = currentSettings.apiKey || '';
     } catch (error) {
       console.error('Error loading settings:', error);
     }
@@ -86,7 +136,8 @@
     const settings = {
       stealthMode: elements.stealthModeToggle.checked,
       autoHighlight: elements.autoHighlightToggle.checked,
-      backendUrl: elements.backendUrl.value.trim()
+      backendUrl: elements.backendUrl.value.trim(),
+      apiKey: elements.apiKey.value.trim()
     };
     
     try {
@@ -95,14 +146,16 @@
         data: settings
       });
       
-      // Also update content script
+      // Also update content script (which never gets the API key)
+      const { apiKey, ...pageSettings } = settings;
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
       await chrome.tabs.sendMessage(tab.id, {
         action: 'updateSettings',
-        data: settings
+        data: pageSettings
       });
       
       currentSettings = settings;
+      refreshBackendStatus(); // The backend URL may have changed
       
       // Show success feedback
       const btn = elements.saveSettingsBtn;
@@ -187,6 +240,7 @@
     }
     
     setLoading(true, 'Analyzing questions...');
+    elements.resultsContainer.innerHTML = '';
     elements.solveAllBtn.disabled = true;
     elements.detectBtn.disabled = true;
     
@@ -251,17 +305,28 @@
       
       const question = document.createElement('div');
       question.className = 'mcq-question';
-      question.textContent = mcq.question;
+      renderRichText(question, mcq.question);
       
       const meta = document.createElement('div');
       meta.className = 'mcq-meta';
       
       const type = document.createElement('span');
-      type.textContent = mcq.type;
+      type.textContent = QUESTION_TYPE_LABELS[mcq.questionType]
+        ? `${mcq.type} · ${QUESTION_TYPE_LABELS[mcq.questionType]}`
+        : mcq.type;
+      if (mcq.context) {
+        type.textContent += ' · with passage';
+        type.title = mcq.context.slice(0, 300);
+      }
+      if (mcq.imageCount > 0) {
+        type.textContent += mcq.imageCount === 1 ? ' · 1 image' : ` · ${mcq.imageCount} images`;
+      }
       
       const optionsCount = document.createElement('span');
       optionsCount.className = 'mcq-options-count';
-      optionsCount.textContent = `${mcq.options.length} options`;
+      optionsCount.textContent = mcq.premises
+        ? `${mcq.premises.length} pairs`
+        : `${mcq.options.length} options`;
       
       meta.appendChild(type);
       meta.appendChild(optionsCount);
@@ -282,6 +347,7 @@
    */
   async function solveIndividualMCQ(index) {
     setLoading(true, 'Analyzing question...');
+    elements.resultsContainer.innerHTML = '';
     
     try {
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
@@ -330,24 +396,59 @@
         question.className = 'result-question';
         question.textContent = `Q${result.index + 1}`;
         
+        const unresolved = result.status === 'unresolved';
+        
         const badge = document.createElement('div');
-        badge.className = `confidence-badge ${getConfidenceClass(result.confidence)}`;
-        badge.textContent = `${Math.round(result.confidence)}%`;
+        badge.className = `confidence-badge ${unresolved ? 'unresolved' : getConfidenceClass(result.confidence)}`;
+        badge.textContent = unresolved ? 'No answer' : `${Math.round(result.confidence)}%`;
         
         header.appendChild(question);
         header.appendChild(badge);
         
         const answer = document.createElement('div');
         answer.className = 'result-answer';
-        answer.textContent = `Answer: ${result.answer}`;
+        
+        if (unresolved) {
+          // The model never produced a valid answer; don't show a guess
+          answer.classList.add('unresolved');
+          answer.textContent = 'No answer';
+        } else if (Array.isArray(result.answers)) {
+          // Multi-select: one line per selected option with its own confidence
+          answer.textContent = 'Answers:';
+          result.answers.forEach(selection => {
+            const line = document.createElement('div');
+            line.className = 'result-selection';
+            renderRichText(line, `✓ ${selection.answer} (${Math.round(selection.confidence)}%)`);
+            answer.appendChild(line);
+          });
+        } else if (Array.isArray(result.matches)) {
+          // Matching: one line per premise with its own confidence
+          answer.textContent = 'Matches:';
+          result.matches.forEach(match => {
+            const line = document.createElement('div');
+            line.className = 'result-selection';
+            renderRichText(line, `${match.premise} → ${match.answer} (${Math.round(match.confidence)}%)`);
+            answer.appendChild(line);
+          });
+        } else {
+          renderRichText(answer, `Answer: ${result.answer}`);
+        }
         
         const explanation = document.createElement('div');
         explanation.className = 'result-explanation';
-        explanation.textContent = result.explanation;
+        renderRichText(explanation, result.explanation);
         
         item.appendChild(header);
         item.appendChild(answer);
         item.appendChild(explanation);
+        
+        if (result.verification && result.verification.outcome !== 'inconclusive') {
+          item.appendChild(renderVerification(result.verification));
+        }
+        
+        if (Array.isArray(result.options) && result.options.length > 0) {
+          item.appendChild(renderOptionBreakdown(result.options));
+        }
       } else {
         const question = document.createElement('div');
         question.className = 'result-question';
@@ -365,6 +466,124 @@
     });
   }
   
+  /**
+   * Show an explanation while it is still streaming in
+   * Replaced by displayResults() once the final answer arrives.
+   * @param {number} index - MCQ index
+   * @param {string} explanationText - Explanation received so far
+   */
+  function renderStreamingExplanation(index, explanationText) {
+    elements.resultsSection.style.display = 'block';
+    
+    let item = elements.resultsContainer.querySelector(`[data-stream-index="${index}"]`);
+    
+    if (!item) {
+      item = document.createElement('div');
+      item.className = 'result-item streaming';
+      item.dataset.streamIndex = index;
+      
+      const question = document.createElement('div');
+      question.className = 'result-question';
+      question.textContent = `Q${index + 1}`;
+      
+      const explanation = document.createElement('div');
+      explanation.className = 'result-explanation';
+      
+      item.appendChild(question);
+      item.appendChild(explanation);
+      elements.resultsContainer.appendChild(item);
+    }
+    
+    renderRichText(item.querySelector('.result-explanation'), explanationText);
+  }
+  
+  /**
+   * Build the expandable per-option breakdown: one collapsible row per option
+   * with its verdict, opening to the rationale
+   * @param {Array<Object>} options - [{ option, verdict, rationale }]
+   * @returns {HTMLElement} Breakdown element
+   */
+  function renderOptionBreakdown(options) {
+    const breakdown = document.createElement('div');
+    breakdown.className = 'option-breakdown';
+    
+    options.forEach(entry => {
+      const details = document.createElement('details');
+      details.className = `option-rationale ${entry.verdict}`;
+      
+      const summary = document.createElement('summary');
+      renderRichText(summary, `${entry.verdict === 'correct' ? '✓' : '✗'} ${entry.option}`);
+      
+      const rationale = document.createElement('p');
+      renderRichText(rationale, entry.rationale || 'No rationale provided');
+      
+      details.appendChild(summary);
+      details.appendChild(rationale);
+      breakdown.appendChild(details);
+    });
+    
+    return breakdown;
+  }
+  
+  /**
+   * Note that running the question's code confirmed or replaced the model's answer
+   * @param {Object} verification - { outcome, modelAnswer, ... } from the backend
+   * @returns {HTMLElement} Note element
+   */
+  function renderVerification(verification) {
+    const note = document.createElement('div');
+    note.className = `result-verification ${verification.outcome}`;
+    
+    if (verification.outcome === 'confirmed') {
+      note.textContent = '✓ Confirmed by running the code';
+    } else {
+      renderRichText(note, verification.modelAnswer
+        ? `⚙ Corrected by running the code (model said: ${verification.modelAnswer})`
+        : '⚙ Answered by running the code');
+    }
+    
+    return note;
+  }
+  
+  /**
+   * Replace an element's content with text in which code is shown monospaced,
+   * with its whitespace kept, and LaTeX is rendered
+   * @param {HTMLElement} element - Target element
+   * @param {string} text - Question, answer or explanation text
+   */
+  function renderRichText(element, text) {
+    element.textContent = '';
+    
+    const source = String(text == null ? '' : text);
+    let last = 0;
+    
+    for (const match of source.matchAll(CODE_SEGMENT)) {
+      MathRenderer.append(element, source.slice(last, match.index));
+      
+      const code = document.createElement('code');
+      
+      if (match[3] !== undefined) {
+        code.className = 'inline-code';
+        code.textContent = match[3];
+        element.appendChild(code);
+      } else {
+        const block = document.createElement('pre');
+        block.className = 'code-block';
+        if (match[1]) {
+          block.dataset.language = match[1];
+          block.title = match[1];
+        }
+        code.textContent = match[2];
+        block.appendChild(code);
+        element.appendChild(block);
+      }
+      
+      last = match.index + match[0].length;
+    }
+    
+    MathRenderer.append(element, source.slice(last));
+  }
+  
   /**
    * Get confidence badge class
    * @param {number} confidence - Confidence score
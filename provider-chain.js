@@ -0,0 +1,234 @@
+/**
+ * Provider Chain
+ * Sends each completion to the first provider in the failover chain whose
+ * circuit is closed, moving on to the next one when a call fails. Ensemble
+ * samples go to a named provider through the same circuit breakers.
+ */
+
+const CircuitBreaker = require('./circuit-breaker');
+const logger = require('../utils/logger').child({ component: 'failover' });
+
+class ProviderChain {
+  /**
+   * @param {Object} registry - Provider registry holding every provider in the chain
+   *   (and every provider ensemble samples are sent to)
+   * @param {Object} config - FAILOVER settings
+   * @param {Array<string>} config.chain - Provider names in order of preference
+   * @param {number} config.failureThreshold - See CircuitBreaker
+   * @param {number} config.cooldownMs - See CircuitBreaker
+   */
+  constructor(registry, config) {
+    this.registry = registry;
+    this.config = config;
+    this.names = config.chain;
+    this.breakers = new Map(this.names.map(name => [name, new CircuitBreaker(config)]));
+  }
+  
+  /**
+   * Run a completion on one provider, without failover
+   * Used for ensemble samples: the call is turned away while the provider's circuit
+   * is open (or its trial request is running), and its outcome updates the circuit.
+   * @param {string} name - Provider name
+   * @param {Object} request - Completion request (see BaseProvider.complete)
+   * @returns {Promise<string>} Completion text
+   * @throws {Error} The provider's error, or an "unavailable" error when its circuit turns the call away
+   */
+  async completeOn(name, request) {
+    const breaker = this._breaker(name);
+    
+    if (!breaker.allowRequest()) {
+      throw new Error(`AI provider ${name} unavailable after repeated failures`);
+    }
+    
+    const trial = breaker.startRequest();
+    
+    try {
+      const text = await this.registry.get(name).complete(request);
+      this._record(name, breaker, () => breaker.recordSuccess(trial));
+      return text;
+    } catch (error) {
+      if (request.signal && request.signal.aborted) {
+        breaker.recordCancel(trial);
+      } else {
+        this._record(name, breaker, () => breaker.recordFailure(trial));
+      }
+      throw error;
+    }
+  }
+  
+  /**
+   * Narrow a list of providers to those whose circuit accepts requests
+   * @param {Array<string>} names - Provider names
+   * @returns {Array<string>} Names in the same order
+   */
+  available(names) {
+    return names.filter(name => this._breaker(name).allowRequest());
+  }
+  
+  /**
+   * Run a completion, failing over down the chain
+   * @param {Object} request - Completion request (see BaseProvider.complete)
+   * @returns {Promise<Object>} { text, provider } where provider is the one that answered
+   */
+  async complete(request) {
+    const { value, provider } = await this._failover(request, adapter => adapter.complete(request));
+    return { text: value, provider };
+  }
+  
+  /**
+   * Stream a completion, failing over down the chain
+   * A provider counts as answering once it sends its first delta; a failure after
+   * that is thrown to the caller, since the deltas already sent cannot be taken back.
+   * @param {Object} request - Completion request (see BaseProvider.stream)
+   * @returns {Promise<Object>} { deltas, provider } where deltas is an async iterable of text
+   */
+  async stream(request) {
+    const { value, provider } = await this._failover(request, async (adapter) => {
+      const iterator = adapter.stream(request)[Symbol.asyncIterator]();
+      const first = await iterator.next();
+      
+      return (async function* () {
+        if (first.done) return;
+        yield first.value;
+        yield* { [Symbol.asyncIterator]: () => iterator };
+      })();
+    });
+    
+    return { deltas: value, provider };
+  }
+  
+  /**
+   * Try providers in chain order until one call succeeds
+   * Requests with images only go to providers that accept them. Providers with an
+   * open circuit, or a half-open one whose trial request is still running, are
+   * skipped. When every circuit is open the first provider is tried anyway, so a
+   * single-provider chain behaves as before; while a trial is running the request
+   * fails fast instead.
+   * @param {Object} request - Completion request (its signal stops the failover)
+   * @param {Function} call - async (adapter) => value
+   * @returns {Promise<Object>} { value, provider }
+   * @throws {Error} The last provider's error when every attempt fails
+   */
+  async _failover(request, call) {
+    const names = this.capable(this.names, request);
+    const available = names.filter(name => this.breakers.get(name).allowRequest());
+    const trialNames = names.filter(name => this.breakers.get(name).trialInFlight);
+    
+    if (available.length === 0 && trialNames.length > 0) {
+      throw this._trialError(trialNames);
+    }
+    
+    const attempts = available.length > 0 ? available : [names[0]];
+    let lastError;
+    
+    for (const [i, name] of attempts.entries()) {
+      const breaker = this.breakers.get(name);
+      
+      // Another request may have started this provider's trial while earlier providers failed
+      if (available.length > 0 && !breaker.allowRequest()) {
+        lastError = lastError || this._trialError([name]);
+        continue;
+      }
+      
+      const trial = breaker.startRequest();
+      
+      try {
+        const value = await call(this.registry.get(name));
+        this._record(name, breaker, () => breaker.recordSuccess(trial));
+        
+        if (name !== names[0]) {
+          logger.info('Answered by failover provider', { provider: name, primary: names[0] });
+        }
+        
+        return { value, provider: name };
+      } catch (error) {
+        // A cancelled request says nothing about the provider
+        if (request.signal && request.signal.aborted) {
+          breaker.recordCancel(trial);
+          throw error;
+        }
+        
+        this._record(name, breaker, () => breaker.recordFailure(trial));
+        lastError = error;
+        
+        const next = attempts[i + 1];
+        logger.warn(next ? 'Provider failed; trying the next one' : 'Provider failed', {
+          provider: name,
+          next: next,
+          error
+        });
+      }
+    }
+    
+    throw lastError;
+  }
+  
+  /**
+   * Narrow a list of providers to those that can handle a request
+   * @param {Array<string>} names - Provider names
+   * @param {Object} request - Completion request
+   * @returns {Array<string>} Names of the providers that can answer it, in order
+   * @throws {Error} When the request has images and no provider accepts them
+   */
+  capable(names, request) {
+    if (!request.images || request.images.length === 0) {
+      return names;
+    }
+    
+    const vision = names.filter(name => this.registry.get(name).supportsImages());
+    if (vision.length === 0) {
+      throw new Error(
+        `No vision-capable provider among ${names.join(', ')}. ` +
+        'Set a vision model (OPENAI_VISION_MODEL, OLLAMA_VISION_MODEL, ...) to answer questions with images.'
+      );
+    }
+    
+    return vision;
+  }
+  
+  /**
+   * Error for requests turned away while a provider's trial request runs
+   * Worded as "unavailable" so it maps to 503.
+   */
+  _trialError(names) {
+    return new Error(`AI provider ${names.join(', ')} unavailable while it is being retried after repeated failures`);
+  }
+  
+  /**
+   * Update a breaker, logging when its circuit opens or closes
+   */
+  _record(name, breaker, update) {
+    const before = breaker.state;
+    update();
+    
+    if (breaker.state !== before && breaker.state !== 'half-open') {
+      const level = breaker.state === 'open' ? 'warn' : 'info';
+      logger[level](`Circuit ${breaker.state} for provider`, {
+        provider: name,
+        failures: breaker.failures,
+        cooldownMs: breaker.cooldownMs
+      });
+    }
+  }
+  
+  /**
+   * Circuit breaker of a provider; providers outside the chain (ensemble-only)
+   * get one on first use
+   */
+  _breaker(name) {
+    if (!this.breakers.has(name)) {
+      this.breakers.set(name, new CircuitBreaker(this.config));
+    }
+    return this.breakers.get(name);
+  }
+  
+  /**
+   * Circuit state of every provider in the chain, in order
+   * @returns {Array<Object>} { provider, state, failures, openedAt }
+   */
+  describe() {
+    return this.names.map(name => ({ provider: name, ...this.breakers.get(name).describe() }));
+  }
+}
+
+module.exports = ProviderChain;
\ No newline at end of file
@@ -0,0 +1,107 @@
+/**
+ * Provider Health Monitor
+ * Checks the AI providers in the background so health probes answer from the
+ * last result instead of calling the provider on every hit
+ */
+
+const aiService = require('./ai-service');
+const { HEALTH } = require('../config/constants');
+const logger = require('../utils/logger').child({ component: 'health' });
+
+class ProviderHealthMonitor {
+  constructor(config) {
+    this.refreshMs = config.refreshMs;
+    this.status = null;    // Last aiService.healthCheck() result
+    this.checkedAt = null;
+    this.timer = null;
+    this.refreshing = null;
+  }
+  
+  /**
+   * Check now and then every refreshMs
+   * @returns {Promise<Object>} First status
+   */
+  start() {
+    if (!this.timer) {
+      this.timer = setInterval(() => this.refresh(), this.refreshMs);
+      this.timer.unref();
+    }
+    
+    return this.refresh();
+  }
+  
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+  
+  /**
+   * Check every provider; concurrent callers share one check
+   * @returns {Promise<Object>} Fresh status
+   */
+  refresh() {
+    if (!this.refreshing) {
+      this.refreshing = this._check().finally(() => {
+        this.refreshing = null;
+      });
+    }
+    
+    return this.refreshing;
+  }
+  
+  async _check() {
+    let status;
+    
+    try {
+      status = await aiService.healthCheck();
+    } catch (error) {
+      status = { status: 'unhealthy', provider: aiService.provider, error: error.message };
+    }
+    
+    const previous = this.status;
+    this.status = status;
+    this.checkedAt = new Date().toISOString();
+    
+    // Log transitions only; the check repeats every refreshMs
+    if (!previous || previous.status !== status.status) {
+      const level = status.status === 'healthy' ? 'info' : 'warn';
+      logger[level]('AI provider status', {
+        status: status.status,
+        provider: status.provider,
+        model: status.model,
+        error: status.error
+      });
+    }
+    
+    return status;
+  }
+  
+  /**
+   * Whether some provider in the failover chain passed its last check
+   * @returns {boolean} Ready to answer
+   */
+  isReady() {
+    if (!this.status) return false;
+    
+    const providers = this.status.providers || {};
+    const chain = (this.status.failover || []).map(link => link.provider);
+    
+    return this.status.status === 'healthy' ||
+      chain.some(name => providers[name] && providers[name].status === 'healthy');
+  }
+  
+  /**
+   * Last known status, for /health/ready
+   * Circuit states change between checks, so they are read live.
+   * @returns {Object} { ready, checkedAt, ai } (ai is null before the first check finishes)
+   */
+  getStatus() {
+    return {
+      ready: this.isReady(),
+      checkedAt: this.checkedAt,
+      ai: this.status && { ...this.status, failover: aiService.chain.describe() }
+    };
+  }
+}
+
+module.exports = new ProviderHealthMonitor(HEALTH);
\ No newline at end of file
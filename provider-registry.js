@@ -0,0 +1,109 @@
+/**
+ * Provider Registry
+ * Maps provider names to AI adapters behind a common interface
+ */
+
+const OpenAIProvider = require('./openai-provider');
+const OpenAICompatibleProvider = require('./openai-compatible-provider');
+const OllamaProvider = require('./ollama-provider');
+const MockProvider = require('./mock-provider');
+const {
+  OPENAI_API_KEY,
+  OPENAI_MODEL,
+  OPENAI_VISION_MODEL,
+  OLLAMA_URL,
+  OLLAMA_MODEL,
+  OLLAMA_VISION_MODEL,
+  OPENAI_COMPATIBLE_SERVERS,
+  MOCK_AI
+} = require('../config/constants');
+
+class ProviderRegistry {
+  constructor() {
+    this.factories = new Map();
+    this.adapters = new Map();
+  }
+  
+  /**
+   * Define how to build a provider adapter
+   * @param {string} name - Provider name (value of AI_PROVIDER)
+   * @param {Function} factory - (name) => adapter instance
+   */
+  define(name, factory) {
+    this.factories.set(name, factory);
+  }
+  
+  /**
+   * Instantiate and register a provider adapter
+   * @param {string} name - Provider name
+   * @returns {BaseProvider} Registered adapter
+   */
+  register(name) {
+    if (this.adapters.has(name)) {
+      return this.adapters.get(name);
+    }
+    
+    const factory = this.factories.get(name);
+    if (!factory) {
+      throw new Error(
+        `Unsupported AI provider: ${name}. Available: ${[...this.factories.keys()].join(', ')}`
+      );
+    }
+    
+    const adapter = factory(name);
+    this.adapters.set(name, adapter);
+    return adapter;
+  }
+  
+  /**
+   * Get a registered adapter
+   * @param {string} name - Provider name
+   * @returns {BaseProvider} Adapter
+   */
+  get(name) {
+    const adapter = this.adapters.get(name);
+    if (!adapter) {
+      throw new Error(`Unsupported AI provider: ${name}`);
+    }
+    return adapter;
+  }
+  
+  /**
+   * @returns {Array<BaseProvider>} All registered adapters
+   */
+  list() {
+    return [...this.adapters.values()];
+  }
+  
+  /**
+   * @returns {Array<string>} Names of all known providers
+   */
+  available() {
+    return [...this.factories.keys()];
+  }
+}
+
+const registry = new ProviderRegistry();
+
+// Built-in providers
+registry.define('openai', name => new OpenAIProvider(name, {
+  label: 'OpenAI',
+  apiKey: OPENAI_API_KEY,
+  model: OPENAI_MODEL,
+  visionModel: OPENAI_VISION_MODEL
+}));
+
+registry.define('ollama', name => new OllamaProvider(name, {
+  label: 'Ollama',
+  url: OLLAMA_URL,
+  model: OLLAMA_MODEL,
+  visionModel: OLLAMA_VISION_MODEL
+}));
+
+registry.define('mock', name => new MockProvider(name, MOCK_AI));
+
+for (const [name, config] of Object.entries(OPENAI_COMPATIBLE_SERVERS)) {
+  registry.define(name, providerName => new OpenAICompatibleProvider(providerName, config));
+}
+
+module.exports = registry;
\ No newline at end of file
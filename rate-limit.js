@@ -0,0 +1,116 @@
+/**
+ * Rate Limit Middleware
+ * Token-bucket limits per client, with a separate budget for each route
+ */
+
+const { RATE_LIMIT, HTTP_STATUS } = require('../config/constants');
+const logger = require('../utils/logger').child({ component: 'rate-limit' });
+
+class TokenBucketLimiter {
+  /**
+   * @param {string} name - Route name, used in messages and logs
+   * @param {Object} config - { max, windowMs }
+   */
+  constructor(name, config) {
+    this.name = name;
+    this.capacity = config.max;
+    this.windowMs = config.windowMs;
+    this.refillPerMs = config.max / config.windowMs;
+    this.buckets = new Map(); // client -> { tokens, updatedAt }
+    
+    // A bucket left alone for a whole window is full again, the same as a new one
+    this.sweepTimer = setInterval(() => this._sweep(), this.windowMs);
+    this.sweepTimer.unref();
+  }
+  
+  /**
+   * Take tokens from a client's bucket
+   * @param {string} client - Client identifier
+   * @param {number} [cost=1] - Tokens the request needs, capped at the capacity
+   * @returns {Object} { allowed, limit, remaining, resetSeconds, retryAfterSeconds }
+   */
+  take(client, cost = 1) {
+    const now = Date.now();
+    const needed = Math.min(cost, this.capacity);
+    const bucket = this.buckets.get(client) || { tokens: this.capacity, updatedAt: now };
+    
+    bucket.tokens = Math.min(this.capacity, bucket.tokens + (now - bucket.updatedAt) * this.refillPerMs);
+    bucket.updatedAt = now;
+    
+    const allowed = bucket.tokens >= needed;
+    if (allowed) {
+      bucket.tokens -= needed;
+    }
+    this.buckets.set(client, bucket);
+    
+    return {
+      allowed: allowed,
+      limit: this.capacity,
+      remaining: Math.floor(bucket.tokens),
+      resetSeconds: Math.ceil((this.capacity - bucket.tokens) / this.refillPerMs / 1000),
+      retryAfterSeconds: allowed ? 0 : Math.max(1, Math.ceil((needed - bucket.tokens) / this.refillPerMs / 1000))
+    };
+  }
+  
+  _sweep() {
+    const cutoff = Date.now() - this.windowMs;
+    
+    for (const [client, bucket] of this.buckets) {
+      if (bucket.updatedAt <= cutoff) {
+        this.buckets.delete(client);
+      }
+    }
+  }
+}
+
+/**
+ * Clients are told apart by API key; without auth, by IP address
+ * @param {Object} req - Express request
+ * @returns {string} Client identifier
+ */
+const clientId = (req) => (req.apiKey ? `key:${req.apiKey.id}` : `ip:${req.ip}`);
+
+/**
+ * Create the rate limit middleware for a route
+ * Sets RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset and RateLimit-Policy
+ * on every response, and Retry-After on 429s.
+ * @param {string} name - Key of RATE_LIMIT.routes
+ * @param {Function} [costOf] - (req) => tokens the request uses (default 1)
+ * @returns {Function} Express middleware
+ */
+const rateLimit = (name, costOf = () => 1) => {
+  const routeConfig = RATE_LIMIT.routes[name] || {};
+  const limiter = new TokenBucketLimiter(name, {
+    max: routeConfig.max || RATE_LIMIT.max,
+    windowMs: routeConfig.windowMs || RATE_LIMIT.windowMs
+  });
+  
+  return (req, res, next) => {
+    const result = limiter.take(clientId(req), costOf(req));
+    
+    res.set({
+      'RateLimit-Limit': String(result.limit),
+      'RateLimit-Remaining': String(result.remaining),
+      'RateLimit-Reset': String(result.resetSeconds),
+      'RateLimit-Policy': `${result.limit};w=${Math.ceil(limiter.windowMs / 1000)}`
+    });
+    
+    if (result.allowed) {
+      return next();
+    }
+    
+    logger.warn('Rate limit exceeded', { route: name, client: clientId(req), retryAfter: result.retryAfterSeconds });
+    
+    res.set('Retry-After', String(result.retryAfterSeconds));
+    
+    return res.status(HTTP_STATUS.TOO_MANY_REQUESTS).json({
+      success: false,
+      error: `Too many ${name} requests. Try again in ${result.retryAfterSeconds} seconds.`,
+      retryAfter: result.retryAfterSeconds
+    });
+  };
+};
+
+module.exports = {
+  rateLimit
+};
\ No newline at end of file
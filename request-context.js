@@ -0,0 +1,37 @@
+/**
+ * Request Context Middleware
+ * Gives every request a correlation ID, echoed in the X-Request-Id header and
+ * attached to every log entry written while handling it
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+// Accept a caller's ID only if it is short and header-safe
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Assign the request ID and run the rest of the chain inside its log context
+ */
+const requestContext = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+  
+  logger.runWithContext({ requestId }, next);
+};
+
+/**
+ * Re-enter the request's log context after middleware that resumes from a
+ * stream callback (body parsers, multer), where the context is otherwise lost
+ */
+const restoreContext = (req, res, next) => {
+  logger.runWithContext({ requestId: req.id }, next);
+};
+
+module.exports = {
+  requestContext,
+  restoreContext
+};
\ No newline at end of file
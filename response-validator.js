@@ -0,0 +1,157 @@
+/**
+ * Response Validator
+ * JSON-schema validation of model output, one schema per question type
+ */
+
+const Ajv = require('ajv');
+
+const confidence = { type: 'number', minimum: 0, maximum: 100 };
+const explanation = { type: 'string' };
+
+// Per-option verdicts (optional on choice questions)
+const optionRationales = {
+  type: 'array',
+  items: {
+    type: 'object',
+    required: ['option', 'verdict'],
+    properties: {
+      option: { type: 'string', minLength: 1 },
+      verdict: { type: 'string' },
+      rationale: { type: 'string' }
+    }
+  }
+};
+
+const singleAnswer = {
+  type: 'object',
+  required: ['answer', 'confidence', 'explanation'],
+  properties: {
+    answer: { type: 'string', minLength: 1 },
+    confidence: confidence,
+    explanation: explanation,
+    options: optionRationales
+  }
+};
+
+// Schemas for the JSON shapes requested in PROMPTS
+const SCHEMAS = {
+  single: singleAnswer,
+  trueFalse: singleAnswer,
+  multiSelect: {
+    type: 'object',
+    required: ['answers', 'explanation'],
+    properties: {
+      answers: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['answer', 'confidence'],
+          properties: {
+            answer: { type: 'string', minLength: 1 },
+            confidence: confidence
+          }
+        }
+      },
+      explanation: explanation,
+      options: optionRationales
+    }
+  },
+  fillBlank: {
+    type: 'object',
+    required: ['blanks', 'confidence', 'explanation'],
+    properties: {
+      blanks: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+      confidence: confidence,
+      explanation: explanation
+    }
+  },
+  numeric: {
+    type: 'object',
+    required: ['value', 'confidence', 'explanation'],
+    properties: {
+      value: { type: 'number' },
+      unit: { type: ['string', 'null'] },
+      confidence: confidence,
+      explanation: explanation
+    }
+  },
+  matching: {
+    type: 'object',
+    required: ['matches', 'explanation'],
+    properties: {
+      matches: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['premise', 'answer', 'confidence'],
+          properties: {
+            premise: { type: ['integer', 'string'] },
+            answer: { type: 'string', minLength: 1 },
+            confidence: confidence
+          }
+        }
+      },
+      explanation: explanation
+    }
+  },
+  ordering: {
+    type: 'object',
+    required: ['order', 'confidence', 'explanation'],
+    properties: {
+      order: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+      confidence: confidence,
+      explanation: explanation
+    }
+  }
+};
+
+class ResponseValidator {
+  constructor() {
+    // coerceTypes accepts "85" for 85 and 1 for "1" instead of rejecting them;
+    // allowUnionTypes permits premise: integer | string
+    this.ajv = new Ajv({ allErrors: true, coerceTypes: true, allowUnionTypes: true });
+    this.validators = {};
+    
+    for (const [type, schema] of Object.entries(SCHEMAS)) {
+      this.validators[type] = this.ajv.compile(schema);
+    }
+  }
+  
+  /**
+   * Parse raw model output and validate it against the schema for a question type
+   * @param {string} type - Question type
+   * @param {string} responseText - Raw model output
+   * @returns {Object} { data } when valid, { error } with a readable message otherwise
+   */
+  validate(type, responseText) {
+    let data;
+    
+    try {
+      data = JSON.parse(this._stripCodeFence(responseText));
+    } catch (error) {
+      return { error: `Response is not valid JSON (${error.message})` };
+    }
+    
+    const validator = this.validators[type] || this.validators.single;
+    
+    if (!validator(data)) {
+      return { error: this.ajv.errorsText(validator.errors, { dataVar: 'response' }) };
+    }
+    
+    return { data };
+  }
+  
+  /**
+   * Models without a JSON mode often wrap their answer in ```json fences
+   * @param {string} text - Raw model output
+   * @returns {string} Text inside the fence, or the input unchanged
+   */
+  _stripCodeFence(text) {
+    const fenced = String(text).trim().match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
+    return fenced ? fenced[1] : text;
+  }
+}
+
+module.exports = new ResponseValidator();
\ No newline at end of file
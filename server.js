@@ -5,17 +5,36 @@
 
 require('dotenv').config();
 
+const logger = require('./utils/logger');
+const { validateConfig } = require('./config/config-validator');
+
+// Report every configuration problem at once, before the services start
+const configProblems = validateConfig();
+
+if (configProblems.length > 0) {
+  logger.error('Invalid configuration; fix these settings in .env and restart', { problems: configProblems });
+  process.exit(1);
+}
+
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
-const { PORT, NODE_ENV, ALLOWED_ORIGINS, HTTP_STATUS } = require('./config/constants');
+const { PORT, NODE_ENV, ALLOWED_ORIGINS, AUTH, UPLOAD_LIMITS, HTTP_STATUS } = require('./config/constants');
+const openapi = require('./config/openapi');
+const { requestContext, restoreContext } = require('./middleware/request-context');
+const { requireApiKey } = require('./middleware/auth');
+const { validateAgainstSpec } = require('./middleware/openapi-validator');
 
 // Import routes
 const answerRoute = require('./routes/answer');
 const ocrRoute = require('./routes/ocr');
+const usageRoute = require('./routes/usage');
+const configRoute = require('./routes/config');
+const jobsRoute = require('./routes/jobs');
 
 // Import services
-const aiService = require('./services/ai-service');
+const providerHealth = require('./services/provider-health');
+const apiKeyStore = require('./services/api-key-store');
 
 // Create Express app
 const app = express();
@@ -24,6 +43,9 @@ const app = express();
 // MIDDLEWARE
 // ============================================================================
 
+// Request IDs and per-request log context
+app.use(requestContext);
+
 // CORS configuration
 const corsOptions = {
   origin: (origin, callback) => {
@@ -43,13 +65,14 @@ const corsOptions = {
     if (isAllowed) {
       callback(null, true);
     } else {
-      console.warn(`CORS blocked origin: ${origin}`);
+      logger.warn('CORS blocked origin', { origin });
       callback(new Error('Not allowed by CORS'));
     }
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Request-Id'],
+  exposedHeaders: ['X-Request-Id', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After']
 };
 
 app.use(cors(corsOptions));
@@ -57,11 +80,26 @@ app.use(cors(corsOptions));
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+app.use(restoreContext);
 
 // Request logging middleware
 app.use((req, res, next) => {
-  const timestamp = new Date().toISOString();
-  console.log(`[${timestamp}] ${req.method} ${req.path}`);
+  const startTime = Date.now();
+  const requestPath = req.path; // Routers rewrite req.path while handling
+  const log = logger.child({ requestId: req.id });
+  
+  log.debug('Request received', { method: req.method, path: requestPath });
+  
+  // 'finish' fires outside the request's async context, so the ID is bound explicitly
+  res.on('finish', () => {
+    log.info('Request completed', {
+      method: req.method,
+      path: requestPath,
+      status: res.statusCode,
+      durationMs: Date.now() - startTime
+    });
+  });
+  
   next();
 });
 
@@ -69,26 +107,42 @@ app.use((req, res, next) => {
 // ROUTES
 // ============================================================================
 
-// Health check endpoint
-app.get('/health', async (req, res) => {
-  try {
-    const aiHealth = await aiService.healthCheck();
-    
-    res.status(HTTP_STATUS.OK).json({
-      status: 'healthy',
-      timestamp: new Date().toISOString(),
-      uptime: process.uptime(),
-      environment: NODE_ENV,
-      services: {
-        ai: aiHealth
-      }
-    });
-  } catch (error) {
-    res.status(HTTP_STATUS.SERVICE_UNAVAILABLE).json({
-      status: 'unhealthy',
-      error: error.message
-    });
-  }
+// Liveness: the process is up and serving requests; never touches the providers
+app.get('/health/live', (req, res) => {
+  res.status(HTTP_STATUS.OK).json({
+    status: 'alive',
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime()
+  });
+});
+
+// Readiness: the AI provider passed its last background check (HEALTH_REFRESH_MS)
+app.get('/health/ready', (req, res) => {
+  const { ready, checkedAt, ai } = providerHealth.getStatus();
+  
+  res.status(ready ? HTTP_STATUS.OK : HTTP_STATUS.SERVICE_UNAVAILABLE).json({
+    status: ready ? 'ready' : 'not_ready',
+    checkedAt: checkedAt,
+    services: {
+      ai: ai
+    }
+  });
+});
+
+// Health summary for people; probes should use /health/live and /health/ready
+app.get('/health', (req, res) => {
+  const { checkedAt, ai } = providerHealth.getStatus();
+  
+  res.status(HTTP_STATUS.OK).json({
+    status: 'healthy',
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime(),
+    environment: NODE_ENV,
+    checkedAt: checkedAt,
+    services: {
+      ai: ai
+    }
+  });
 });
 
 // Root endpoint
@@ -98,20 +152,45 @@ app.get('/', (req, res) => {
     version: '1.0.0',
     status: 'running',
     endpoints: {
-      health: '/health',
-      answer: '/api/answer',
-      answerBatch: '/api/answer/batch',
-      ocr: '/api/ocr',
-      ocrParse: '/api/ocr/parse',
-      ocrLanguages: '/api/ocr/languages'
+      health: 'GET /health',
+      liveness: 'GET /health/live',
+      readiness: 'GET /health/ready',
+      docs: 'GET /api/docs',
+      ...listOperations()
     },
-    documentation: 'See README.md for usage instructions'
+    documentation: '/api/docs (OpenAPI 3.1)'
   });
 });
 
-// API routes
+/**
+ * Operations in the OpenAPI document, e.g. { answerQuestion: 'POST /api/answer' }
+ * @returns {Object} operationId -> method and path
+ */
+function listOperations() {
+  const operations = {};
+  
+  for (const [route, methods] of Object.entries(openapi.paths)) {
+    for (const [method, operation] of Object.entries(methods)) {
+      operations[operation.operationId] = `${method.toUpperCase()} ${route}`;
+    }
+  }
+  
+  return operations;
+}
+
+// OpenAPI document, public so client generators can fetch it without a key
+app.get('/api/docs', (req, res) => {
+  res.json(openapi);
+});
+
+// API routes (require an API key; /health/*, / and /api/docs stay public)
+app.use('/api', requireApiKey);
+app.use('/api', validateAgainstSpec);
 app.use('/api/answer', answerRoute);
 app.use('/api/ocr', ocrRoute);
+app.use('/api/usage', usageRoute);
+app.use('/api/config', configRoute);
+app.use('/api/jobs', jobsRoute);
 
 // ============================================================================
 // ERROR HANDLING
@@ -128,13 +207,13 @@ app.use((req, res) => {
 
 // Global error handler
 app.use((err, req, res, next) => {
-  console.error('Global error handler:', err);
+  logger.error('Unhandled request error', { requestId: req.id, error: err });
   
   // Multer errors
   if (err.code === 'LIMIT_FILE_SIZE') {
     return res.status(HTTP_STATUS.BAD_REQUEST).json({
       success: false,
-      error: 'File too large. Maximum size: 10MB'
+      error: `File too large. Maximum size: ${UPLOAD_LIMITS.fileSize / (1024 * 1024)}MB`
     });
   }
   
@@ -165,54 +244,49 @@ app.use((err, req, res, next) => {
 // SERVER STARTUP
 // ============================================================================
 
-const server = app.listen(PORT, async () => {
-  console.log('\n' + '='.repeat(60));
-  console.log('🚀 MCQ Solver Backend Server');
-  console.log('='.repeat(60));
-  console.log(`Environment: ${NODE_ENV}`);
-  console.log(`Server running on: http://localhost:${PORT}`);
-  console.log(`Health check: http://localhost:${PORT}/health`);
-  console.log('='.repeat(60));
+const server = app.listen(PORT, () => {
+  logger.info('MCQ Solver Backend Server started', {
+    environment: NODE_ENV,
+    url: `http://localhost:${PORT}`,
+    healthCheck: `http://localhost:${PORT}/health`
+  });
   
-  // Check AI service health
-  try {
-    const aiHealth = await aiService.healthCheck();
-    console.log('\n✅ AI Service Status:', aiHealth.status);
-    console.log(`   Provider: ${aiHealth.provider}`);
-    console.log(`   Model: ${aiHealth.model}`);
-  } catch (error) {
-    console.log('\n❌ AI Service Error:', error.message);
-    console.log('   Please check your configuration in .env file');
+  if (!AUTH.enabled) {
+    logger.warn('API key authentication is disabled (AUTH_ENABLED=false); any local process can use the API');
+  } else if (!apiKeyStore.hasActiveKeys()) {
+    logger.warn('No API keys yet; every /api request will be rejected. Create one with: npm run keys -- create <name>');
   }
   
-  console.log('\n' + '='.repeat(60) + '\n');
+  // Readiness is served from this check, repeated every HEALTH_REFRESH_MS;
+  // an unhealthy provider is logged by the monitor
+  providerHealth.start();
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
-  console.log('SIGTERM signal received: closing HTTP server');
+  logger.info('SIGTERM signal received: closing HTTP server');
   server.close(() => {
-    console.log('HTTP server closed');
+    logger.info('HTTP server closed');
     process.exit(0);
   });
 });
 
 process.on('SIGINT', () => {
-  console.log('\nSIGINT signal received: closing HTTP server');
+  logger.info('SIGINT signal received: closing HTTP server');
   server.close(() => {
-    console.log('HTTP server closed');
+    logger.info('HTTP server closed');
     process.exit(0);
   });
 });
 
 // Handle uncaught exceptions
 process.on('uncaughtException', (error) => {
-  console.error('Uncaught Exception:', error);
+  logger.error('Uncaught exception', { error });
   process.exit(1);
 });
 
 process.on('unhandledRejection', (reason, promise) => {
-  console.error('Unhandled Rejection at:', promise, 'reason:', reason);
+  logger.error('Unhandled rejection', { error: reason });
 });
 
 module.exports = app;
\ No newline at end of file
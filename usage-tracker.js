@@ -0,0 +1,230 @@
+/**
+ * Usage Tracker
+ * Token usage and estimated cost per provider and model, in daily and monthly
+ * buckets backed by a JSON file
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { USAGE } = require('../config/constants');
+const logger = require('../utils/logger').child({ component: 'usage' });
+
+class UsageTracker {
+  constructor(config) {
+    this.filePath = config.filePath;
+    this.retainDays = config.retainDays;
+    this.prices = config.prices;
+    this.budgets = {
+      daily: config.dailyBudgetUsd,
+      monthly: config.monthlyBudgetUsd
+    };
+    
+    this.daily = {};   // 'YYYY-MM-DD' -> { 'provider:model' -> counters }
+    this.monthly = {}; // 'YYYY-MM' -> { 'provider:model' -> counters }
+    this.saveTimer = null;
+    
+    this._load();
+  }
+  
+  /**
+   * Record the token usage of one completion
+   * @param {Object} usage - Completion usage
+   * @param {string} usage.provider - Provider name
+   * @param {string} [usage.model] - Model name
+   * @param {number} [usage.promptTokens] - Input tokens
+   * @param {number} [usage.completionTokens] - Output tokens
+   */
+  record({ provider, model, promptTokens = 0, completionTokens = 0 }) {
+    const now = new Date().toISOString();
+    const modelName = model || 'unknown';
+    const cost = this.estimateCost(modelName, promptTokens, completionTokens);
+    
+    for (const [buckets, period] of [[this.daily, now.slice(0, 10)], [this.monthly, now.slice(0, 7)]]) {
+      const bucket = buckets[period] || (buckets[period] = {});
+      const key = `${provider}:${modelName}`;
+      const counters = bucket[key] || (bucket[key] = {
+        provider: provider,
+        model: modelName,
+        requests: 0,
+        promptTokens: 0,
+        completionTokens: 0,
+        cost: 0
+      });
+      
+      counters.requests++;
+      counters.promptTokens += promptTokens;
+      counters.completionTokens += completionTokens;
+      counters.cost += cost;
+    }
+    
+    this._scheduleSave();
+  }
+  
+  /**
+   * Estimated cost of a completion in USD
+   * @param {string} model - Model name
+   * @param {number} promptTokens - Input tokens
+   * @param {number} completionTokens - Output tokens
+   * @returns {number} Cost, 0 for models without a price
+   */
+  estimateCost(model, promptTokens, completionTokens) {
+    const price = this._priceFor(model);
+    if (!price) return 0;
+    
+    return (promptTokens * (price.prompt || 0) + completionTokens * (price.completion || 0)) / 1e6;
+  }
+  
+  /**
+   * Find the first budget that is used up
+   * @returns {Object|null} { period, limitUsd, spentUsd, resetsAt } or null while within budget
+   */
+  exceededBudget() {
+    const now = new Date();
+    const periods = [
+      ['daily', this.daily[now.toISOString().slice(0, 10)],
+        new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1))],
+      ['monthly', this.monthly[now.toISOString().slice(0, 7)],
+        new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1))]
+    ];
+    
+    for (const [period, bucket, resetsAt] of periods) {
+      const limit = this.budgets[period];
+      const spent = this._totals(bucket).cost;
+      
+      if (limit && spent >= limit) {
+        return { period, limitUsd: limit, spentUsd: spent, resetsAt };
+      }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Usage report with daily and monthly breakdowns, newest first
+   * @param {Object} [range] - { days, months } to include
+   * @returns {Object} Usage summary
+   */
+  getSummary({ days = 30, months = 12 } = {}) {
+    const now = new Date().toISOString();
+    const today = this._totals(this.daily[now.slice(0, 10)]);
+    const thisMonth = this._totals(this.monthly[now.slice(0, 7)]);
+    
+    const breakdown = (buckets, label, limit) => Object.keys(buckets)
+      .sort()
+      .reverse()
+      .slice(0, limit)
+      .map(period => ({
+        [label]: period,
+        ...this._round(this._totals(buckets[period])),
+        models: Object.values(buckets[period]).map(counters => this._round({
+          ...counters,
+          totalTokens: counters.promptTokens + counters.completionTokens
+        }))
+      }));
+    
+    const budget = (limit, spent) => (limit ? {
+      limitUsd: limit,
+      spentUsd: this._roundCost(spent),
+      remainingUsd: this._roundCost(Math.max(0, limit - spent))
+    } : null);
+    
+    return {
+      currency: 'USD',
+      today: this._round(today),
+      thisMonth: this._round(thisMonth),
+      budgets: {
+        daily: budget(this.budgets.daily, today.cost),
+        monthly: budget(this.budgets.monthly, thisMonth.cost)
+      },
+      daily: breakdown(this.daily, 'date', days),
+      monthly: breakdown(this.monthly, 'month', months)
+    };
+  }
+  
+  /**
+   * Price entry for a model: exact name, else the longest matching prefix
+   * ("gpt-4o-mini-2024-07-18" uses "gpt-4o-mini", not "gpt-4o")
+   * @param {string} model - Model name
+   * @returns {Object|null} { prompt, completion } in USD per million tokens
+   */
+  _priceFor(model) {
+    if (this.prices[model]) {
+      return this.prices[model];
+    }
+    
+    const prefix = Object.keys(this.prices)
+      .filter(name => model.startsWith(name))
+      .sort((a, b) => b.length - a.length)[0];
+    
+    return prefix ? this.prices[prefix] : null;
+  }
+  
+  /**
+   * Sum the counters of every model in a bucket
+   * @param {Object} [bucket] - 'provider:model' -> counters
+   * @returns {Object} { requests, promptTokens, completionTokens, totalTokens, cost }
+   */
+  _totals(bucket = {}) {
+    const totals = { requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0 };
+    
+    for (const counters of Object.values(bucket)) {
+      totals.requests += counters.requests;
+      totals.promptTokens += counters.promptTokens;
+      totals.completionTokens += counters.completionTokens;
+      totals.totalTokens += counters.promptTokens + counters.completionTokens;
+      totals.cost += counters.cost;
+    }
+    
+    return totals;
+  }
+  
+  _round(counters) {
+    return { ...counters, cost: this._roundCost(counters.cost) };
+  }
+  
+  _roundCost(cost) {
+    return Math.round(cost * 1e6) / 1e6;
+  }
+  
+  _load() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.daily = data.daily || {};
+      this.monthly = data.monthly || {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Failed to load usage data, starting empty', { error });
+      }
+    }
+  }
+  
+  /**
+   * Debounce disk writes so bursts of completions cause a single save
+   */
+  _scheduleSave() {
+    if (this.saveTimer) return;
+    
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this._save().catch(error => logger.warn('Failed to persist usage data', { error }));
+    }, 1000);
+    this.saveTimer.unref();
+  }
+  
+  async _save() {
+    // Drop daily buckets past the retention window
+    const cutoff = new Date(Date.now() - this.retainDays * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    for (const date of Object.keys(this.daily)) {
+      if (date < cutoff) {
+        delete this.daily[date];
+      }
+    }
+    
+    const tmpPath = `${this.filePath}.tmp`;
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.writeFile(tmpPath, JSON.stringify({ daily: this.daily, monthly: this.monthly }));
+    await fs.promises.rename(tmpPath, this.filePath);
+  }
+}
+
+module.exports = new UsageTracker(USAGE);
\ No newline at end of file
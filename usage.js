@@ -0,0 +1,33 @@
+/**
+ * Usage Route
+ * Token usage, estimated cost and budget status
+ */
+
+const express = require('express');
+const router = express.Router();
+const usageTracker = require('../services/usage-tracker');
+const { HTTP_STATUS, USAGE } = require('../config/constants');
+
+/**
+ * GET /api/usage
+ * Totals for today and this month, plus daily and monthly breakdowns
+ * Query: days (default 30), months (default 12)
+ */
+router.get('/', (req, res) => {
+  const days = Math.min(parseInt(req.query.days) || 30, USAGE.retainDays);
+  const months = parseInt(req.query.months) || 12;
+  
+  if (days < 1 || months < 1) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      error: 'days and months must be positive integers'
+    });
+  }
+  
+  res.status(HTTP_STATUS.OK).json({
+    success: true,
+    usage: usageTracker.getSummary({ days, months })
+  });
+});
+
+module.exports = router;
\ No newline at end of file
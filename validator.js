@@ -1,51 +1,42 @@
 /**
  * Request Validator Middleware
  * Validates incoming requests
+ * Field types and size limits are checked against the OpenAPI document first
+ * (openapi-validator.js); the rules here depend on the question type or on the
+ * uploaded file, which the document cannot express.
  */
 
-const { HTTP_STATUS } = require('../config/constants');
+const { HTTP_STATUS, QUESTION_SCHEMAS, REQUEST_LIMITS, UPLOAD_LIMITS, ALLOWED_FILE_TYPES } = require('../config/constants');
 
 /**
  * Validate MCQ answer request
  */
 const validateAnswerRequest = (req, res, next) => {
-  const { question, options } = req.body;
+  const errors = validateQuestion(req.body);
   
-  const errors = [];
-  
-  // Validate question
-  if (!question) {
-    errors.push('Question is required');
-  } else if (typeof question !== 'string') {
-    errors.push('Question must be a string');
-  } else if (question.trim().length < 10) {
-    errors.push('Question is too short (minimum 10 characters)');
-  } else if (question.length > 1000) {
-    errors.push('Question is too long (maximum 1000 characters)');
-  }
-  
-  // Validate options
-  if (!options) {
-    errors.push('Options are required');
-  } else if (!Array.isArray(options)) {
-    errors.push('Options must be an array');
-  } else if (options.length < 2) {
-    errors.push('At least 2 options are required');
-  } else if (options.length > 10) {
-    errors.push('Maximum 10 options allowed');
-  } else {
-    // Validate each option
-    options.forEach((option, index) => {
-      if (typeof option !== 'string') {
-        errors.push(`Option ${index + 1} must be a string`);
-      } else if (option.trim().length === 0) {
-        errors.push(`Option ${index + 1} is empty`);
-      } else if (option.length > 500) {
-        errors.push(`Option ${index + 1} is too long (maximum 500 characters)`);
-      }
+  if (errors.length > 0) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      errors: errors
     });
   }
   
+  next();
+};
+
+/**
+ * Validate batch answer request
+ * Every question gets the checks of a single answer request.
+ */
+const validateBatchRequest = (req, res, next) => {
+  const { questions, context } = req.body;
+  
+  const errors = validateContext(context, 'Context');
+  
+  questions.forEach((item, index) => {
+    errors.push(...validateQuestion(item).map(error => `Question ${index + 1}: ${error}`));
+  });
+  
   if (errors.length > 0) {
     return res.status(HTTP_STATUS.BAD_REQUEST).json({
       success: false,
@@ -56,6 +47,98 @@ const validateAnswerRequest = (req, res, next) => {
   next();
 };
 
+/**
+ * Check one question against the rules for its type
+ * Runs after sanitizing, which can shorten the question and empty options.
+ * @param {Object} item - { question, options, premises, type, context }
+ * @returns {Array<string>} Error messages
+ */
+const validateQuestion = ({ question, options, premises, type, context }) => {
+  const errors = [];
+  
+  if (question.length < REQUEST_LIMITS.questionMinLength) {
+    errors.push(`Question is too short (minimum ${REQUEST_LIMITS.questionMinLength} characters)`);
+  }
+  
+  errors.push(...validateContext(context, 'Context'));
+  
+  // Validate options and premises against the schema for the question type
+  const questionType = type || 'single';
+  const schema = QUESTION_SCHEMAS[questionType] || QUESTION_SCHEMAS.single;
+  
+  errors.push(...validateTextList(options, schema.options, 'Option', 'Options', questionType));
+  
+  if (schema.premises) {
+    errors.push(...validateTextList(premises, schema.premises, 'Premise', 'Premises', questionType));
+  } else if (premises !== undefined) {
+    errors.push('Premises are only accepted for matching questions');
+  }
+  
+  return errors;
+};
+
+/**
+ * Validate an optional context (reading passage or case-study scenario)
+ * Checked after sanitizing, which collapses whitespace
+ * @param {string} [context] - Context text
+ * @param {string} label - Field name for error messages
+ * @returns {Array<string>} Error messages
+ */
+const validateContext = (context, label) => {
+  if (context === undefined) {
+    return [];
+  }
+  
+  if (context.length < REQUEST_LIMITS.contextMinLength) {
+    return [`${label} is too short (minimum ${REQUEST_LIMITS.contextMinLength} characters)`];
+  }
+  
+  if (context.length > REQUEST_LIMITS.contextMaxLength) {
+    return [`${label} is too long (maximum ${REQUEST_LIMITS.contextMaxLength} characters)`];
+  }
+  
+  return [];
+};
+
+/**
+ * Validate a list of texts (options or premises) against a QUESTION_SCHEMAS rule
+ * @param {Array<string>} [values] - Value of the list field
+ * @param {Object} rule - { required, min, max }
+ * @param {string} label - Singular label for item errors, e.g. 'Option'
+ * @param {string} plural - Plural label for list errors, e.g. 'Options'
+ * @param {string} type - Question type, for error messages
+ * @returns {Array<string>} Error messages
+ */
+const validateTextList = (values, rule, label, plural, type) => {
+  const errors = [];
+  
+  if (!values || (Array.isArray(values) && values.length === 0 && !rule.required)) {
+    if (rule.required) {
+      errors.push(`${plural} are required`);
+    }
+    return errors;
+  }
+  
+  if (rule.max === 0) {
+    errors.push(`${plural} are not accepted for ${type} questions`);
+  } else if (rule.min === rule.max && values.length !== rule.min) {
+    errors.push(`Exactly ${rule.min} ${plural.toLowerCase()} are required for ${type} questions`);
+  } else if (values.length < rule.min) {
+    errors.push(`At least ${rule.min} ${plural.toLowerCase()} are required`);
+  } else if (values.length > rule.max) {
+    errors.push(`Maximum ${rule.max} ${plural.toLowerCase()} allowed`);
+  } else {
+    // Whitespace-only items are empty once sanitized
+    values.forEach((value, index) => {
+      if (value.trim().length === 0) {
+        errors.push(`${label} ${index + 1} is empty`);
+      }
+    });
+  }
+  
+  return errors;
+};
+
 /**
  * Validate OCR request
  */
@@ -70,13 +153,7 @@ const validateOCRRequest = (req, res, next) => {
   const file = req.file;
   
   // Validate file type
-  const allowedTypes = [
-    'image/jpeg',
-    'image/png',
-    'image/webp',
-    'image/gif',
-    'application/pdf'
-  ];
+  const allowedTypes = [...ALLOWED_FILE_TYPES.image, ...ALLOWED_FILE_TYPES.pdf];
   
   if (!allowedTypes.includes(file.mimetype)) {
     return res.status(HTTP_STATUS.BAD_REQUEST).json({
@@ -86,43 +163,109 @@ const validateOCRRequest = (req, res, next) => {
   }
   
   // File size is validated by multer, but double-check
-  if (file.size > 10 * 1024 * 1024) { // 10MB
+  if (file.size > UPLOAD_LIMITS.fileSize) {
     return res.status(HTTP_STATUS.BAD_REQUEST).json({
       success: false,
-      error: 'File too large. Maximum size: 10MB'
+      error: `File too large. Maximum size: ${UPLOAD_LIMITS.fileSize / (1024 * 1024)}MB`
     });
   }
   
   next();
 };
 
+// Segments kept verbatim: fenced code (```lang ... ```) and inline code (`code`) as the
+// extension sends them, and LaTeX math (\( inline \) or \[ display \]).
+const PROTECTED = /(```[\s\S]*?```|`[^`\n]+`|\\\([\s\S]*?\\\)|\\\[[\s\S]*?\\\])/;
+
+// HTML comments and tags. A tag is <name>, </name> or <name attr=...>, so "a<b and c>d"
+// is text.
+const MARKUP = /<!--[\s\S]*?-->|<\/?[a-zA-Z][a-zA-Z0-9-]*(\s+[^<>]*=[^<>]*)?\s*\/?>/g;
+
 /**
  * Sanitize text input
+ * Strips HTML tags and comments, but not a bare < or >: "x < 5" and "a > b" keep
+ * their comparison operators. Code and LaTeX math are left untouched, so Python
+ * indentation and List<String> survive; fenced code goes on its own lines.
  */
 const sanitizeText = (text) => {
   if (typeof text !== 'string') return text;
   
-  return text
-    .trim()
-    // Remove potentially dangerous characters
-    .replace(/[<>]/g, '')
-    // Normalize whitespace
-    .replace(/\s+/g, ' ');
+  // split() with a capture group puts the protected segments at odd indexes
+  const parts = text.split(PROTECTED);
+  const isFence = (index) => index % 2 === 1 && index < parts.length && parts[index].startsWith('```');
+  
+  return parts
+    .map((part, index) => {
+      if (isFence(index)) {
+        return `\n${part.replace(/\r\n?/g, '\n')}\n`;
+      }
+      if (index % 2 === 1) {
+        return part;
+      }
+      
+      // Remove markup and normalize whitespace, dropping spaces next to a fence
+      let plain = part.replace(MARKUP, '').replace(/\s+/g, ' ');
+      if (isFence(index - 1)) plain = plain.trimStart();
+      if (isFence(index + 1)) plain = plain.trimEnd();
+      return plain;
+    })
+    .join('')
+    .trim();
+};
+
+/**
+ * Sanitize the labels of a list of images in place
+ * @param {*} images - Request images (ignored unless an array)
+ */
+const sanitizeImageLabels = (images) => {
+  if (!Array.isArray(images)) return;
+  
+  images.forEach(image => {
+    if (image && image.label) {
+      image.label = sanitizeText(image.label);
+    }
+  });
 };
 
 /**
- * Sanitize request body
+ * Sanitize the text fields of a question in place
+ * @param {Object} item - Request body or batch item
+ */
+const sanitizeQuestion = (item) => {
+  if (item.question) {
+    item.question = sanitizeText(item.question);
+  }
+  
+  // Options and matching premises
+  if (Array.isArray(item.options)) {
+    item.options = item.options.map(opt => sanitizeText(opt));
+  }
+  if (Array.isArray(item.premises)) {
+    item.premises = item.premises.map(premise => sanitizeText(premise));
+  }
+  
+  // Passage, or for a batch body the passage shared by its questions
+  if (item.context) {
+    item.context = sanitizeText(item.context);
+  }
+  
+  // Image labels; the data URLs are checked against the schema
+  sanitizeImageLabels(item.images);
+};
+
+/**
+ * Sanitize request body, and every question of a batch the same way
  */
 const sanitizeRequest = (req, res, next) => {
   if (req.body) {
-    // Sanitize question
-    if (req.body.question) {
-      req.body.question = sanitizeText(req.body.question);
-    }
+    sanitizeQuestion(req.body);
     
-    // Sanitize options
-    if (Array.isArray(req.body.options)) {
-      req.body.options = req.body.options.map(opt => sanitizeText(opt));
+    if (Array.isArray(req.body.questions)) {
+      req.body.questions.forEach(item => {
+        if (item) {
+          sanitizeQuestion(item);
+        }
+      });
     }
   }
   
@@ -131,6 +274,7 @@ const sanitizeRequest = (req, res, next) => {
 
 module.exports = {
   validateAnswerRequest,
+  validateBatchRequest,
   validateOCRRequest,
   sanitizeRequest
 };
\ No newline at end of file
@@ -0,0 +1,86 @@
+/**
+ * Worker Pool
+ * Runs async tasks with bounded concurrency, per-item timeouts and cancellation
+ */
+
+/**
+ * Run a worker over every item, at most `concurrency` at a time
+ * @param {Array} items - Items to process
+ * @param {Function} worker - async (item, index, signal) => value
+ * @param {Object} options - Pool options
+ * @param {number} options.concurrency - Maximum tasks in flight
+ * @param {number} options.itemTimeoutMs - Timeout per item (0 disables)
+ * @param {AbortSignal} [options.signal] - Cancels items that have not finished
+ * @param {Function} [options.onSettled] - (completed, total) => void after each item settles
+ * @returns {Promise<Array<Object>>} Settled results in input order:
+ *   { status: 'fulfilled', value } or { status: 'rejected', reason }
+ */
+async function runWithConcurrency(items, worker, { concurrency, itemTimeoutMs, signal, onSettled } = {}) {
+  const results = new Array(items.length);
+  const limit = Math.max(1, Math.min(concurrency || 1, items.length));
+  let next = 0;
+  let completed = 0;
+  
+  const runNext = async () => {
+    while (next < items.length) {
+      const index = next++;
+      
+      if (signal && signal.aborted) {
+        results[index] = { status: 'rejected', reason: new Error('Batch cancelled') };
+        continue;
+      }
+      
+      try {
+        const value = await runItem(items[index], index, worker, itemTimeoutMs, signal);
+        results[index] = { status: 'fulfilled', value };
+      } catch (error) {
+        results[index] = { status: 'rejected', reason: error };
+      }
+      
+      if (onSettled) onSettled(++completed, items.length);
+    }
+  };
+  
+  await Promise.all(Array.from({ length: limit }, runNext));
+  
+  return results;
+}
+
+/**
+ * Run one item, rejecting on timeout or cancellation
+ */
+function runItem(item, index, worker, itemTimeoutMs, signal) {
+  const controller = new AbortController();
+  
+  return new Promise((resolve, reject) => {
+    let timeoutId;
+    
+    const finish = (callback, value) => {
+      clearTimeout(timeoutId);
+      if (signal) signal.removeEventListener('abort', onAbort);
+      callback(value);
+    };
+    
+    const onAbort = () => {
+      controller.abort();
+      finish(reject, new Error('Batch cancelled'));
+    };
+    
+    if (itemTimeoutMs > 0) {
+      timeoutId = setTimeout(() => {
+        controller.abort();
+        finish(reject, new Error(`Question timed out after ${itemTimeoutMs}ms`));
+      }, itemTimeoutMs);
+    }
+    
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    
+    Promise.resolve()
+      .then(() => worker(item, index, controller.signal))
+      .then(value => finish(resolve, value), error => finish(reject, error));
+  });
+}
+
+module.exports = {
+  runWithConcurrency
+};
\ No newline at end of file